@@ -0,0 +1,204 @@
+// mock-backend/server.js
+// Local stand-in for the backend endpoints the frontend calls. Responses are canned
+// so the join flow can be exercised without the real API:
+//
+//   REACT_APP_API_URL=http://localhost:4000 REACT_APP_CDN_URL=http://localhost:4000/cdn/ npm start
+//   npm run mock-backend
+//
+// `auth/login` accepts any username with a non-empty password and signs a JWT for
+// it; usernames containing "broadcaster" get `role: 'broadcaster'`, everyone else
+// is a viewer. Other routes take the role from the bearer token: a JWT whose payload
+// carries `role` wins, otherwise any token containing "broadcaster" is a broadcaster
+// and everything else is a viewer.
+const http = require('http');
+
+const PORT = Number(process.env.MOCK_BACKEND_PORT) || 4000;
+
+const AVATAR_SVG = `<svg xmlns="http://www.w3.org/2000/svg" width="80" height="80" viewBox="0 0 80 80">
+  <circle cx="40" cy="40" r="40" fill="#007bff"/>
+  <circle cx="40" cy="32" r="14" fill="#fff"/>
+  <path d="M14 68c4-14 14-20 26-20s22 6 26 20" fill="#fff"/>
+</svg>`;
+
+// Rooms a broadcaster has taken a token for, until stopLiveBroadcast:
+// roomName -> { broadcaster, avatarImage, startedAt, viewers: Set<identity> }
+const liveRooms = new Map();
+
+// Conversation SIDs are stable per room so every client of a room shares one chat
+const conversationSids = new Map();
+
+function conversationSidFor(roomName) {
+  if (!conversationSids.has(roomName)) {
+    const suffix = String(conversationSids.size + 1).padStart(32, '0');
+    conversationSids.set(roomName, `CH${suffix}`);
+  }
+  return conversationSids.get(roomName);
+}
+
+function decodeJwtPayload(token) {
+  try {
+    const payload = token.split('.')[1];
+    if (!payload) return null;
+    return JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+// Unsigned stand-in JWT: enough for the frontend, which only reads the payload
+function mockJwt(payload) {
+  const encode = value => Buffer.from(JSON.stringify(value)).toString('base64url');
+  return `${encode({ alg: 'none', typ: 'JWT' })}.${encode(payload)}.mock`;
+}
+
+const APP_JWT_TTL_SECONDS = 60 * 60;
+
+function bearerToken(req) {
+  const header = req.headers.authorization || '';
+  return header.startsWith('Bearer ') ? header.slice(7).trim() : '';
+}
+
+function roleFor(token) {
+  const payload = decodeJwtPayload(token);
+  if (payload && typeof payload.role === 'string') return payload.role;
+  return token.includes('broadcaster') ? 'broadcaster' : 'viewer';
+}
+
+function identityFor(token) {
+  const payload = decodeJwtPayload(token);
+  return (payload && (payload.username || payload.sub)) || `mock_${roleFor(token)}`;
+}
+
+function send(res, status, body, contentType = 'application/json') {
+  res.writeHead(status, {
+    'Content-Type': contentType,
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  });
+  res.end(contentType === 'application/json' ? JSON.stringify(body) : body);
+}
+
+function readJson(req) {
+  return new Promise((resolve) => {
+    let raw = '';
+    req.on('data', chunk => { raw += chunk; });
+    req.on('end', () => {
+      try { resolve(raw ? JSON.parse(raw) : {}); } catch (e) { resolve({}); }
+    });
+  });
+}
+
+// Routes answered without a bearer token
+const PUBLIC_ROUTES = new Set(['POST /api/frontend/auth/login']);
+
+const routes = {
+  'POST /api/frontend/auth/login': (token, body) => {
+    const username = typeof body.username === 'string' ? body.username.trim() : '';
+    if (!username || !body.password) return [401, { message: 'Invalid username or password' }];
+    return [200, {
+      token: mockJwt({
+        sub: username,
+        username,
+        role: username.includes('broadcaster') ? 'broadcaster' : 'viewer',
+        exp: Math.floor(Date.now() / 1000) + APP_JWT_TTL_SECONDS
+      })
+    }];
+  },
+
+  'POST /api/frontend/twilio/generateAccessToken': (token, body) => {
+    if (!body.roomName) return [400, { message: 'roomName is required' }];
+    // Asking for 'viewer' (invite links) is honoured; nobody can ask to broadcast
+    const role = body.role === 'viewer' ? 'viewer' : roleFor(token);
+    const identity = identityFor(token);
+    if (role === 'broadcaster' && !liveRooms.has(body.roomName)) {
+      liveRooms.set(body.roomName, {
+        broadcaster: identity,
+        avatarImage: 'avatars/broadcaster.svg',
+        startedAt: new Date().toISOString(),
+        viewers: new Set()
+      });
+    } else if (role === 'viewer' && liveRooms.has(body.roomName)) {
+      liveRooms.get(body.roomName).viewers.add(identity);
+    }
+    return [200, {
+      token: `mock-video-token.${identityFor(token)}.${body.roomName}`,
+      role,
+      conversationToken: `mock-conversation-token.${identityFor(token)}`,
+      conversationSid: conversationSidFor(body.roomName),
+      avatarImage: `avatars/${role}.svg`
+    }];
+  },
+
+  // Viewer counts only grow: the mock doesn't see anyone leave
+  'GET /api/frontend/twilio/liveRooms': () => [200, {
+    rooms: Array.from(liveRooms, ([roomName, { viewers, ...room }]) => ({ roomName, ...room, viewerCount: viewers.size }))
+  }],
+
+  'POST /api/frontend/twilio/refreshConversationToken': (token, body) => {
+    if (!body.conversationSid) return [400, { message: 'conversationSid is required' }];
+    return [200, { conversationToken: `mock-conversation-token.${identityFor(token)}.${Date.now()}` }];
+  },
+
+  // JWTs come back with a fresh `exp`; opaque tokens are returned as they are
+  'POST /api/frontend/auth/refresh': (token) => {
+    const payload = decodeJwtPayload(token);
+    if (!payload) return [200, { token }];
+    if (typeof payload.exp === 'number' && payload.exp * 1000 < Date.now()) {
+      return [401, { message: 'Token expired, please log in again' }];
+    }
+    return [200, { token: mockJwt({ ...payload, exp: Math.floor(Date.now() / 1000) + APP_JWT_TTL_SECONDS }) }];
+  },
+
+  'POST /api/frontend/twilio/removeParticipant': (token, body) => {
+    if (!body.conversationSid || !body.participantIdentity) {
+      return [400, { message: 'conversationSid and participantIdentity are required' }];
+    }
+    return [200, { success: true }];
+  },
+
+  'POST /api/admin/twilio/stopLiveBroadcast': (token, body) => {
+    if (!body.roomName) return [400, { message: 'roomName is required' }];
+    if (roleFor(token) !== 'broadcaster' && !identityFor(token).startsWith('admin_')) {
+      return [403, { message: 'Only broadcasters and admins can stop a broadcast' }];
+    }
+    liveRooms.delete(body.roomName);
+    return [200, { success: true }];
+  },
+
+  'POST /api/admin/twilio/kickParticipant': (token, body) => {
+    if (!body.roomName || !body.participantIdentity) {
+      return [400, { message: 'roomName and participantIdentity are required' }];
+    }
+    if (!identityFor(token).startsWith('admin_')) {
+      return [403, { message: 'Only admins can kick participants' }];
+    }
+    return [200, { success: true }];
+  }
+};
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  console.log(req.method, url.pathname);
+
+  if (req.method === 'OPTIONS') return send(res, 204, '', 'text/plain');
+
+  // Stand-in for the CDN: every avatar path resolves to the same placeholder
+  if (req.method === 'GET' && url.pathname.startsWith('/cdn/')) {
+    return send(res, 200, AVATAR_SVG, 'image/svg+xml');
+  }
+
+  const route = `${req.method} ${url.pathname}`;
+  const handler = routes[route];
+  if (!handler) return send(res, 404, { message: 'Not found' });
+
+  const token = bearerToken(req);
+  if (!token && !PUBLIC_ROUTES.has(route)) return send(res, 401, { message: 'Missing bearer token' });
+
+  const [status, body] = handler(token, await readJson(req));
+  send(res, status, body);
+});
+
+server.listen(PORT, () => {
+  console.log(`Mock backend listening on http://localhost:${PORT}`);
+});
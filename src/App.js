@@ -1,687 +1,142 @@
 // app.js
-import React, { useEffect, useRef, useState, useCallback } from 'react';
-import Video from 'twilio-video';
-import { Client as ConversationsClient } from '@twilio/conversations';
-import axios from 'axios';
+import React, { useEffect, useRef, useState } from 'react';
+import useConversation from './hooks/useConversation';
+import useRoom from './hooks/useRoom';
+import useLocalMedia from './hooks/useLocalMedia';
+import useScreenShare from './hooks/useScreenShare';
+import useLobby from './hooks/useLobby';
+import useModeration from './hooks/useModeration';
+import useDiagnostics from './hooks/useDiagnostics';
+import useAuth from './hooks/useAuth';
+import useRoute from './hooks/useRoute';
+import useLiveRooms from './hooks/useLiveRooms';
+import useRecording from './hooks/useRecording';
+import useReactions from './hooks/useReactions';
+import VideoComponent from './components/VideoComponent';
+import BroadcastPlayer from './components/BroadcastPlayer';
+import ChatPanel from './components/ChatPanel';
+import MediaControls from './components/MediaControls';
+import Lobby from './components/Lobby';
+import LoginForm from './components/LoginForm';
+import InviteLinkButton from './components/InviteLinkButton';
+import RoomDirectory from './components/RoomDirectory';
+import RecordingControls from './components/RecordingControls';
+import ReactionBar from './components/ReactionBar';
+import ReactionsOverlay from './components/ReactionsOverlay';
+import NetworkQualityBars from './components/NetworkQualityBars';
+import StatsPanel from './components/StatsPanel';
+import { defaultProvider } from './providers';
+import { STATES, isJoining } from './lifecycle/connectionMachine';
+import { fallbackAvatar } from './utils';
+import { isBroadcasting, isPoorNetworkQuality } from './media/networkQuality';
+import { HOME_PATH, roomPath } from './routing/routes';
+
+function App({ provider = defaultProvider }) {
+  const auth = useAuth();
+  const { appJwt, identity: username, refreshError: appJwtError } = auth;
+  const route = useRoute();
+  const [roomName, setRoomName] = useState(route.roomName);
+
+  const conversation = useConversation({ provider });
+  const room = useRoom({ conversation, appJwt, username, provider, onUnauthorized: auth.expire });
+  const media = useLocalMedia({ room, provider });
+  const screenShare = useScreenShare({ room, provider });
+  const moderation = useModeration({ conversation, room, appJwt });
+  const lobby = useLobby({ provider });
+  const lobbyMedia = useLocalMedia({ room: lobby, provider });
+  const diagnostics = useDiagnostics(room);
+  const recorder = useRecording(room);
+  const reactions = useReactions(room);
+
+  const { messages, status: conversationStatus, clientRef: conversationsClientRef, conversationRef } = conversation;
+  const {
+    joined,
+    connectionStatus,
+    lifecycle,
+    rejoinStatus,
+    participants,
+    userRole,
+    avatarImage,
+    localVideoTrack,
+    localNetworkQualityLevel,
+    joinRoom,
+    leaveRoom,
+    stopBroadcast,
+    roomRef,
+    localTracksRef,
+    videoElementsRef
+  } = room;
 
-const API = 'https://api.pornyo.com';
-const CDN = 'https://cdn.pornyo.com/';
-
-// utility to hide admin identities (prefixed with admin_)
-function isAdmin(identity) { return identity && identity.startsWith('admin_'); }
-
-function App() {
-  const [appJwt, setAppJwt] = useState(localStorage.getItem('app_jwt') || '');
-  const [username, setUsername] = useState(localStorage.getItem('username') || '');
-  const [messages, setMessages] = useState([]);
-  const [joined, setJoined] = useState(false);
-  const [connectionStatus, setConnectionStatus] = useState('disconnected');
-  const [participants, setParticipants] = useState(new Map());
-  const [userRole, setUserRole] = useState('');
-  const [avatarImage, setAvatarImage] = useState('');
-  const [localVideoTrack, setLocalVideoTrack] = useState(null);
-  const [conversationStatus, setConversationStatus] = useState('disconnected');
-
-  // Refs for Twilio objects only - no DOM manipulation
-  const roomRef = useRef(null);
-  const localTracksRef = useRef([]);
-  const videoElementsRef = useRef(new Map());
-  const conversationsClientRef = useRef(null);
-  const conversationRef = useRef(null);
-  const conversationTokenRef = useRef(null);
-  const isUnmountingRef = useRef(false);
-
-  // Helper: stop and detach a track safely
-  const stopAndDetachTrack = (track) => {
-    try {
-      if (!track) return;
-      if (typeof track.stop === 'function') track.stop();
-      if (typeof track.detach === 'function') {
-        const els = track.detach();
-        if (Array.isArray(els)) {
-          els.forEach(el => el && el.remove && el.remove());
-        } else if (els && els.remove) {
-          els.remove();
-        }
-      }
-    } catch (e) {
-      console.warn('Error stopping/detaching track', e);
-    }
-  };
-
-  // Safe cleanup function — does NOT shutdown Conversations client to avoid killing it mid-init.
-  const cleanup = useCallback(() => {
-    console.log('Starting cleanup...');
-
-    // Stop and clean up local tracks
-    try {
-      localTracksRef.current.forEach(track => stopAndDetachTrack(track));
-    } catch (e) {
-      console.warn('Error cleaning local tracks', e);
-    }
-    localTracksRef.current = [];
-
-    // Remove stored video elements
-    try {
-      videoElementsRef.current.forEach(el => {
-        try { if (el && el.remove) el.remove(); } catch {}
-      });
-      videoElementsRef.current.clear();
-    } catch (e) {
-      console.warn('Error clearing video elements map', e);
-    }
-
-    // Disconnect room
-    if (roomRef.current) {
-      try { roomRef.current.disconnect(); } catch (e) { console.warn(e); }
-      roomRef.current = null;
-    }
+  // Calculate participant count
+  const participantCount = participants.size + (joined ? 1 : 0);
+  const idle = connectionStatus === STATES.IDLE;
+  const joining = isJoining(connectionStatus);
+  // The directory of live rooms is the home page while signed in and out of a room
+  const showDirectory = Boolean(appJwt) && idle && route.name === 'home';
+  const directory = useLiveRooms({ appJwt, enabled: showDirectory, onUnauthorized: auth.expire });
+  const poorBroadcasters = Array.from(participants.values())
+    .filter(p => isBroadcasting(p) && isPoorNetworkQuality(p.networkQualityLevel));
+
+  // However the session ended (logout, expiry, a refused request), don't stay in the room
+  useEffect(() => {
+    if (!appJwt) leaveRoom();
+  }, [appJwt, leaveRoom]);
 
-    // Cleanup conversation listeners but keep the client alive
-    if (conversationRef.current) {
-      try { conversationRef.current.removeAllListeners && conversationRef.current.removeAllListeners(); } catch (e) { console.warn(e); }
-      conversationRef.current = null;
+  // Room links: prefill the room and join it once signed in, once per link (a failed
+  // join stays on the page). Going back home leaves the room.
+  const autoJoinedPathRef = useRef(null);
+  const { release: releaseLobbyTracks } = lobby;
+  useEffect(() => {
+    if (route.roomName) setRoomName(route.roomName);
+  }, [route.roomName]);
+  useEffect(() => {
+    if (!appJwt) {
+      autoJoinedPathRef.current = null;
+      return;
     }
-
-    // Do NOT call conversationsClientRef.current.shutdown() here.
-    // We will keep the client alive across joins and only shutdown on unmount.
-
-    // Reset UI state
-    setLocalVideoTrack(null);
-    setParticipants(new Map());
-    setMessages([]);
-    setConversationStatus('disconnected');
-
-    console.log('Cleanup completed');
-  }, []);
-
-  // On unmount: cleanup and fully shutdown Conversations client
+    if (route.name !== 'room' || !idle || autoJoinedPathRef.current === route.path) return;
+    autoJoinedPathRef.current = route.path;
+    joinRoom(route.roomName, { role: route.role, takeLocalTracks: releaseLobbyTracks });
+  }, [appJwt, route, idle, joinRoom, releaseLobbyTracks]);
   useEffect(() => {
-    return () => {
-      isUnmountingRef.current = true;
-      cleanup();
-      if (conversationsClientRef.current) {
-        try { conversationsClientRef.current.shutdown(); } catch (e) { console.warn('Error shutting down conversations client', e); }
-        conversationsClientRef.current = null;
-        conversationTokenRef.current = null;
-      }
-    };
-  }, [cleanup]);
-
-  // Video component for rendering participant videos
-  const VideoComponent = ({ track, participantId, isLocal = false }) => {
-    const videoRef = useRef(null);
-
-    useEffect(() => {
-      if (track && videoRef.current) {
-        const element = track.attach();
-        videoRef.current.appendChild(element);
-
-        // Store reference for cleanup
-        videoElementsRef.current.set(`${participantId}-${isLocal ? 'local' : 'remote'}`, element);
-
-        return () => {
-          try {
-            if (element && element.parentNode) element.parentNode.removeChild(element);
-          } catch (e) {}
-          videoElementsRef.current.delete(`${participantId}-${isLocal ? 'local' : 'remote'}`);
-        };
-      }
-    }, [track, participantId, isLocal]);
+    if (route.name === 'home') leaveRoom();
+  }, [route.name, leaveRoom]);
 
-    return (
-      <div style={{
-        display: 'flex',
-        flexDirection: 'column',
-        alignItems: 'center',
-        margin: 4
-      }}>
-        <div
-          ref={videoRef}
-          style={{
-            width: 320,
-            height: 240,
-            backgroundColor: '#000',
-            borderRadius: 8,
-            border: `2px solid ${isLocal ? '#28a745' : '#007bff'}`,
-            display: 'flex',
-            alignItems: 'center',
-            justifyContent: 'center',
-            overflow: 'hidden'
-          }}
-        >
-          {!track && (
-            <span style={{ color: 'white', fontSize: '14px' }}>
-              {isLocal ? 'Starting camera...' : 'Loading video...'}
-            </span>
-          )}
-        </div>
-        <div style={{
-          marginTop: 4,
-          padding: '4px 8px',
-          backgroundColor: isLocal ? '#28a745' : '#007bff',
-          color: 'white',
-          borderRadius: 4,
-          fontSize: '12px'
-        }}>
-          {isLocal ? `You (${userRole})` : participantId}
-        </div>
-      </div>
-    );
+  // However the room ended (ended by the host, rejoining gave up), its link goes too
+  // so a reload doesn't join it again. An expired session keeps it, to go back in
+  // after signing in.
+  const wasJoinedRef = useRef(joined);
+  useEffect(() => {
+    const wasJoined = wasJoinedRef.current;
+    wasJoinedRef.current = joined;
+    if (wasJoined && !joined && appJwt && route.name === 'room') route.navigate(HOME_PATH, { replace: true });
+  }, [joined, appJwt, route]);
+
+  const join = (requestedName, requestedRole = null) => {
+    const name = requestedName.trim();
+    setRoomName(name);
+    // A link's role only applies to the room it points at
+    const role = requestedRole || (name === route.roomName ? route.role : null);
+    joinRoom(name, { role, takeLocalTracks: releaseLobbyTracks });
+    if (!name) return;
+    const path = roomPath(name, { role });
+    autoJoinedPathRef.current = path;
+    route.navigate(path);
   };
 
-  // Handle participant state management
-  const handleParticipant = useCallback((participant) => {
-    const hiddenAdmin = isAdmin(participant.identity);
-    if (hiddenAdmin) return; // Skip admin participants
-
-    console.log('Setting up participant:', participant.identity);
-
-    const participantData = {
-      identity: participant.identity,
-      sid: participant.sid,
-      videoTrack: null,
-      audioTrack: null,
-      connected: true
-    };
-
-    // Handle existing tracks
-    participant.tracks.forEach(publication => {
-      try {
-        if (publication.isSubscribed) {
-          const track = publication.track;
-          if (!track) return;
-          if (track.kind === 'video') {
-            participantData.videoTrack = track;
-          } else if (track.kind === 'audio') {
-            participantData.audioTrack = track;
-            // Attach audio immediately (hidden)
-            try {
-              const audioElement = track.attach();
-              if (audioElement) {
-                audioElement.style.display = 'none';
-                document.body.appendChild(audioElement);
-              }
-            } catch (e) { console.warn('Error attaching audio element', e); }
-          }
-        }
-      } catch (e) { console.warn('Error handling existing publication', e); }
-    });
-
-    // Handle future track subscriptions
-    participant.on('trackSubscribed', track => {
-      console.log('Track subscribed:', track.kind, 'from', participant.identity);
-
-      if (track.kind === 'video') {
-        setParticipants(prev => {
-          const updated = new Map(prev);
-          const existing = updated.get(participant.sid) || {};
-          updated.set(participant.sid, { ...existing, videoTrack: track });
-          return updated;
-        });
-      } else if (track.kind === 'audio') {
-        try {
-          const audioElement = track.attach();
-          audioElement.style.display = 'none';
-          document.body.appendChild(audioElement);
-        } catch (e) { console.warn('Error attaching audio track', e); }
-
-        setParticipants(prev => {
-          const updated = new Map(prev);
-          const existing = updated.get(participant.sid) || {};
-          updated.set(participant.sid, { ...existing, audioTrack: track });
-          return updated;
-        });
-      }
-    });
+  // Someone else's broadcast: watch it, never publish into it
+  const joinFromDirectory = (name) => join(name, 'viewer');
 
-    // Handle track unsubscriptions
-    participant.on('trackUnsubscribed', track => {
-      console.log('Track unsubscribed:', track.kind, 'from', participant.identity);
-      if (track.kind === 'video') {
-        setParticipants(prev => {
-          const updated = new Map(prev);
-          const existing = updated.get(participant.sid) || {};
-          updated.set(participant.sid, { ...existing, videoTrack: null });
-          return updated;
-        });
-      }
-    });
-
-    // Update participants state
-    setParticipants(prev => {
-      const updated = new Map(prev);
-      updated.set(participant.sid, participantData);
-      return updated;
-    });
-
-  }, []);
-
-  // Wait until the Conversations client is connected/initialized
-  const waitForConversationsReady = (client, timeoutMs = 10000) => {
-    return new Promise((resolve, reject) => {
-      if (!client) return reject(new Error('Conversations client missing'));
-      // Some SDKs expose connectionState; try to resolve immediately if already connected/initialized
-      const stateNow = client.connectionState || client.state;
-      if (stateNow === 'connected' || stateNow === 'initialized') return resolve();
-
-      const timeout = setTimeout(() => {
-        client.removeListener && client.removeListener('stateChanged', handler);
-        reject(new Error('Conversations client initialization timeout'));
-      }, timeoutMs);
-
-      const handler = (state) => {
-        // Accept either 'initialized' or 'connected' depending on SDK
-        if (state === 'initialized' || state === 'connected') {
-          clearTimeout(timeout);
-          client.removeListener && client.removeListener('stateChanged', handler);
-          resolve();
-        }
-      };
-
-      // attach
-      try {
-        client.on && client.on('stateChanged', handler);
-      } catch (e) {
-        clearTimeout(timeout);
-        reject(e);
-      }
-    });
+  const leave = () => {
+    leaveRoom();
+    route.navigate(HOME_PATH);
   };
 
-  const getConversationBySidWithRetry = async (client, conversationSid, attempts = 6, baseDelay = 250) => {
-    let lastErr = null;
-    for (let i = 0; i < attempts; i++) {
-      try {
-        const c = await client.getConversationBySid(conversationSid);
-        return c;
-      } catch (err) {
-        
-        lastErr = err;
-        const msg = (err && (err.message || '')).toLowerCase();
-        const status = err?.status || err?.code;
-        const isNotFound = msg.includes('not found') || status === 404;
-        const isTwilsock = msg.includes('twilsock') || msg.includes('upstream') || msg.includes('twilsockupstreamerror');
-
-        if (i < attempts - 1 && (isNotFound || isTwilsock)) {
-          // Backoff
-          const delay = Math.round(baseDelay * Math.pow(1.5, i));
-          await new Promise(r => setTimeout(r, delay));
-          continue;
-        }
-        throw err;
-      }
-    }
-    throw lastErr;
+  const logout = () => {
+    leave();
+    auth.logout();
   };
 
-  // Initialize conversations client
-  const initializeConversations = useCallback(async (conversationToken, conversationSid) => {
-    try {
-      console.log('Initializing Conversations SDK...');
-      setConversationStatus('connecting');
-
-      let conversationsClient = conversationsClientRef.current;
-
-      // If token changed, re-create client to ensure fresh credentials
-      if (conversationsClient && conversationTokenRef.current !== conversationToken) {
-        try {
-          conversationsClient.shutdown && conversationsClient.shutdown();
-        } catch (e) { console.warn('Error shutting old client', e); }
-        conversationsClientRef.current = null;
-        conversationTokenRef.current = null;
-        conversationsClient = null;
-      }
-
-      if (!conversationsClient) {
-        conversationsClient = new ConversationsClient(conversationToken);
-        conversationsClientRef.current = conversationsClient;
-        conversationTokenRef.current = conversationToken;
-
-        conversationsClient.on && conversationsClient.on('stateChanged', (s) => {
-          console.log('Conversations client stateChanged ->', s);
-          if (s === 'connected' || s === 'initialized') {
-            setConversationStatus('connected');
-          } else {
-            setConversationStatus(String(s));
-          }
-        });
-      }
-
-      // Wait for client to be ready (initialized / connected)
-      await waitForConversationsReady(conversationsClient, 12000);
-
-      console.log('Getting conversation (retrying if necessary)...');
-      const conversation = await getConversationBySidWithRetry(conversationsClient, conversationSid, 8, 300);
-      conversationRef.current = conversation;
-
-      // Load existing messages
-      console.log('Loading existing messages...');
-      const existingMessages = await conversation.getMessages();
-      const formattedMessages = existingMessages.items.map(msg => {
-        // Robust avatar extraction with fallback
-        let messageAvatar = '';
-        try {
-          messageAvatar = msg.attributes?.avatarImage || '';
-          if (typeof messageAvatar !== 'string') messageAvatar = '';
-        } catch (e) {
-          console.warn('Error extracting avatar from message attributes:', e);
-          messageAvatar = '';
-        }
-
-        return {
-          username: msg.author || 'Unknown',
-          text: msg.body || '',
-          ts: msg.dateCreated ? msg.dateCreated.getTime() : Date.now(),
-          sid: msg.sid || `msg-${Date.now()}-${Math.random()}`,
-          avatarImage: messageAvatar.trim()
-        };
-      });
-
-      setMessages(formattedMessages);
-      console.log(`Loaded ${formattedMessages.length} existing messages`);
-
-      // Ensure no double listeners
-      try { conversation.removeAllListeners && conversation.removeAllListeners('messageAdded'); } catch (e) {}
-      conversation.on('messageAdded', (message) => {
-        console.log('New message received:', message);
-        
-        // Robust avatar extraction for new messages
-        let messageAvatar = '';
-        try {
-          messageAvatar = message.attributes?.avatarImage || '';
-          if (typeof messageAvatar !== 'string') messageAvatar = '';
-        } catch (e) {
-          console.warn('Error extracting avatar from new message attributes:', e);
-          messageAvatar = '';
-        }
-
-        const newMessage = {
-          username: message.author || 'Unknown',
-          text: message.body || '',
-          ts: message.dateCreated ? message.dateCreated.getTime() : Date.now(),
-          sid: message.sid || `msg-${Date.now()}-${Math.random()}`,
-          avatarImage: messageAvatar.trim()
-        };
-
-        setMessages(prev => {
-          if (prev.some(m => m.sid === message.sid)) return prev;
-          return [...prev, newMessage];
-        });
-      });
-
-      // Join conversation if not joined
-      if (conversation.status !== 'joined') {
-        try {
-          await conversation.join();
-          console.log('Joined conversation');
-        } catch (e) {
-          const msg = (e?.message || '').toLowerCase();
-          // Ignore benign "already a member" style errors
-          if (!msg.includes('already') && !msg.includes('member')) {
-            throw e;
-          }
-        }
-      }
-
-      setConversationStatus('connected');
-      console.log('Conversations SDK initialized successfully');
-
-      return conversation;
-    } catch (error) {
-      console.error('Failed to initialize conversations:', error?.message || error, error?.code, error);
-      setConversationStatus('failed');
-      throw error;
-    }
-  }, []);
-
-  // Join room function
-  async function joinRoom(roomName) {
-    if (!appJwt || !username) return alert('Please provide JWT token and username first');
-    if (!roomName?.trim()) return alert('Please enter a room name');
-
-    try {
-      setConnectionStatus('connecting');
-      console.log('=== JOINING ROOM ===');
-      console.log('Room name:', roomName);
-      console.log('Username:', username);
-
-      const resp = await axios.post(`${API}/api/frontend/twilio/generateAccessToken`,
-        { roomName: roomName.trim() },
-        { headers: { Authorization: `Bearer ${appJwt}` } }
-      );
-
-      const { 
-        token, 
-        role, 
-        conversationToken, 
-        conversationSid, 
-        avatarImage: backendAvatarImage 
-      } = resp.data || {};
-      
-      console.log('Received token for role:', role);
-      console.log('Conversation SID:', conversationSid);
-      console.log('Received avatar image:', backendAvatarImage);
-      setUserRole(role || '');
-      
-      // Set avatar from backend response with validation
-      if (backendAvatarImage && typeof backendAvatarImage === 'string' && backendAvatarImage.trim()) {
-        setAvatarImage(`${CDN}${backendAvatarImage.trim()}`);
-        console.log('Avatar set from backend:', backendAvatarImage.trim());
-      } else {
-        console.log('No valid avatar received from backend, will use fallback');
-        setAvatarImage('');
-      }
-
-      // Light reset: stop local tracks and clear UI lists, but DO NOT shutdown the conversations client
-      try {
-        localTracksRef.current.forEach(track => stopAndDetachTrack(track));
-      } catch (e) { console.warn('Error stopping local tracks on join', e); }
-      localTracksRef.current = [];
-      setLocalVideoTrack(null);
-      setParticipants(new Map());
-      setMessages([]);
-
-      // Initialize conversations first (with proper waiting + retry)
-      await initializeConversations(conversationToken, conversationSid);
-
-      // Create local tracks for video/audio (no DataTrack needed)
-      const localTracks = [];
-
-      // Create media tracks for broadcasters only
-      if (role === 'broadcaster') {
-        console.log('Creating broadcaster media tracks...');
-        try {
-          const mediaConstraints = {
-            audio: {
-              echoCancellation: true,
-              noiseSuppression: true
-            },
-            video: {
-              width: { ideal: 640 },
-              height: { ideal: 480 },
-              frameRate: { ideal: 15 }
-            }
-          };
-
-          const tracks = await Video.createLocalTracks(mediaConstraints);
-          localTracksRef.current = [...localTracksRef.current, ...tracks];
-
-          tracks.forEach(track => {
-            if (track.kind === 'video') {
-              setLocalVideoTrack(track);
-            }
-            localTracks.push(track);
-          });
-
-          console.log('Local media tracks created');
-        } catch (mediaError) {
-          console.error('Media creation error:', mediaError);
-          alert('Failed to access camera/microphone. Please check permissions and try again.');
-          setConnectionStatus('disconnected');
-          return;
-        }
-      }
-
-      console.log('Connecting to Twilio room...');
-      const room = await Video.connect(token, {
-        name: roomName.trim(),
-        tracks: localTracks,
-        dominantSpeaker: true,
-        maxAudioBitrate: 16000,
-        maxVideoBitrate: 150000,
-        preferredVideoCodecs: ['VP8', 'H264'],
-        automaticSubscription: true
-      });
-
-      roomRef.current = room;
-      setJoined(true);
-      setConnectionStatus('connected');
-
-      console.log('=== CONNECTED TO ROOM ===');
-      console.log('Room:', room.name);
-      console.log('Local participant:', room.localParticipant.identity);
-
-      // Handle participant events
-      room.on('participantConnected', participant => {
-        console.log('Participant connected:', participant.identity);
-        handleParticipant(participant);
-      });
-
-      room.on('participantDisconnected', async (participant) => {
-        console.log('Participant disconnected:', participant.identity);
-
-        // Call backend to remove participant from conversation
-        if (conversationRef.current && appJwt) {
-          try {
-            const conversationSid = conversationRef.current.sid;
-            await axios.post(`${API}/api/frontend/twilio/removeParticipant`,
-              { conversationSid, participantIdentity: participant.identity },
-              { headers: { Authorization: `Bearer ${appJwt}` } }
-            );
-            console.log(`Requested backend to remove participant ${participant.identity} from conversation ${conversationSid}.`);
-          } catch (error) {
-            console.error(`Failed to request participant removal from backend for ${participant.identity}:`, error);
-          }
-        }
-
-        setParticipants(prev => {
-          const updated = new Map(prev);
-          updated.delete(participant.sid);
-          return updated;
-        });
-      });
-
-      // Handle existing participants
-      room.participants.forEach(participant => {
-        console.log('Processing existing participant:', participant.identity);
-        handleParticipant(participant);
-      });
-
-      // Handle room disconnection
-      room.on('disconnected', (_room, error) => {
-        console.log('Room disconnected:', error?.message || 'Unknown reason');
-        setConnectionStatus('disconnected');
-        leaveRoom();
-      });
-
-      room.on('reconnecting', () => {
-        console.log('Reconnecting...');
-        setConnectionStatus('reconnecting');
-      });
-
-      room.on('reconnected', () => {
-        console.log('Reconnected successfully');
-        setConnectionStatus('connected');
-      });
-
-    } catch (err) {
-      console.error('=== JOIN ROOM ERROR ===', err);
-      setConnectionStatus('disconnected');
-      setConversationStatus('failed');
-      setUserRole('');
-
-      let errorMessage = 'Failed to join room';
-      if (err?.response?.data?.message) {
-        errorMessage += `: ${err.response.data.message}`;
-      } else if (err?.message) {
-        errorMessage += `: ${err.message}`;
-      }
-
-      alert(errorMessage);
-    }
-  }
-
-  // Send message using conversations SDK
-  async function sendMessage() {
-    const chatInput = document.getElementById('chatInput');
-    const text = chatInput?.value?.trim();
-    if (!text || !conversationRef.current) return;
-
-    try {
-      // Prepare attributes with robust avatar handling
-      const attributes = {};
-      
-      // Use backend avatar if available, otherwise generate one
-      const messageAvatar = avatarImage && typeof avatarImage === 'string' && avatarImage.trim() 
-        ? avatarImage.trim()
-        : `https://ui-avatars.com/api/?name=${encodeURIComponent(username || 'User')}&background=007bff&color=fff&size=40&rounded=true`;
-      
-      attributes.avatarImage = messageAvatar;
-      
-      await conversationRef.current.sendMessage(text, attributes);
-      chatInput.value = '';
-      console.log('Message sent via Conversations SDK:', text, 'with avatar:', messageAvatar);
-    } catch (e) {
-      console.error('Send message failed:', e);
-      alert('Failed to send message: ' + e.message);
-    }
-  }
-
-  function leaveRoom() {
-    console.log('=== LEAVING ROOM ===');
-
-    // Update state first
-    setJoined(false);
-    setMessages([]);
-    setConnectionStatus('disconnected');
-    setConversationStatus('disconnected');
-    setUserRole('');
-    setLocalVideoTrack(null);
-    setParticipants(new Map());
-
-    // Then cleanup (keeps Conversations client alive until unmount)
-    cleanup();
-
-    console.log('Left room successfully');
-  }
-
-  async function stopBroadcast(roomName) {
-    if (!appJwt) return alert('Login required');
-    if (!roomName?.trim()) return alert('Please enter a room name');
-
-    try {
-      await axios.post(`${API}/api/admin/twilio/stopLiveBroadcast`,
-        { roomName: roomName.trim() },
-        { headers: { Authorization: `Bearer ${appJwt}` } }
-      );
-      alert('Broadcast stopped successfully');
-      leaveRoom();
-    } catch (e) {
-      console.error('Stop broadcast error:', e);
-      alert(`Stop failed: ${e.response?.data?.message || e.message}`);
-    }
-  }
-
-  function handleChatKeyPress(e) {
-    if (e.key === 'Enter') {
-      sendMessage();
-    }
-  }
-
-  // Calculate participant count
-  const participantCount = participants.size + (joined ? 1 : 0);
-
   return (
     <div style={{ padding: 20, fontFamily: 'Arial, sans-serif', maxWidth: 1400 }}>
       <h2>Twilio Video Broadcast with Conversations</h2>
@@ -690,9 +145,9 @@ function App() {
       <div style={{
         marginBottom: 20,
         padding: 16,
-        backgroundColor: connectionStatus === 'connected' ? '#d4edda' : '#f8d7da',
+        backgroundColor: connectionStatus === STATES.LIVE ? '#d4edda' : '#f8d7da',
         borderRadius: 8,
-        border: `2px solid ${connectionStatus === 'connected' ? '#c3e6cb' : '#f5c6cb'}`
+        border: `2px solid ${connectionStatus === STATES.LIVE ? '#c3e6cb' : '#f5c6cb'}`
       }}>
         <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))', gap: 8 }}>
           <div><strong>Video Status:</strong> {connectionStatus}</div>
@@ -703,54 +158,81 @@ function App() {
         </div>
       </div>
 
+      {[appJwtError, conversation.tokenError].filter(Boolean).map(warning => (
+        <div
+          key={warning}
+          role="alert"
+          style={{ marginBottom: 20, padding: 12, backgroundColor: '#fff3cd', border: '1px solid #ffc107', borderRadius: 8 }}
+        >
+          ⚠️ {warning}
+        </div>
+      ))}
+
+      {rejoinStatus && (
+        <div
+          role="status"
+          style={{
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'space-between',
+            marginBottom: 20,
+            padding: 12,
+            backgroundColor: '#fff3cd',
+            border: '1px solid #ffc107',
+            borderRadius: 8
+          }}
+        >
+          <span>
+            Connection lost - rejoining (attempt {rejoinStatus.attempt} of {rejoinStatus.maxAttempts})...
+            {lifecycle.error && <span style={{ marginLeft: 6, fontSize: '12px', color: '#856404' }}>{lifecycle.error}</span>}
+          </span>
+          <button
+            onClick={leave}
+            style={{ padding: '4px 10px', border: 'none', borderRadius: 4, backgroundColor: '#dc3545', color: 'white', cursor: 'pointer' }}
+          >
+            Cancel rejoin
+          </button>
+        </div>
+      )}
+
       {/* Authentication */}
       <div style={{ marginBottom: 20, padding: 16, backgroundColor: '#f8f9fa', borderRadius: 8 }}>
         <h4>Authentication</h4>
-        <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'end' }}>
-          <div style={{ display: 'flex', flexDirection: 'column' }}>
-            <label style={{ fontSize: '12px', marginBottom: 4 }}>JWT Token</label>
-            <input
-              placeholder="JWT Token (from your backend)"
-              defaultValue={appJwt}
-              onBlur={e => {
-                localStorage.setItem('app_jwt', e.target.value);
-                setAppJwt(e.target.value);
-              }}
-              style={{ minWidth: 300, padding: 8 }}
-            />
-          </div>
-          <div style={{ display: 'flex', flexDirection: 'column' }}>
-            <label style={{ fontSize: '12px', marginBottom: 4 }}>Username</label>
-            <input
-              placeholder="Username"
-              defaultValue={username}
-              onBlur={e => {
-                localStorage.setItem('username', e.target.value);
-                setUsername(e.target.value);
-              }}
-              style={{ minWidth: 150, padding: 8 }}
-            />
-          </div>
-          {avatarImage && (
-            <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
-              <label style={{ fontSize: '12px', marginBottom: 4 }}>Your Avatar</label>
-              <img 
+        {!appJwt && <LoginForm auth={auth} />}
+        {appJwt && (
+          <div style={{ display: 'flex', gap: 12, flexWrap: 'wrap', alignItems: 'center' }}>
+            {avatarImage && (
+              <img
                 src={avatarImage}
                 alt="Your avatar"
-                style={{ 
-                  width: 40, 
-                  height: 40, 
-                  borderRadius: '50%', 
+                style={{
+                  width: 40,
+                  height: 40,
+                  borderRadius: '50%',
                   border: '2px solid #28a745',
                   backgroundColor: '#f8f9fa'
                 }}
                 onError={(e) => {
-                  e.target.src = `https://ui-avatars.com/api/?name=${encodeURIComponent(username || 'User')}&background=007bff&color=fff&size=40&rounded=true`;
+                  e.target.src = fallbackAvatar(username);
                 }}
               />
+            )}
+            <div>
+              <div>Signed in as <strong>{username}</strong></div>
+              <div style={{ fontSize: '12px', color: '#666' }}>
+                {auth.expiresAt
+                  ? `Session expires at ${new Date(auth.expiresAt).toLocaleTimeString()}`
+                  : 'Session does not expire'}
+              </div>
             </div>
-          )}
-        </div>
+            <button
+              onClick={logout}
+              style={{ padding: 8, backgroundColor: '#6c757d', color: 'white', border: 'none', borderRadius: 4 }}
+            >
+              Log out
+            </button>
+          </div>
+        )}
         {avatarImage && (
           <div style={{ marginTop: 8, fontSize: '12px', color: '#666' }}>
             Avatar loaded from backend: {avatarImage}
@@ -758,6 +240,8 @@ function App() {
         )}
       </div>
 
+      {showDirectory && <RoomDirectory directory={directory} onJoin={joinFromDirectory} />}
+
       {/* Room Controls */}
       <div style={{ marginBottom: 20, padding: 16, backgroundColor: '#f8f9fa', borderRadius: 8 }}>
         <h4>Room Controls</h4>
@@ -765,28 +249,30 @@ function App() {
           <input
             id="roomName"
             placeholder="Room Name (e.g., room_1)"
+            value={roomName}
+            onChange={e => setRoomName(e.target.value)}
             style={{ padding: 8, minWidth: 200 }}
           />
           <button
-            onClick={() => joinRoom(document.getElementById('roomName')?.value)}
-            disabled={joined || !appJwt || !username}
+            onClick={() => join(roomName)}
+            disabled={!idle || !appJwt || !username}
             style={{
               padding: 8,
-              backgroundColor: joined ? '#6c757d' : '#007bff',
+              backgroundColor: !idle ? '#6c757d' : '#007bff',
               color: 'white',
               border: 'none',
               borderRadius: 4,
-              cursor: (joined || !appJwt || !username) ? 'not-allowed' : 'pointer'
+              cursor: (!idle || !appJwt || !username) ? 'not-allowed' : 'pointer'
             }}
           >
-            {joined ? 'Connected' : 'Join Room'}
+            {joined ? 'Connected' : joining ? 'Joining...' : 'Join Room'}
           </button>
           <button
-            onClick={leaveRoom}
-            disabled={!joined}
+            onClick={leave}
+            disabled={!joined && !joining}
             style={{
               padding: 8,
-              backgroundColor: joined ? '#dc3545' : '#6c757d',
+              backgroundColor: (joined || joining) ? '#dc3545' : '#6c757d',
               color: 'white',
               border: 'none',
               borderRadius: 4
@@ -795,13 +281,25 @@ function App() {
             Leave Room
           </button>
           <button
-            onClick={() => stopBroadcast(document.getElementById('roomName')?.value)}
+            onClick={() => stopBroadcast(roomName)}
             disabled={!appJwt}
             style={{ padding: 8, backgroundColor: '#ffc107', color: 'black', border: 'none', borderRadius: 4 }}
           >
             Stop Broadcast
           </button>
+          {route.name === 'room' && <InviteLinkButton roomName={route.roomName} />}
         </div>
+        {/* A finished recording stays downloadable after leaving */}
+        {(joined || recorder.recording) && (
+          <div style={{ marginTop: 12 }}>
+            <RecordingControls recorder={recorder} userRole={userRole} canStart={joined} />
+          </div>
+        )}
+        {joined && (
+          <div style={{ marginTop: 12 }}>
+            <ReactionBar reactions={reactions} />
+          </div>
+        )}
       </div>
 
       {/* Video Grid */}
@@ -820,18 +318,39 @@ function App() {
             backgroundColor: '#f8f9fa',
             padding: 8
           }}>
-            {!joined && (
+            {idle && <Lobby lobby={lobby} media={lobbyMedia} />}
+            {!joined && !idle && (
               <span style={{ color: '#666' }}>Not connected to room</span>
             )}
             {joined && userRole === 'viewer' && (
-              <span style={{ color: '#666' }}>Viewer mode - no camera needed</span>
+              <span style={{ display: 'flex', alignItems: 'center', gap: 8, color: '#666' }}>
+                Viewer mode - no camera needed
+                <NetworkQualityBars level={localNetworkQualityLevel} />
+              </span>
             )}
             {joined && userRole === 'broadcaster' && localVideoTrack && (
-              <VideoComponent
-                track={localVideoTrack}
-                participantId={username}
-                isLocal={true}
-              />
+              <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center' }}>
+                <VideoComponent
+                  track={localVideoTrack}
+                  participantId={username}
+                  isLocal={true}
+                  label={`You (${userRole})${media.videoEnabled ? '' : ' - camera off'}${media.audioEnabled ? '' : ' - muted'}`}
+                  elementsRef={videoElementsRef}
+                  networkQualityLevel={localNetworkQualityLevel}
+                  overlay={<ReactionsOverlay bubbles={reactions.bubbles} />}
+                />
+                {screenShare.screenTrack && (
+                  <VideoComponent
+                    track={screenShare.screenTrack}
+                    participantId={username}
+                    isLocal={true}
+                    label={`Your screen${screenShare.shareMode === 'replace' ? ' (camera hidden from viewers)' : ''}`}
+                    elementsRef={videoElementsRef}
+                    large
+                  />
+                )}
+                <MediaControls media={media} screenShare={screenShare} />
+              </div>
             )}
             {joined && userRole === 'broadcaster' && !localVideoTrack && (
               <span style={{ color: '#666' }}>Starting camera...</span>
@@ -842,143 +361,26 @@ function App() {
         {/* Remote Videos */}
         <div style={{ flex: 1 }}>
           <h3>Remote Participants ({participants.size})</h3>
-          <div style={{
-            minHeight: 260,
-            border: '2px dashed #007bff',
-            borderRadius: 8,
-            padding: 8,
-            backgroundColor: '#f8f9fa'
-          }}>
-            {!joined && (
-              <div style={{
-                display: 'flex',
-                alignItems: 'center',
-                justifyContent: 'center',
-                height: '100%',
-                color: '#666'
-              }}>
-                Join a room to see other participants
-              </div>
-            )}
-            {joined && participants.size === 0 && (
-              <div style={{
-                display: 'flex',
-                alignItems: 'center',
-                justifyContent: 'center',
-                height: '100%',
-                color: '#666'
-              }}>
-                Waiting for other participants...
-              </div>
-            )}
-            {joined && participants.size > 0 && (
-              <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8 }}>
-                {Array.from(participants.values()).map(participant => (
-                  <VideoComponent
-                    key={participant.sid}
-                    track={participant.videoTrack}
-                    participantId={participant.identity}
-                    isLocal={false}
-                  />
-                ))}
-              </div>
-            )}
-          </div>
+          <BroadcastPlayer room={room} overlay={<ReactionsOverlay bubbles={reactions.bubbles} />} />
         </div>
       </div>
 
       {/* Chat Section */}
-      <div style={{ marginBottom: 20 }}>
-        <h3>Persistent Chat ({messages.length} messages)</h3>
-        <div style={{
-          border: '1px solid #dee2e6',
-          padding: 12,
-          height: 250,
-          overflow: 'auto',
-          backgroundColor: 'white',
-          borderRadius: 8,
-          marginBottom: 8
-        }}>
-          {messages.map((m, i) => (
-            <div key={`${m.sid || m.username}-${m.ts}-${i}`} style={{
-              marginBottom: 8,
-              padding: 8,
-              backgroundColor: m.username === username ? '#e3f2fd' : '#f5f5f5',
-              borderRadius: 4,
-              borderLeft: `3px solid ${m.username === username ? '#2196f3' : '#9e9e9e'}`
-            }}>
-              <div style={{ display: 'flex', alignItems: 'center', marginBottom: 4 }}>
-                <img 
-                  src={m.avatarImage || `https://ui-avatars.com/api/?name=${encodeURIComponent(m.username || 'User')}&background=007bff&color=fff&size=24&rounded=true`}
-                  alt={`${m.username}'s avatar`}
-                  style={{ 
-                    width: 24, 
-                    height: 24, 
-                    borderRadius: '50%', 
-                    marginRight: 8,
-                    backgroundColor: '#f8f9fa'
-                  }}
-                  onError={(e) => {
-                    e.target.src = `https://ui-avatars.com/api/?name=${encodeURIComponent(m.username || 'User')}&background=007bff&color=fff&size=24&rounded=true`;
-                  }}
-                />
-                <div style={{ fontSize: '11px', color: '#666' }}>
-                  <strong>{m.username}</strong> - {new Date(m.ts).toLocaleTimeString()}
-                </div>
-              </div>
-              <div style={{ marginLeft: 32 }}>{m.text}</div>
-            </div>
-          ))}
-          {messages.length === 0 && (
-            <div style={{
-              color: '#666',
-              fontStyle: 'italic',
-              textAlign: 'center',
-              marginTop: 100,
-              fontSize: '14px'
-            }}>
-              {conversationStatus === 'connected'
-                ? 'No messages yet. Start the conversation!'
-                : 'Connecting to chat...'}
-            </div>
-          )}
-        </div>
-
-        <div style={{ display: 'flex', gap: 8 }}>
-          <input
-            id="chatInput"
-            placeholder={conversationStatus === 'connected' ? "Type your message here..." : "Connecting to chat..."}
-            style={{
-              flex: 1,
-              padding: 10,
-              border: '1px solid #dee2e6',
-              borderRadius: 4,
-              fontSize: '14px'
-            }}
-            onKeyPress={handleChatKeyPress}
-            disabled={conversationStatus !== 'connected'}
-          />
-          <button
-            onClick={sendMessage}
-            disabled={conversationStatus !== 'connected'}
-            style={{
-              padding: '10px 20px',
-              backgroundColor: conversationStatus === 'connected' ? '#28a745' : '#6c757d',
-              color: 'white',
-              border: 'none',
-              borderRadius: 4,
-              cursor: conversationStatus === 'connected' ? 'pointer' : 'not-allowed'
-            }}
-          >
-            Send
-          </button>
-        </div>
-      </div>
+      <ChatPanel conversation={conversation} username={username} avatarImage={avatarImage} moderation={moderation} />
 
       {/* Participants List */}
       {joined && (
         <div style={{ marginBottom: 20, padding: 16, backgroundColor: '#e9ecef', borderRadius: 8 }}>
           <h4>Connected Participants:</h4>
+          {poorBroadcasters.map(participant => (
+            <div
+              key={participant.sid}
+              role="alert"
+              style={{ marginBottom: 8, padding: '6px 10px', backgroundColor: '#fff3cd', border: '1px solid #ffc107', borderRadius: 4, fontSize: '12px' }}
+            >
+              ⚠️ {participant.identity} has a poor connection - their stream may freeze or drop in quality
+            </div>
+          ))}
           <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8 }}>
             <span style={{
               padding: '4px 8px',
@@ -1000,7 +402,16 @@ function App() {
                   fontSize: '12px'
                 }}
               >
-                {participant.identity} - {participant.videoTrack ? 'Video' : 'Audio only'}
+                {participant.identity} - {participant.videoTrack ? 'Video' : 'Audio only'}{participant.screenTrack ? ' + Screen' : ''}
+                {moderation.isModerator && (
+                  <button
+                    onClick={() => moderation.kickParticipant(participant.identity)}
+                    aria-label={`Kick ${participant.identity}`}
+                    style={{ marginLeft: 6, padding: '0 6px', border: 'none', borderRadius: 4, backgroundColor: '#dc3545', color: 'white', cursor: 'pointer', fontSize: '11px' }}
+                  >
+                    Kick
+                  </button>
+                )}
               </span>
             ))}
           </div>
@@ -1029,7 +440,8 @@ function App() {
         }}>
           <div><strong>App State:</strong></div>
           <div>• Connected: {joined ? 'Yes' : 'No'}</div>
-          <div>• Video Status: {connectionStatus}</div>
+          <div>• Video Status: {connectionStatus} (attempt {lifecycle.attempt})</div>
+          {lifecycle.error && <div>• Last Error: {lifecycle.error}</div>}
           <div>• Chat Status: {conversationStatus}</div>
           <div>• User Role: {userRole || 'None'}</div>
           <div>• Avatar Image: {avatarImage || 'Using generated avatar'}</div>
@@ -1068,6 +480,15 @@ function App() {
               <div>• Conversation Status: {conversationRef.current.status}</div>
             </>
           )}
+
+          <div style={{ marginTop: 8 }}><strong>Connection Timeline:</strong></div>
+          {diagnostics.timeline.slice(-10).map(entry => (
+            <div key={`${entry.timestamp}-${entry.status}-${entry.attempt}`}>
+              • {new Date(entry.timestamp).toLocaleTimeString()} {entry.status}{entry.error ? ` - ${entry.error}` : ''}
+            </div>
+          ))}
+
+          <StatsPanel room={room} diagnostics={diagnostics} />
         </div>
       </details>
 
@@ -1075,7 +496,7 @@ function App() {
       <div style={{ marginTop: 20, padding: 16, backgroundColor: '#cff4fc', borderRadius: 8, border: '1px solid #b6effb' }}>
         <h4>📋 How to Use:</h4>
         <div style={{ fontSize: '14px', lineHeight: '1.6' }}>
-          <p><strong>Step 1:</strong> Enter your JWT token, username, and optionally an avatar URL</p>
+          <p><strong>Step 1:</strong> Sign in with your username and password</p>
           <p><strong>Step 2:</strong> Enter a room name (must be the same for broadcaster and viewers)</p>
           <p><strong>Step 3 (Broadcaster):</strong> Click "Join Room" - your camera will start broadcasting</p>
           <p><strong>Step 3 (Viewer):</strong> Click "Join Room" - you'll see the broadcaster's video</p>
@@ -1,8 +1,921 @@
-import { render, screen } from '@testing-library/react';
+import { act, render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import axios from 'axios';
 import App from './App';
+import { createFakeProvider } from './providers/fakeProvider';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+jest.mock('axios');
+
+const CONVERSATION_SID = 'CH00000000000000000000000000000001';
+
+// Unsigned JWT with the given payload; the app only reads the claims
+function jwt(claims) {
+  const encode = value => btoa(JSON.stringify(value)).replace(/=+$/, '');
+  return `${encode({ alg: 'none' })}.${encode(claims)}.sig`;
+}
+
+const inSeconds = seconds => Math.floor(Date.now() / 1000) + seconds;
+const APP_JWT = jwt({ username: 'me', exp: inSeconds(24 * 60 * 60) });
+
+function mockTokenResponse(role) {
+  axios.post.mockImplementation(async (url) => {
+    if (url.endsWith('/generateAccessToken')) {
+      return {
+        data: {
+          token: 'video-token',
+          role,
+          conversationToken: 'conversation-token',
+          conversationSid: CONVERSATION_SID,
+          avatarImage: 'avatars/me.png'
+        }
+      };
+    }
+    return { data: { success: true } };
+  });
+}
+
+async function joinRoom(roomName = 'room_1') {
+  userEvent.type(screen.getByPlaceholderText(/room name/i), roomName);
+  userEvent.click(screen.getByRole('button', { name: 'Join Room' }));
+  await screen.findByRole('button', { name: 'Connected' });
+}
+
+beforeEach(() => {
+  localStorage.setItem('app_jwt', APP_JWT);
+  axios.get.mockResolvedValue({ data: { rooms: [] } });
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(window, 'alert').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  window.history.replaceState(null, '', '/');
+  localStorage.clear();
+  jest.restoreAllMocks();
+});
+
+test('renders the join controls while disconnected', async () => {
+  render(<App provider={createFakeProvider()} />);
+  expect(screen.getByRole('button', { name: 'Join Room' })).toBeEnabled();
+  expect(await screen.findByRole('button', { name: 'Start camera preview' })).toBeInTheDocument();
+});
+
+test('viewer joins, sees the broadcaster, chats and leaves', async () => {
+  mockTokenResponse('viewer');
+  const provider = createFakeProvider({ identity: 'me' });
+  const conversation = provider.getConversation(CONVERSATION_SID);
+  conversation.receiveMessage('host_1', 'Welcome everyone');
+  const room = provider.getRoom('room_1');
+  room.addParticipant('host_1');
+  room.addParticipant('admin_mod');
+
+  render(<App provider={provider} />);
+  await joinRoom();
+
+  expect(axios.post).toHaveBeenCalledWith(
+    expect.stringMatching(/\/api\/frontend\/twilio\/generateAccessToken$/),
+    { roomName: 'room_1' },
+    { headers: { Authorization: `Bearer ${APP_JWT}` } }
+  );
+  expect(screen.getByText('Viewer mode - no camera needed')).toBeInTheDocument();
+
+  // Existing history and participants are picked up; admin_ identities stay hidden
+  expect(await screen.findByText('Welcome everyone')).toBeInTheDocument();
+  expect(screen.getByText('Remote Participants (1)')).toBeInTheDocument();
+  expect(screen.queryByText(/admin_mod/)).not.toBeInTheDocument();
+
+  // Someone joins later and messages arrive live
+  let guest;
+  act(() => { guest = room.addParticipant('guest_1', { tracks: ['audio'] }); });
+  expect(await screen.findByText('Remote Participants (2)')).toBeInTheDocument();
+  act(() => { conversation.receiveMessage('guest_1', 'hi from guest'); });
+  expect(await screen.findByText('hi from guest')).toBeInTheDocument();
+
+  // Our own message round-trips through the conversation
+  userEvent.type(screen.getByPlaceholderText(/type your message/i), 'hello room{enter}');
+  expect(await screen.findByText('hello room')).toBeInTheDocument();
+  expect(conversation.messages[conversation.messages.length - 1].attributes.avatarImage)
+    .toMatch(/avatars\/me\.png$/);
+
+  // Leaving participants are removed from the grid and from the conversation backend
+  act(() => room.removeParticipant(guest));
+  expect(await screen.findByText('Remote Participants (1)')).toBeInTheDocument();
+  expect(axios.post).toHaveBeenCalledWith(
+    expect.stringMatching(/\/removeParticipant$/),
+    { conversationSid: CONVERSATION_SID, participantIdentity: 'guest_1' },
+    expect.anything()
+  );
+
+  userEvent.click(screen.getByRole('button', { name: 'Leave Room' }));
+  expect(await screen.findByRole('button', { name: 'Start camera preview' })).toBeInTheDocument();
+  expect(room.state).toBe('disconnected');
+  expect(screen.queryByText('hello room')).not.toBeInTheDocument();
+});
+
+test('chat shows who is typing and announces our typing', async () => {
+  mockTokenResponse('viewer');
+  const provider = createFakeProvider({ identity: 'me' });
+  const conversation = provider.getConversation(CONVERSATION_SID);
+
+  render(<App provider={provider} />);
+  await joinRoom();
+
+  act(() => conversation.simulateTyping('host_1'));
+  expect(screen.getByText('host_1 is typing...')).toBeInTheDocument();
+  act(() => conversation.simulateTyping('guest_1'));
+  expect(screen.getByText('host_1 and guest_1 are typing...')).toBeInTheDocument();
+  act(() => conversation.simulateTyping('host_1', false));
+  act(() => conversation.simulateTyping('guest_1', false));
+  expect(screen.queryByText(/typing\.\.\./)).not.toBeInTheDocument();
+
+  userEvent.type(screen.getByPlaceholderText(/type your message/i), 'hi');
+  expect(conversation.typingCount).toBe(2);
+});
+
+test('authors can edit and delete their own messages', async () => {
+  mockTokenResponse('viewer');
+  const provider = createFakeProvider({ identity: 'me' });
+  const conversation = provider.getConversation(CONVERSATION_SID);
+  conversation.receiveMessage('host_1', 'not yours');
+  jest.spyOn(window, 'confirm').mockReturnValue(true);
+
+  render(<App provider={provider} />);
+  await joinRoom();
+  await screen.findByText('not yours');
+  // Only our own messages get controls
+  expect(screen.queryByRole('button', { name: 'Edit' })).not.toBeInTheDocument();
+
+  userEvent.type(screen.getByPlaceholderText(/type your message/i), 'helo{enter}');
+  await screen.findByText('helo');
+
+  userEvent.click(screen.getByRole('button', { name: 'Edit' }));
+  const editor = screen.getByRole('textbox', { name: 'Edit message' });
+  userEvent.clear(editor);
+  userEvent.type(editor, 'hello{enter}');
+  expect(await screen.findByText('hello')).toBeInTheDocument();
+  expect(await screen.findByText(/\(edited /)).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: 'Delete' }));
+  await waitFor(() => expect(screen.queryByText('hello')).not.toBeInTheDocument());
+  expect(conversation.messages.map(m => m.body)).toEqual(['not yours']);
+});
+
+test('own messages and reactions follow the chat identity, not the display name', async () => {
+  localStorage.setItem('app_jwt', jwt({ username: 'Me Myself', exp: inSeconds(60 * 60) }));
+  mockTokenResponse('viewer');
+  const provider = createFakeProvider({ identity: 'me' });
+  const conversation = provider.getConversation(CONVERSATION_SID);
+  conversation.receiveMessage('Me Myself', 'same name, someone else');
+
+  render(<App provider={provider} />);
+  await joinRoom();
+  await screen.findByText('same name, someone else');
+  expect(screen.queryByRole('button', { name: 'Edit' })).not.toBeInTheDocument();
+
+  userEvent.type(screen.getByPlaceholderText(/type your message/i), 'mine{enter}');
+  await screen.findByText('mine');
+  expect(screen.getAllByRole('button', { name: 'Edit' })).toHaveLength(1);
+});
+
+test('admins get moderation tools in chat and the participant list', async () => {
+  mockTokenResponse('viewer');
+  const provider = createFakeProvider({ identity: 'admin_me' });
+  const conversation = provider.getConversation(CONVERSATION_SID);
+  conversation.receiveMessage('guest_1', 'spam');
+  provider.getRoom('room_1').addParticipant('guest_1');
+  jest.spyOn(window, 'confirm').mockReturnValue(true);
+
+  render(<App provider={provider} />);
+  await joinRoom();
+  await screen.findByText('spam');
+
+  userEvent.click(screen.getByRole('button', { name: 'Time out' }));
+  expect(await screen.findByText(/guest_1 \(until /)).toBeInTheDocument();
+  expect(Object.keys(conversation.attributes.moderation.mutedChatters)).toEqual(['guest_1']);
+
+  userEvent.selectOptions(screen.getByRole('combobox', { name: 'Slow mode' }), '10');
+  expect(await screen.findByText('Slow mode: one message every 10s')).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: 'Delete' }));
+  await waitFor(() => expect(screen.queryByText('spam')).not.toBeInTheDocument());
+
+  userEvent.click(screen.getByRole('button', { name: 'Kick guest_1' }));
+  await waitFor(() => expect(axios.post).toHaveBeenCalledWith(
+    expect.stringMatching(/\/kickParticipant$/),
+    { roomName: 'room_1', participantIdentity: 'guest_1' },
+    expect.anything()
+  ));
+});
+
+test('an expired time-out offers moderation again, and refused updates are reported', async () => {
+  mockTokenResponse('viewer');
+  const provider = createFakeProvider({ identity: 'admin_me' });
+  const conversation = provider.getConversation(CONVERSATION_SID);
+  conversation.attributes = { moderation: { mutedChatters: { guest_1: Date.now() - 1000 } } };
+  conversation.receiveMessage('guest_1', 'back again');
+
+  render(<App provider={provider} />);
+  await joinRoom();
+  await screen.findByText('back again');
+
+  expect(screen.queryByRole('button', { name: 'Unmute' })).not.toBeInTheDocument();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(conversation, 'updateAttributes').mockRejectedValue(new Error('Forbidden'));
+  userEvent.click(screen.getByRole('button', { name: 'Time out' }));
+  await waitFor(() => expect(window.alert).toHaveBeenCalledWith('Failed to time out guest_1: Forbidden'));
+
+  userEvent.selectOptions(screen.getByRole('combobox', { name: 'Slow mode' }), '10');
+  await waitFor(() => expect(window.alert).toHaveBeenCalledWith('Failed to change slow mode: Forbidden'));
+});
+
+test('chat shows image thumbnails with a lightbox and uploads attachments', async () => {
+  mockTokenResponse('viewer');
+  const provider = createFakeProvider({ identity: 'me' });
+  const conversation = provider.getConversation(CONVERSATION_SID);
+  conversation.receiveMedia('host_1', [{ filename: 'stage.png', contentType: 'image/png', size: 1234 }]);
+
+  render(<App provider={provider} />);
+  await joinRoom();
+
+  userEvent.click(await screen.findByRole('img', { name: 'stage.png' }));
+  const lightbox = screen.getByRole('dialog', { name: 'stage.png' });
+  userEvent.click(lightbox);
+  expect(screen.queryByRole('dialog')).not.toBeInTheDocument();
+
+  userEvent.upload(screen.getByLabelText('Attach'), new File(['notes'], 'notes.txt', { type: 'text/plain' }));
+  expect(screen.getByRole('status', { name: 'Uploading notes.txt' })).toHaveTextContent('Uploading...');
+  expect(await screen.findByRole('link', { name: 'notes.txt (5 B)' })).toHaveAttribute('href', expect.stringMatching(/notes\.txt$/));
+  expect(conversation.messages[1].attributes.avatarImage).toMatch(/avatars\/me\.png$/);
+});
+
+test('messages show reaction counts and whether you reacted', async () => {
+  mockTokenResponse('viewer');
+  const provider = createFakeProvider({ identity: 'me' });
+  const conversation = provider.getConversation(CONVERSATION_SID);
+  conversation.receiveMessage('host_1', 'Going live!', { reactions: { '🎉': ['guest_1'] } });
+
+  render(<App provider={provider} />);
+  await joinRoom();
+
+  userEvent.click(await screen.findByRole('button', { name: '🎉 1' }));
+  const reacted = await screen.findByRole('button', { name: '🎉 2, you reacted' });
+  expect(reacted).toHaveAttribute('aria-pressed', 'true');
+
+  userEvent.click(screen.getByRole('button', { name: 'Add reaction' }));
+  userEvent.click(screen.getByRole('button', { name: 'React with 👍' }));
+  expect(await screen.findByRole('button', { name: '👍 1, you reacted' })).toBeInTheDocument();
+  expect(conversation.messages[0].attributes.reactions).toEqual({ '🎉': ['guest_1', 'me'], '👍': ['me'] });
+});
+
+test('remote audio elements follow participants and are removed on leave', async () => {
+  mockTokenResponse('viewer');
+  const provider = createFakeProvider({ identity: 'me' });
+  const room = provider.getRoom('room_1');
+  room.addParticipant('host_1');
+
+  render(<App provider={provider} />);
+  await joinRoom();
+  expect(document.querySelectorAll('audio')).toHaveLength(1);
+
+  let guest;
+  act(() => { guest = room.addParticipant('guest_1'); });
+  expect(document.querySelectorAll('audio')).toHaveLength(2);
+
+  // Per-participant controls drive the element
+  userEvent.click(screen.getByRole('button', { name: 'Mute guest_1' }));
+  expect(screen.getByRole('button', { name: 'Unmute guest_1' })).toBeInTheDocument();
+
+  // Unsubscribing and leaving take the elements away
+  const [audioPublication] = Array.from(guest.tracks.values()).filter(p => p.kind === 'audio');
+  act(() => guest.unpublishTrack(audioPublication.track));
+  expect(document.querySelectorAll('audio')).toHaveLength(1);
+  act(() => room.removeParticipant(guest));
+
+  userEvent.click(screen.getByRole('button', { name: 'Leave Room' }));
+  await screen.findByRole('button', { name: 'Start camera preview' });
+  expect(document.querySelectorAll('audio')).toHaveLength(0);
+});
+
+test('a blocked autoplay shows a prompt that enables sound', async () => {
+  mockTokenResponse('viewer');
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const blocked = Object.assign(new Error('user gesture required'), { name: 'NotAllowedError' });
+  const play = jest.spyOn(window.HTMLMediaElement.prototype, 'play').mockRejectedValue(blocked);
+  const provider = createFakeProvider({ identity: 'me' });
+  provider.getRoom('room_1').addParticipant('host_1');
+
+  render(<App provider={provider} />);
+  await joinRoom();
+
+  play.mockResolvedValue();
+  userEvent.click(await screen.findByRole('button', { name: /click to enable sound/ }));
+  await waitFor(() => expect(screen.queryByRole('button', { name: /click to enable sound/ })).not.toBeInTheDocument());
+  expect(play).toHaveBeenCalledTimes(2);
+});
+
+test('the dominant speaker is highlighted and fills the speaker view unless someone is pinned', async () => {
+  mockTokenResponse('viewer');
+  const provider = createFakeProvider({ identity: 'me' });
+  const room = provider.getRoom('room_1');
+  const host = room.addParticipant('host_1');
+  const guest = room.addParticipant('guest_1');
+
+  render(<App provider={provider} />);
+  await joinRoom();
+  const speaking = () => Array.from(document.querySelectorAll('[data-speaking]')).map(tile => tile.textContent);
+
+  act(() => room.simulateDominantSpeaker(guest));
+  expect(speaking()).toEqual(['guest_1']);
+
+  userEvent.click(screen.getByRole('button', { name: 'Speaker view' }));
+  expect(within(screen.getByTestId('speaker-stage')).getByText('guest_1')).toBeInTheDocument();
+  expect(within(screen.getByTestId('filmstrip')).getByText('host_1')).toBeInTheDocument();
+
+  // A pin overrides the automatic choice until it is released
+  userEvent.click(screen.getByRole('button', { name: 'Pin host_1' }));
+  act(() => room.simulateDominantSpeaker(guest));
+  expect(within(screen.getByTestId('speaker-stage')).getByText('host_1')).toBeInTheDocument();
+  userEvent.click(screen.getByRole('button', { name: 'Unpin host_1' }));
+  expect(within(screen.getByTestId('speaker-stage')).getByText('guest_1')).toBeInTheDocument();
+
+  act(() => room.simulateDominantSpeaker(host));
+  expect(within(screen.getByTestId('speaker-stage')).getByText('host_1')).toBeInTheDocument();
+  expect(speaking()).toEqual(['host_1']);
+
+  userEvent.click(screen.getByRole('button', { name: 'Grid' }));
+  expect(screen.queryByTestId('speaker-stage')).not.toBeInTheDocument();
+});
+
+test('network quality bars show on tiles and a weak broadcaster connection is flagged', async () => {
+  mockTokenResponse('viewer');
+  const provider = createFakeProvider({ identity: 'me' });
+  const room = provider.getRoom('room_1');
+  const host = room.addParticipant('host_1');
+  const viewer = room.addParticipant('viewer_2', { tracks: [] });
+
+  render(<App provider={provider} />);
+  await joinRoom();
+  expect(room.connectOptions.networkQuality).toEqual({ local: 1, remote: 1 });
+  expect(screen.getAllByRole('img', { name: 'Network quality unknown' })).toHaveLength(3);
+
+  act(() => room.localParticipant.simulateNetworkQuality(5));
+  act(() => host.simulateNetworkQuality(4));
+  expect(screen.getByRole('img', { name: 'Network quality 5 of 5' })).toBeInTheDocument();
+  expect(screen.getByRole('img', { name: 'Network quality 4 of 5' })).toBeInTheDocument();
+  expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+
+  // Viewers don't publish, so their connection doesn't affect the stream
+  act(() => viewer.simulateNetworkQuality(1));
+  expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+
+  act(() => host.simulateNetworkQuality(2));
+  expect(screen.getByRole('alert')).toHaveTextContent('host_1 has a poor connection');
+  act(() => host.simulateNetworkQuality(3));
+  expect(screen.queryByRole('alert')).not.toBeInTheDocument();
+});
+
+test('viewers choose a video quality that applies to every remote video track', async () => {
+  mockTokenResponse('viewer');
+  const provider = createFakeProvider({ identity: 'me' });
+  const room = provider.getRoom('room_1');
+  const host = room.addParticipant('host_1');
+  const videoOf = participant => Array.from(participant.tracks.values()).find(p => p.kind === 'video').track;
+
+  render(<App provider={provider} />);
+  await joinRoom();
+  expect(room.connectOptions.preferredVideoCodecs).toEqual([{ codec: 'VP8', simulcast: true }]);
+  expect(room.connectOptions.bandwidthProfile.video.mode).toBe('presentation');
+  expect(room.connectOptions).not.toHaveProperty('maxVideoBitrate');
+
+  const quality = screen.getByRole('combobox', { name: 'Video quality' });
+  expect(quality).toHaveValue('auto');
+  userEvent.selectOptions(quality, 'low');
+  expect(videoOf(host).priority).toBe('low');
+  // A priority hint, not a promise of a lower layer
+  expect(within(quality).getByRole('option', { selected: true })).toHaveTextContent('Low priority');
+
+  userEvent.selectOptions(quality, 'audio-only');
+  expect(videoOf(host).isSwitchedOff).toBe(true);
+  expect(screen.getByText('Video off (audio only)')).toBeInTheDocument();
+
+  // Tracks arriving later follow the current choice
+  let guest;
+  act(() => { guest = room.addParticipant('guest_1'); });
+  expect(videoOf(guest).isSwitchedOff).toBe(true);
+  expect(screen.getByRole('button', { name: 'Mute guest_1' })).toBeInTheDocument();
+
+  userEvent.selectOptions(quality, 'auto');
+  expect(videoOf(host).isSwitchedOff).toBe(false);
+  expect(videoOf(host).priority).toBeNull();
+});
+
+test('the debug panel charts live stats and downloads diagnostics', async () => {
+  mockTokenResponse('viewer');
+  const provider = createFakeProvider({ identity: 'me' });
+  provider.getRoom('room_1').addParticipant('host_1');
+  jest.spyOn(URL, 'createObjectURL').mockReturnValue('blob:diagnostics');
+  jest.spyOn(URL, 'revokeObjectURL');
+  let download;
+  jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () { download = this.download; });
+
+  render(<App provider={provider} />);
+  await joinRoom();
+  userEvent.click(screen.getByText(/Debug Information/));
+
+  expect(await screen.findByText('host_1 - video received')).toBeInTheDocument();
+  expect(screen.getByText('Frame rate: 24 fps')).toBeInTheDocument();
+  expect(screen.getByRole('img', { name: 'host_1 - video received Frame rate' })).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: 'Download diagnostics' }));
+  expect(URL.createObjectURL).toHaveBeenCalledWith(expect.any(Blob));
+  expect(download).toMatch(/^diagnostics-room_1-.*\.json$/);
+  // Revoked later, once the browser has had a chance to start the download
+  expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+});
+
+test('a dropped connection shows the rejoin attempt and can be cancelled', async () => {
+  mockTokenResponse('viewer');
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const provider = createFakeProvider({ identity: 'me' });
+  const conversation = provider.getConversation(CONVERSATION_SID);
+  conversation.receiveMessage('host_1', 'Welcome everyone');
+
+  render(<App provider={provider} />);
+  await joinRoom();
+  const lost = Object.assign(new Error('Signaling connection timed out'), { code: 53002 });
+  act(() => provider.getRoom('room_1').simulateDisconnect(lost));
+
+  expect(screen.getByRole('status')).toHaveTextContent('Connection lost - rejoining (attempt 1 of 5)');
+  expect(screen.getByText('Welcome everyone')).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: 'Cancel rejoin' }));
+  expect(await screen.findByRole('button', { name: 'Start camera preview' })).toBeInTheDocument();
+  expect(screen.queryByRole('status')).not.toBeInTheDocument();
+});
+
+test('an expiring app JWT is renewed and a failed renewal shows a warning', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const expiring = jwt({ username: 'me', exp: inSeconds(30) });
+  const renewed = jwt({ username: 'me', exp: inSeconds(60 * 60) });
+  localStorage.setItem('app_jwt', expiring);
+  axios.post.mockResolvedValueOnce({ data: { token: renewed } });
+
+  const { unmount } = render(<App provider={createFakeProvider()} />);
+  await waitFor(() => expect(localStorage.getItem('app_jwt')).toBe(renewed));
+  expect(axios.post).toHaveBeenCalledWith(
+    expect.stringMatching(/\/api\/frontend\/auth\/refresh$/),
+    {},
+    { headers: { Authorization: `Bearer ${expiring}` } }
+  );
+  expect(await screen.findByRole('button', { name: 'Start camera preview' })).toBeInTheDocument();
+  unmount();
+
+  localStorage.setItem('app_jwt', expiring);
+  axios.post.mockRejectedValue({ response: { data: { message: 'Session revoked' } } });
+  render(<App provider={createFakeProvider()} />);
+  expect(await screen.findByRole('alert', {}, { timeout: 6000 }))
+    .toHaveTextContent('Your session could not be renewed: Session revoked');
+}, 10000);
+
+test('signing in shows the identity, and logging out leaves the room and clears storage', async () => {
+  localStorage.clear();
+  localStorage.setItem('username', 'old-name');
+  const token = jwt({ username: 'me', exp: inSeconds(60 * 60) });
+  axios.post.mockImplementation(async (url, body) => {
+    if (url.endsWith('/auth/login')) return { data: { token } };
+    return { data: { token: 'video-token', role: 'viewer', conversationToken: 'conversation-token', conversationSid: CONVERSATION_SID } };
+  });
+  const provider = createFakeProvider({ identity: 'me' });
+
+  render(<App provider={provider} />);
+  expect(screen.getByRole('button', { name: 'Join Room' })).toBeDisabled();
+  userEvent.type(screen.getByLabelText('Username'), 'me');
+  userEvent.type(screen.getByLabelText('Password'), 'secret');
+  userEvent.click(screen.getByRole('button', { name: 'Sign in' }));
+
+  expect(await screen.findByText('Signed in as')).toHaveTextContent('Signed in as me');
+  expect(screen.getByText(/^Session expires at/)).toBeInTheDocument();
+  expect(axios.post).toHaveBeenCalledWith(
+    expect.stringMatching(/\/api\/frontend\/auth\/login$/),
+    { username: 'me', password: 'secret' }
+  );
+  expect(localStorage.getItem('app_jwt')).toBe(token);
+
+  await joinRoom();
+  const room = provider.getRoom('room_1');
+  userEvent.click(screen.getByRole('button', { name: 'Log out' }));
+
+  expect(room.state).toBe('disconnected');
+  expect(await screen.findByRole('button', { name: 'Sign in' })).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Join Room' })).toBeDisabled();
+  expect(localStorage.getItem('app_jwt')).toBeNull();
+  expect(localStorage.getItem('username')).toBeNull();
+});
+
+test('a rejected sign-in shows the backend message', async () => {
+  localStorage.clear();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  axios.post.mockRejectedValue({ response: { status: 401, data: { message: 'Invalid username or password' } } });
+
+  render(<App provider={createFakeProvider()} />);
+  userEvent.type(screen.getByLabelText('Username'), 'me');
+  userEvent.type(screen.getByLabelText('Password'), 'wrong');
+  userEvent.click(screen.getByRole('button', { name: 'Sign in' }));
+
+  expect(await screen.findByRole('alert')).toHaveTextContent('Sign-in failed: Invalid username or password');
+  expect(localStorage.getItem('app_jwt')).toBeNull();
+});
+
+test('expired or invalid stored tokens go back to the login form', async () => {
+  localStorage.setItem('app_jwt', jwt({ username: 'me', exp: inSeconds(-60) }));
+  const { unmount } = render(<App provider={createFakeProvider()} />);
+  expect(screen.getByRole('alert')).toHaveTextContent('Your session has expired - please sign in again.');
+  expect(screen.getByRole('button', { name: 'Sign in' })).toBeInTheDocument();
+  expect(localStorage.getItem('app_jwt')).toBeNull();
+  await screen.findByRole('button', { name: 'Start camera preview' });
+  unmount();
+
+  localStorage.setItem('app_jwt', 'pasted-garbage');
+  render(<App provider={createFakeProvider()} />);
+  expect(screen.getByRole('alert')).toHaveTextContent('Your saved sign-in is not valid - please sign in again.');
+  await screen.findByRole('button', { name: 'Start camera preview' });
+});
+
+test('a token the backend refuses on join sends the user back to login instead of alerting', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  axios.post.mockRejectedValue({ response: { status: 401, data: { message: 'Token revoked' } } });
+
+  render(<App provider={createFakeProvider()} />);
+  userEvent.type(screen.getByPlaceholderText(/room name/i), 'room_1');
+  userEvent.click(screen.getByRole('button', { name: 'Join Room' }));
+
+  expect(await screen.findByRole('button', { name: 'Sign in' })).toBeInTheDocument();
+  expect(screen.getByRole('alert')).toHaveTextContent('Your session has expired - please sign in again.');
+  expect(window.alert).not.toHaveBeenCalled();
+  expect(localStorage.getItem('app_jwt')).toBeNull();
+});
+
+test('a room link prefills the room, joins once signed in and can be shared', async () => {
+  localStorage.clear();
+  window.history.replaceState(null, '', '/room/room_1?role=viewer');
+  const token = jwt({ username: 'me', exp: inSeconds(60 * 60) });
+  axios.post.mockImplementation(async (url) => {
+    if (url.endsWith('/auth/login')) return { data: { token } };
+    return { data: { token: 'video-token', role: 'viewer', conversationToken: 'conversation-token', conversationSid: CONVERSATION_SID } };
+  });
+  const writeText = jest.fn().mockResolvedValue();
+  Object.defineProperty(navigator, 'clipboard', { value: { writeText }, configurable: true });
+
+  render(<App provider={createFakeProvider({ identity: 'me' })} />);
+  expect(screen.getByPlaceholderText(/room name/i)).toHaveValue('room_1');
+  userEvent.type(screen.getByLabelText('Username'), 'me');
+  userEvent.type(screen.getByLabelText('Password'), 'secret');
+  userEvent.click(screen.getByRole('button', { name: 'Sign in' }));
+
+  await screen.findByRole('button', { name: 'Connected' });
+  expect(axios.post).toHaveBeenCalledWith(
+    expect.stringMatching(/\/generateAccessToken$/),
+    { roomName: 'room_1', role: 'viewer' },
+    { headers: { Authorization: `Bearer ${token}` } }
+  );
+
+  userEvent.click(screen.getByRole('button', { name: 'Copy invite link' }));
+  expect(await screen.findByText('Invite link copied')).toBeInTheDocument();
+  expect(writeText).toHaveBeenCalledWith('http://localhost/room/room_1?role=viewer');
+
+  userEvent.click(screen.getByRole('button', { name: 'Leave Room' }));
+  expect(window.location.pathname).toBe('/');
+  expect(await screen.findByRole('button', { name: 'Join Room' })).toBeEnabled();
+  expect(screen.queryByRole('button', { name: 'Copy invite link' })).not.toBeInTheDocument();
+  delete navigator.clipboard;
+});
+
+test('joining puts the room in the URL and going back leaves it', async () => {
+  mockTokenResponse('viewer');
+  const provider = createFakeProvider({ identity: 'me' });
+
+  render(<App provider={provider} />);
+  await joinRoom();
+  expect(window.location.pathname).toBe('/room/room_1');
+
+  act(() => {
+    window.history.replaceState(null, '', '/');
+    window.dispatchEvent(new PopStateEvent('popstate'));
+  });
+  expect(provider.getRoom('room_1').state).toBe('disconnected');
+  expect(await screen.findByRole('button', { name: 'Join Room' })).toBeEnabled();
+});
+
+test('a room ended by the host takes its link out of the URL', async () => {
+  mockTokenResponse('viewer');
+  const provider = createFakeProvider({ identity: 'me' });
+
+  render(<App provider={provider} />);
+  await joinRoom();
+  expect(window.location.pathname).toBe('/room/room_1');
+
+  act(() => provider.getRoom('room_1').simulateDisconnect(Object.assign(new Error('Room completed'), { code: 53118 })));
+  expect(await screen.findByRole('button', { name: 'Join Room' })).toBeEnabled();
+  expect(window.location.pathname).toBe('/');
+});
+
+test('the live directory lists broadcasts, refreshes and joins the clicked room', async () => {
+  mockTokenResponse('viewer');
+  const startedAt = new Date(Date.now() - (65 * 60 + 5) * 1000).toISOString();
+  axios.get.mockResolvedValueOnce({
+    data: { rooms: [{ roomName: 'late_show', broadcaster: 'host_1', avatarImage: 'avatars/host_1.png', viewerCount: 12, startedAt }] }
+  });
+  const provider = createFakeProvider({ identity: 'me' });
+
+  render(<App provider={provider} />);
+  const card = await screen.findByRole('button', { name: 'Join late_show' });
+  expect(card).toHaveTextContent('12 viewers · live for 1h 05m');
+  expect(within(card).getByRole('img')).toHaveAttribute('src', expect.stringMatching(/\/avatars\/host_1\.png$/));
+  expect(axios.get).toHaveBeenCalledWith(
+    expect.stringMatching(/\/api\/frontend\/twilio\/liveRooms$/),
+    { headers: { Authorization: `Bearer ${APP_JWT}` } }
+  );
+
+  // The next refresh finds the broadcast over
+  userEvent.click(screen.getByRole('button', { name: 'Refresh' }));
+  expect(await screen.findByText('Nobody is live right now.')).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: 'Join late_show' })).not.toBeInTheDocument();
+});
+
+test('clicking a live room card joins it', async () => {
+  mockTokenResponse('viewer');
+  axios.get.mockResolvedValue({ data: { rooms: [{ roomName: 'late_show', viewerCount: 1 }] } });
+
+  render(<App provider={createFakeProvider({ identity: 'me' })} />);
+  userEvent.click(await screen.findByRole('button', { name: 'Join late_show' }));
+
+  await screen.findByRole('button', { name: 'Connected' });
+  expect(axios.post).toHaveBeenCalledWith(
+    expect.stringMatching(/\/generateAccessToken$/),
+    { roomName: 'late_show', role: 'viewer' },
+    { headers: { Authorization: `Bearer ${APP_JWT}` } }
+  );
+  expect(window.location.pathname).toBe('/room/late_show');
+  expect(window.location.search).toBe('?role=viewer');
+  expect(screen.getByPlaceholderText(/room name/i)).toHaveValue('late_show');
+  expect(screen.queryByRole('list', { name: 'Live broadcasts' })).not.toBeInTheDocument();
+});
+
+test('a broadcaster joining from the directory watches without publishing', async () => {
+  // The backend grants the role asked for, else the account's own
+  mockTokenResponse('broadcaster');
+  const respond = axios.post.getMockImplementation();
+  axios.post.mockImplementation(async (url, body, config) => {
+    const response = await respond(url, body, config);
+    return body?.role ? { data: { ...response.data, role: body.role } } : response;
+  });
+  axios.get.mockResolvedValue({ data: { rooms: [{ roomName: 'late_show', viewerCount: 1 }] } });
+  const provider = createFakeProvider({ identity: 'me' });
+
+  render(<App provider={provider} />);
+  userEvent.click(await screen.findByRole('button', { name: 'Join late_show' }));
+
+  await screen.findByRole('button', { name: 'Connected' });
+  expect(screen.getByText('Viewer mode - no camera needed')).toBeInTheDocument();
+  const published = Array.from(provider.getRoom('late_show').localParticipant.tracks.values()).map(p => p.kind);
+  expect(published).toEqual(['data']);
+});
+
+test('viewers record a clip of the broadcast and can download it after leaving', async () => {
+  mockTokenResponse('viewer');
+  window.MediaRecorder.instances = [];
+  const provider = createFakeProvider({ identity: 'me' });
+  provider.getRoom('room_1').addParticipant('host_1', { tracks: ['video', 'audio'] });
+
+  render(<App provider={provider} />);
+  await joinRoom();
+  await screen.findByText('Remote Participants (1)');
+
+  userEvent.click(screen.getByRole('button', { name: 'Record clip' }));
+  const recorder = window.MediaRecorder.instances[0];
+  expect(recorder.stream.getTracks().map(t => t.kind)).toEqual(['video', 'audio']);
+  act(() => recorder.requestData());
+  expect(screen.getByRole('timer', { name: 'Recording progress' })).toHaveTextContent(/^● REC \d{2}:\d{2} · 1\.0 KB$/);
+
+  userEvent.click(screen.getByRole('button', { name: 'Pause recording' }));
+  expect(screen.getByRole('timer', { name: 'Recording progress' })).toHaveTextContent('Paused');
+  userEvent.click(screen.getByRole('button', { name: 'Resume recording' }));
+
+  userEvent.click(screen.getByRole('button', { name: 'Leave Room' }));
+  expect(await screen.findByRole('button', { name: 'Download recording' })).toBeInTheDocument();
+  expect(screen.queryByRole('button', { name: 'Record clip' })).not.toBeInTheDocument();
+  expect(screen.getByText(/^room_1-\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}\.webm \(\d{2}:\d{2}, 2\.0 KB\)$/)).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: 'Discard' }));
+  expect(screen.queryByRole('button', { name: 'Download recording' })).not.toBeInTheDocument();
+});
+
+test('viewers send reactions on their data track and see bursts float over the broadcaster tile', async () => {
+  mockTokenResponse('viewer');
+  const provider = createFakeProvider({ identity: 'me' });
+  const room = provider.getRoom('room_1');
+  room.addParticipant('host_1', { tracks: ['audio', 'video', 'data'] });
+  const guest = room.addParticipant('guest_1', { tracks: ['data'] });
+
+  render(<App provider={provider} />);
+  await joinRoom();
+  await screen.findByText('Remote Participants (2)');
+  // Only the broadcaster's tile carries the overlay
+  const overlay = screen.getByTestId('reactions-overlay');
+  expect(overlay.parentElement.parentElement).toHaveTextContent('host_1');
+
+  act(() => {
+    for (let i = 0; i < 12; i++) guest.simulateDataMessage({ type: 'reaction', reaction: 'heart' });
+  });
+  await waitFor(() => expect(overlay).toHaveTextContent('❤️×12'));
+
+  const dataTrack = Array.from(room.localParticipant.tracks.values()).find(p => p.kind === 'data').track;
+  for (let i = 0; i < 7; i++) userEvent.click(screen.getByRole('button', { name: 'Send Clap' }));
+  expect(dataTrack.sent).toHaveLength(5);
+  expect(JSON.parse(dataTrack.sent[0])).toEqual({ type: 'reaction', reaction: 'clap' });
+  expect(screen.getByRole('button', { name: 'Send Clap' })).toBeDisabled();
+  expect(screen.getByText('Slow down a little...')).toBeInTheDocument();
+  await waitFor(() => expect(overlay).toHaveTextContent('👏×5'));
+});
+
+test('broadcaster publishes local camera and microphone tracks', async () => {
+  mockTokenResponse('broadcaster');
+  const provider = createFakeProvider({ identity: 'me' });
+
+  render(<App provider={provider} />);
+  await joinRoom();
+
+  const room = provider.getRoom('room_1');
+  const kinds = Array.from(room.localParticipant.tracks.values()).map(p => p.kind).sort();
+  expect(kinds).toEqual(['audio', 'data', 'video']);
+  const video = Array.from(room.localParticipant.tracks.values()).find(p => p.kind === 'video');
+  expect(video.priority).toBe('high');
+  expect(await screen.findByText('You (broadcaster)')).toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: 'Leave Room' }));
+  await waitFor(() => expect(room.state).toBe('disconnected'));
+  // Data tracks have nothing to stop
+  room.localParticipant.tracks.forEach(publication => {
+    if (publication.kind !== 'data') expect(publication.track.isStopped).toBe(true);
+  });
+});
+
+test('broadcaster joins with the tracks previewed in the lobby', async () => {
+  mockTokenResponse('broadcaster');
+  const provider = createFakeProvider({ identity: 'me' });
+  const createLocalTracks = jest.spyOn(provider, 'createLocalTracks');
+
+  render(<App provider={provider} />);
+  userEvent.click(screen.getByRole('button', { name: 'Start camera preview' }));
+  expect(await screen.findByText('Preview')).toBeInTheDocument();
+  expect(screen.getByRole('meter', { name: 'Microphone level' })).toBeInTheDocument();
+
+  // Choices made in the lobby carry over to the published tracks
+  userEvent.click(screen.getByRole('button', { name: 'Mute' }));
+  expect(await screen.findByText('Preview - muted')).toBeInTheDocument();
+  const previewTracks = await createLocalTracks.mock.results[0].value;
+
+  await joinRoom();
+
+  expect(createLocalTracks).toHaveBeenCalledTimes(1);
+  const room = provider.getRoom('room_1');
+  expect(room.connectOptions.tracks).toEqual([...previewTracks, expect.objectContaining({ kind: 'data' })]);
+  expect(await screen.findByText('You (broadcaster) - muted')).toBeInTheDocument();
+  expect(previewTracks.every(track => !track.isStopped)).toBe(true);
+});
+
+test('viewers joining from the lobby release the previewed camera', async () => {
+  mockTokenResponse('viewer');
+  const provider = createFakeProvider({ identity: 'me' });
+  const createLocalTracks = jest.spyOn(provider, 'createLocalTracks');
+
+  render(<App provider={provider} />);
+  userEvent.click(screen.getByRole('button', { name: 'Start camera preview' }));
+  await screen.findByText('Preview');
+  const previewTracks = await createLocalTracks.mock.results[0].value;
+
+  await joinRoom();
+
+  expect(screen.getByText('Viewer mode - no camera needed')).toBeInTheDocument();
+  // Only the data track for reactions is published
+  expect(provider.getRoom('room_1').connectOptions.tracks).toEqual([expect.objectContaining({ kind: 'data' })]);
+  expect(previewTracks.every(track => track.isStopped)).toBe(true);
+});
+
+test('the lobby explains a blocked camera', async () => {
+  const provider = createFakeProvider();
+  const blocked = new Error('Permission denied');
+  blocked.name = 'NotAllowedError';
+  jest.spyOn(provider, 'createLocalTracks').mockRejectedValue(blocked);
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+  render(<App provider={provider} />);
+  userEvent.click(screen.getByRole('button', { name: 'Start camera preview' }));
+
+  expect(await screen.findByRole('alert')).toHaveTextContent(/access was blocked/);
+  expect(screen.getByRole('button', { name: 'Start camera preview' })).toBeEnabled();
+});
+
+test('a failed token request surfaces an error and stays disconnected', async () => {
+  axios.post.mockRejectedValue({ response: { data: { message: 'Room is closed' } } });
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+
+  render(<App provider={createFakeProvider()} />);
+  userEvent.type(screen.getByPlaceholderText(/room name/i), 'room_1');
+  userEvent.click(screen.getByRole('button', { name: 'Join Room' }));
+
+  await waitFor(() => expect(window.alert).toHaveBeenCalledWith('Failed to join room: Room is closed'));
+  const status = screen.getByText('Video Status:').parentElement;
+  expect(within(status).getByText(/idle/)).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: 'Join Room' })).toBeEnabled();
+});
+
+test('video tiles are not remounted when the app re-renders', async () => {
+  mockTokenResponse('viewer');
+  const provider = createFakeProvider({ identity: 'me' });
+  const host = provider.getRoom('room_1').addParticipant('host_1');
+  const videoTrack = Array.from(host.tracks.values()).find(p => p.kind === 'video').track;
+  const attach = jest.spyOn(videoTrack, 'attach');
+
+  render(<App provider={provider} />);
+  await joinRoom();
+  await waitFor(() => expect(attach).toHaveBeenCalledTimes(1));
+
+  act(() => { provider.getConversation(CONVERSATION_SID).receiveMessage('host_1', 'rerender please'); });
+  expect(await screen.findByText('rerender please')).toBeInTheDocument();
+  expect(attach).toHaveBeenCalledTimes(1);
+});
+
+test('broadcaster can mute, turn the camera off and switch camera while live', async () => {
+  mockTokenResponse('broadcaster');
+  const provider = createFakeProvider({ identity: 'me' });
+
+  render(<App provider={provider} />);
+  await joinRoom();
+
+  const room = provider.getRoom('room_1');
+  const published = Array.from(room.localParticipant.tracks.values());
+  const audio = published.find(p => p.kind === 'audio').track;
+  const video = published.find(p => p.kind === 'video').track;
+
+  userEvent.click(screen.getByRole('button', { name: 'Mute' }));
+  expect(audio.isEnabled).toBe(false);
+  expect(await screen.findByText('You (broadcaster) - muted')).toBeInTheDocument();
+  userEvent.click(screen.getByRole('button', { name: 'Unmute' }));
+  expect(audio.isEnabled).toBe(true);
+
+  userEvent.click(screen.getByRole('button', { name: 'Camera off' }));
+  expect(video.isEnabled).toBe(false);
+  expect(await screen.findByRole('button', { name: 'Camera on' })).toBeInTheDocument();
+
+  // The camera picker restarts the same published track on the new device
+  const attach = jest.spyOn(video, 'attach');
+  userEvent.selectOptions(await screen.findByRole('combobox', { name: 'Camera' }), 'cam-2');
+  await waitFor(() => expect(screen.getByRole('combobox', { name: 'Camera' })).toHaveValue('cam-2'));
+  expect(video.constraints.deviceId).toEqual({ exact: 'cam-2' });
+  expect(video.constraints.width).toEqual({ ideal: 1280 });
+  expect(Array.from(room.localParticipant.tracks.values()).map(p => p.track)).toEqual(published.map(p => p.track));
+  expect(attach).not.toHaveBeenCalled();
+});
+
+test('broadcaster shares their screen until the browser stops it', async () => {
+  mockTokenResponse('broadcaster');
+  const provider = createFakeProvider({ identity: 'me' });
+
+  render(<App provider={provider} />);
+  await joinRoom();
+  const participant = provider.getRoom('room_1').localParticipant;
+  const publishedNames = () => Array.from(participant.tracks.values()).map(p => p.trackName);
+
+  userEvent.click(screen.getByRole('button', { name: 'Share screen instead of camera' }));
+  expect(await screen.findByText('Your screen (camera hidden from viewers)')).toBeInTheDocument();
+  expect(publishedNames()).toContain('screen');
+  const camera = Array.from(participant.tracks.values()).find(p => p.kind === 'video' && p.trackName !== 'screen');
+  expect(camera).toBeUndefined();
+
+  // The browser's "Stop sharing" button ends the underlying track
+  const screenTrack = Array.from(participant.tracks.values()).find(p => p.trackName === 'screen').track;
+  act(() => screenTrack.stop());
+  expect(await screen.findByRole('button', { name: 'Share screen' })).toBeInTheDocument();
+  expect(publishedNames()).not.toContain('screen');
+  expect(Array.from(participant.tracks.values()).map(p => p.kind).sort()).toEqual(['audio', 'data', 'video']);
+});
+
+test('viewers see a screen share as its own larger tile', async () => {
+  mockTokenResponse('viewer');
+  const provider = createFakeProvider({ identity: 'me' });
+  const room = provider.getRoom('room_1');
+  room.addParticipant('host_1');
+
+  render(<App provider={provider} />);
+  await joinRoom();
+
+  const host = Array.from(room.participants.values())[0];
+  const share = await provider.createScreenTrack('screen');
+  act(() => { host.publishTrack(share); });
+  expect(await screen.findByText('host_1 (screen)')).toBeInTheDocument();
+  expect(screen.getByText('host_1')).toBeInTheDocument();
+
+  act(() => { host.unpublishTrack(share); });
+  await waitFor(() => expect(screen.queryByText('host_1 (screen)')).not.toBeInTheDocument());
 });
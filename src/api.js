@@ -0,0 +1,81 @@
+// api.js
+// Backend calls. Each helper takes the app JWT and resolves with the response body.
+import axios from 'axios';
+import { API } from './config';
+
+function authHeaders(appJwt) {
+  return { headers: { Authorization: `Bearer ${appJwt}` } };
+}
+
+// -> { token, role, conversationToken, conversationSid, avatarImage }. `role` asks for
+// a role (e.g. 'viewer' from an invite link); the backend has the final say.
+export async function generateAccessToken(appJwt, roomName, { role } = {}) {
+  const resp = await axios.post(`${API}/api/frontend/twilio/generateAccessToken`,
+    role ? { roomName, role } : { roomName },
+    authHeaders(appJwt)
+  );
+  return resp.data || {};
+}
+
+// -> { rooms: [{ roomName, broadcaster, avatarImage, viewerCount, startedAt }] } for
+// every broadcast that is live right now
+export async function listLiveRooms(appJwt) {
+  const resp = await axios.get(`${API}/api/frontend/twilio/liveRooms`, authHeaders(appJwt));
+  return resp.data || {};
+}
+
+// -> { conversationToken } for the same identity, before the current one expires
+export async function refreshConversationToken(appJwt, conversationSid) {
+  const resp = await axios.post(`${API}/api/frontend/twilio/refreshConversationToken`,
+    { conversationSid },
+    authHeaders(appJwt)
+  );
+  return resp.data || {};
+}
+
+// -> { token }: the app JWT for a username/password sign-in
+export async function login(username, password) {
+  const resp = await axios.post(`${API}/api/frontend/auth/login`, { username, password });
+  return resp.data || {};
+}
+
+// -> { token }: a new app JWT in exchange for the current, still valid one
+export async function refreshAppJwt(appJwt) {
+  const resp = await axios.post(`${API}/api/frontend/auth/refresh`, {}, authHeaders(appJwt));
+  return resp.data || {};
+}
+
+export async function removeParticipant(appJwt, conversationSid, participantIdentity) {
+  const resp = await axios.post(`${API}/api/frontend/twilio/removeParticipant`,
+    { conversationSid, participantIdentity },
+    authHeaders(appJwt)
+  );
+  return resp.data;
+}
+
+export async function stopLiveBroadcast(appJwt, roomName) {
+  const resp = await axios.post(`${API}/api/admin/twilio/stopLiveBroadcast`,
+    { roomName },
+    authHeaders(appJwt)
+  );
+  return resp.data;
+}
+
+// Disconnects the participant from the room and removes them from its conversation
+export async function kickParticipant(appJwt, roomName, participantIdentity) {
+  const resp = await axios.post(`${API}/api/admin/twilio/kickParticipant`,
+    { roomName, participantIdentity },
+    authHeaders(appJwt)
+  );
+  return resp.data;
+}
+
+// Human-readable message for a failed request (backend message when there is one)
+export function errorMessage(err) {
+  return err?.response?.data?.message || err?.message || '';
+}
+
+// The backend turned the app JWT down: it expired or was revoked
+export function isUnauthorized(err) {
+  return err?.response?.status === 401;
+}
@@ -0,0 +1,91 @@
+// auth/tokens.js
+// Shared token refresh for the app JWT and the Conversations token. Both go through
+// createTokenRefresher(): one refresh at a time (callers during a refresh share it),
+// retried a couple of times before the error is handed back to show to the user.
+
+// Why a stored or refreshed app JWT can't be used any more
+export const SESSION_EXPIRED = 'Your session has expired - please sign in again.';
+export const SESSION_INVALID = 'Your saved sign-in is not valid - please sign in again.';
+
+// Refresh this long before a JWT's `exp`
+export const REFRESH_LEAD_MS = 60 * 1000;
+
+const REFRESH_RETRIES = 2;
+const REFRESH_RETRY_DELAY_MS = 2000;
+
+// setTimeout fires immediately for delays that don't fit in 32 bits
+export const MAX_TIMER_MS = 2 ** 31 - 1;
+
+// Payload of a JWT, or null for anything that isn't one. The signature is not checked.
+export function decodeJwt(token) {
+  try {
+    const payload = token.split('.')[1];
+    if (!payload) return null;
+    const base64 = payload.replace(/-/g, '+').replace(/_/g, '/');
+    const decoded = JSON.parse(atob(base64.padEnd(base64.length + ((4 - (base64.length % 4)) % 4), '=')));
+    return decoded && typeof decoded === 'object' ? decoded : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+// Expiry of a JWT in ms since epoch, or null when it has none
+export function tokenExpiresAt(token) {
+  const exp = decodeJwt(token)?.exp;
+  return typeof exp === 'number' ? exp * 1000 : null;
+}
+
+// The signed-in session an app JWT stands for: { identity, expiresAt }, or null when
+// the token can't be used (not a JWT, no username/sub claim, or already expired)
+export function sessionFrom(token, now = Date.now()) {
+  const payload = decodeJwt(token);
+  const identity = payload && (payload.username || payload.sub);
+  if (!identity || typeof identity !== 'string') return null;
+  const expiresAt = tokenExpiresAt(token);
+  if (expiresAt !== null && expiresAt <= now) return null;
+  return { identity, expiresAt };
+}
+
+// How long to wait before refreshing `token` (0 when due), or null when it can't be
+// scheduled: no expiry, or too far out for a timer
+export function refreshDelay(token, now = Date.now()) {
+  const expiresAt = tokenExpiresAt(token);
+  if (expiresAt === null) return null;
+  const delay = Math.max(0, expiresAt - REFRESH_LEAD_MS - now);
+  return delay > MAX_TIMER_MS ? null : delay;
+}
+
+// -> refresh(): Promise<token>. `fetchToken` gets a new token from the backend and
+// `applyToken` puts it to use. Errors `shouldRetry` turns down are rethrown at once.
+export function createTokenRefresher({
+  fetchToken,
+  applyToken,
+  retries = REFRESH_RETRIES,
+  retryDelayMs = REFRESH_RETRY_DELAY_MS,
+  shouldRetry = () => true
+}) {
+  let inFlight = null;
+
+  async function attempt() {
+    let lastError = null;
+    for (let i = 0; i <= retries; i++) {
+      if (i > 0) await new Promise(resolve => setTimeout(resolve, retryDelayMs));
+      try {
+        const token = await fetchToken();
+        if (!token) throw new Error('No token in the refresh response');
+        await applyToken(token);
+        return token;
+      } catch (e) {
+        console.warn(`Token refresh attempt ${i + 1} failed:`, e);
+        lastError = e;
+        if (!shouldRetry(e)) break;
+      }
+    }
+    throw lastError;
+  }
+
+  return function refresh() {
+    if (!inFlight) inFlight = attempt().finally(() => { inFlight = null; });
+    return inFlight;
+  };
+}
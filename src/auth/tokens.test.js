@@ -0,0 +1,54 @@
+import { createTokenRefresher, decodeJwt, refreshDelay, sessionFrom, REFRESH_LEAD_MS } from './tokens';
+
+const jwt = (payload) => `${btoa(JSON.stringify({ alg: 'none' }))}.${btoa(JSON.stringify(payload)).replace(/=+$/, '')}.sig`;
+
+test('reads the payload and schedules the refresh ahead of expiry', () => {
+  const now = Date.UTC(2026, 0, 1);
+  const token = jwt({ username: 'me', exp: now / 1000 + 3600 });
+
+  expect(decodeJwt(token)).toEqual({ username: 'me', exp: now / 1000 + 3600 });
+  expect(refreshDelay(token, now)).toBe(3600 * 1000 - REFRESH_LEAD_MS);
+  expect(refreshDelay(jwt({ exp: now / 1000 - 10 }), now)).toBe(0);
+  expect(refreshDelay('opaque-token', now)).toBeNull();
+  expect(refreshDelay(jwt({ username: 'me' }), now)).toBeNull();
+});
+
+test('concurrent refreshes share one request and failures are retried', async () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const fetchToken = jest.fn()
+    .mockRejectedValueOnce(new Error('503'))
+    .mockResolvedValueOnce('token-2');
+  const applyToken = jest.fn();
+  const refresh = createTokenRefresher({ fetchToken, applyToken, retryDelayMs: 0 });
+
+  const [first, second] = await Promise.all([refresh(), refresh()]);
+  expect(first).toBe('token-2');
+  expect(second).toBe('token-2');
+  expect(fetchToken).toHaveBeenCalledTimes(2);
+  expect(applyToken).toHaveBeenCalledTimes(1);
+
+  fetchToken.mockRejectedValue(new Error('401'));
+  await expect(refresh()).rejects.toThrow('401');
+  expect(fetchToken).toHaveBeenCalledTimes(5);
+  jest.restoreAllMocks();
+});
+
+test('a session needs an identity claim and an unexpired token', () => {
+  const now = Date.UTC(2026, 0, 1);
+  expect(sessionFrom(jwt({ username: 'me', exp: now / 1000 + 60 }), now)).toEqual({ identity: 'me', expiresAt: now + 60000 });
+  expect(sessionFrom(jwt({ sub: 'me' }), now)).toEqual({ identity: 'me', expiresAt: null });
+  expect(sessionFrom(jwt({ username: 'me', exp: now / 1000 }), now)).toBeNull();
+  expect(sessionFrom(jwt({ role: 'viewer' }), now)).toBeNull();
+  expect(sessionFrom('opaque-token', now)).toBeNull();
+});
+
+test('errors shouldRetry turns down are not retried', async () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const refused = Object.assign(new Error('401'), { status: 401 });
+  const fetchToken = jest.fn().mockRejectedValue(refused);
+  const refresh = createTokenRefresher({ fetchToken, applyToken: jest.fn(), retryDelayMs: 0, shouldRetry: e => e.status !== 401 });
+
+  await expect(refresh()).rejects.toBe(refused);
+  expect(fetchToken).toHaveBeenCalledTimes(1);
+  jest.restoreAllMocks();
+});
@@ -0,0 +1,35 @@
+// chat/attachments.js
+// Limits and helpers for chat attachments sent as Conversations media messages.
+import { formatBytes } from '../utils';
+
+// Conversations accepts up to 150MB per media item; keep chat uploads small
+export const MAX_ATTACHMENT_BYTES = 10 * 1024 * 1024;
+
+export const ALLOWED_ATTACHMENT_TYPES = [
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+  'application/pdf',
+  'text/plain',
+  'application/zip'
+];
+
+// For the file picker's `accept` attribute
+export const ATTACHMENT_ACCEPT = ALLOWED_ATTACHMENT_TYPES.join(',');
+
+export function isImage(contentType) {
+  return typeof contentType === 'string' && contentType.startsWith('image/');
+}
+
+// Why `file` can't be attached, or null if it can
+export function validateAttachment(file) {
+  if (!file) return 'No file selected';
+  if (!ALLOWED_ATTACHMENT_TYPES.includes(file.type)) {
+    return `${file.name}: only images, PDF, text and zip files can be attached`;
+  }
+  if (file.size > MAX_ATTACHMENT_BYTES) {
+    return `${file.name} is ${formatBytes(file.size)}; attachments are limited to ${formatBytes(MAX_ATTACHMENT_BYTES)}`;
+  }
+  return null;
+}
@@ -0,0 +1,54 @@
+// chat/moderation.js
+// Chat moderation settings shared through the conversation's attributes, so every
+// client sees (and enforces) the same rules:
+//
+//   attributes.moderation = {
+//     slowModeSeconds: 10,                       // 0 = off
+//     mutedChatters: { guest_1: 1700000000000,   // timed out until (ms since epoch)
+//                      troll_2: null }           // muted until unmuted
+//   }
+//
+// Enforcement is client-side on send; admin_ identities are exempt.
+import { isAdmin } from '../utils';
+
+export const SLOW_MODE_OPTIONS = [0, 5, 10, 30, 60];
+export const TIMEOUT_MS = 5 * 60 * 1000;
+
+export function moderationFrom(attributes) {
+  const moderation = attributes?.moderation || {};
+  return {
+    slowModeSeconds: Number(moderation.slowModeSeconds) || 0,
+    mutedChatters: moderation.mutedChatters && typeof moderation.mutedChatters === 'object' ? moderation.mutedChatters : {}
+  };
+}
+
+// Conversation attributes with the moderation settings replaced by `moderation`
+export function withModeration(attributes, moderation) {
+  return { ...(attributes || {}), moderation };
+}
+
+// -> null when not muted, otherwise { until } (null = indefinitely)
+export function muteOf(moderation, identity, now = Date.now()) {
+  if (!identity || !(identity in moderation.mutedChatters)) return null;
+  const until = moderation.mutedChatters[identity];
+  if (until !== null && until <= now) return null;
+  return { until };
+}
+
+// Why `identity` can't send right now, or null if it can
+export function sendBlockReason(moderation, identity, lastSentAt, now = Date.now()) {
+  if (isAdmin(identity)) return null;
+
+  const mute = muteOf(moderation, identity, now);
+  if (mute) {
+    return mute.until === null
+      ? 'You have been muted in this chat'
+      : `You are timed out until ${new Date(mute.until).toLocaleTimeString()}`;
+  }
+
+  if (moderation.slowModeSeconds && lastSentAt) {
+    const waitMs = lastSentAt + moderation.slowModeSeconds * 1000 - now;
+    if (waitMs > 0) return `Slow mode is on: wait ${Math.ceil(waitMs / 1000)}s before sending again`;
+  }
+  return null;
+}
@@ -0,0 +1,48 @@
+// chat/reactions.js
+// Emoji reactions kept in message attributes, next to avatarImage:
+//
+//   attributes.reactions = { '👍': ['host_1', 'guest_2'], '🎉': ['me'] }
+//
+// Each emoji maps to the identities that reacted with it, at most once each.
+
+export const REACTION_EMOJIS = ['👍', '❤️', '😂', '😮', '😢', '🎉'];
+
+// Sanitised reactions from message attributes (deduplicated, empty entries dropped)
+export function reactionsFrom(attributes) {
+  const raw = attributes?.reactions;
+  if (!raw || typeof raw !== 'object') return {};
+  const reactions = {};
+  Object.entries(raw).forEach(([emoji, identities]) => {
+    if (!Array.isArray(identities)) return;
+    const unique = Array.from(new Set(identities.filter(id => typeof id === 'string' && id)));
+    if (unique.length) reactions[emoji] = unique;
+  });
+  return reactions;
+}
+
+// Reactions after `identity` toggles `emoji`
+export function toggleReaction(reactions, emoji, identity) {
+  const identities = reactions[emoji] || [];
+  const next = { ...reactions };
+  if (identities.includes(identity)) {
+    next[emoji] = identities.filter(id => id !== identity);
+    if (next[emoji].length === 0) delete next[emoji];
+  } else {
+    next[emoji] = [...identities, identity];
+  }
+  return next;
+}
+
+// -> [{ emoji, count, reacted }] in palette order, then any other emoji
+export function summarizeReactions(reactions, identity) {
+  const emojis = Object.keys(reactions).sort((a, b) => {
+    const ia = REACTION_EMOJIS.indexOf(a);
+    const ib = REACTION_EMOJIS.indexOf(b);
+    return (ia === -1 ? REACTION_EMOJIS.length : ia) - (ib === -1 ? REACTION_EMOJIS.length : ib);
+  });
+  return emojis.map(emoji => ({
+    emoji,
+    count: reactions[emoji].length,
+    reacted: reactions[emoji].includes(identity)
+  }));
+}
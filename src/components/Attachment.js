@@ -0,0 +1,95 @@
+// components/Attachment.js
+import React, { useEffect, useState } from 'react';
+import { isImage } from '../chat/attachments';
+import { formatBytes } from '../utils';
+
+function Lightbox({ url, filename, onClose }) {
+  useEffect(() => {
+    const onKeyDown = (e) => { if (e.key === 'Escape') onClose(); };
+    document.addEventListener('keydown', onKeyDown);
+    return () => document.removeEventListener('keydown', onKeyDown);
+  }, [onClose]);
+
+  return (
+    <div
+      role="dialog"
+      aria-label={filename || 'Image'}
+      onClick={onClose}
+      style={{
+        position: 'fixed',
+        inset: 0,
+        backgroundColor: 'rgba(0, 0, 0, 0.85)',
+        display: 'flex',
+        alignItems: 'center',
+        justifyContent: 'center',
+        zIndex: 1000,
+        cursor: 'zoom-out'
+      }}
+    >
+      <img src={url} alt={filename} style={{ maxWidth: '90vw', maxHeight: '90vh', borderRadius: 4 }} />
+    </div>
+  );
+}
+
+// One file of a media message: images as a thumbnail that opens a lightbox, anything
+// else as a download link. `getMediaUrl` is useConversation().getMediaUrl, which
+// resolves a temporary content URL; when there is none, the user can try again.
+export default function Attachment({ media, messageSid, getMediaUrl }) {
+  const [url, setUrl] = useState(null);
+  const [failed, setFailed] = useState(false);
+  const [attempt, setAttempt] = useState(0);
+  const [open, setOpen] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setFailed(false);
+    getMediaUrl(messageSid, media.sid)
+      .then(resolved => {
+        if (cancelled) return;
+        if (resolved) setUrl(resolved);
+        else setFailed(true);
+      })
+      .catch(e => {
+        console.warn('Failed to load attachment URL', e);
+        if (!cancelled) setFailed(true);
+      });
+    return () => { cancelled = true; };
+  }, [getMediaUrl, messageSid, media.sid, attempt]);
+
+  const label = `${media.filename || 'Attachment'} (${formatBytes(media.size)})`;
+
+  if (failed) {
+    return (
+      <div style={{ fontSize: '12px', color: '#dc3545' }}>
+        Could not load {label}
+        <button
+          onClick={() => setAttempt(a => a + 1)}
+          style={{ marginLeft: 4, border: 'none', background: 'none', color: '#007bff', cursor: 'pointer', fontSize: '12px' }}
+        >
+          Retry
+        </button>
+      </div>
+    );
+  }
+  if (!url) return <div style={{ fontSize: '12px', color: '#666' }}>Loading {label}...</div>;
+
+  if (isImage(media.contentType)) {
+    return (
+      <>
+        <img
+          src={url}
+          alt={media.filename || 'Image attachment'}
+          onClick={() => setOpen(true)}
+          style={{ maxWidth: 160, maxHeight: 120, borderRadius: 4, cursor: 'zoom-in', display: 'block' }}
+        />
+        {open && <Lightbox url={url} filename={media.filename} onClose={() => setOpen(false)} />}
+      </>
+    );
+  }
+
+  return (
+    <a href={url} target="_blank" rel="noopener noreferrer" download={media.filename || true} style={{ fontSize: '13px' }}>
+      {label}
+    </a>
+  );
+}
@@ -0,0 +1,27 @@
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import Attachment from './Attachment';
+
+afterEach(() => jest.restoreAllMocks());
+
+const media = { sid: 'ME1', filename: 'notes.pdf', contentType: 'application/pdf', size: 2048 };
+
+test('an attachment without a URL can be retried', async () => {
+  const getMediaUrl = jest.fn()
+    .mockResolvedValueOnce(null)
+    .mockResolvedValueOnce('https://media.example/notes.pdf');
+  render(<Attachment media={media} messageSid="IM1" getMediaUrl={getMediaUrl} />);
+
+  expect(await screen.findByText(/Could not load notes\.pdf \(2\.0 KB\)/)).toBeInTheDocument();
+  userEvent.click(screen.getByRole('button', { name: 'Retry' }));
+
+  expect(await screen.findByRole('link', { name: 'notes.pdf (2.0 KB)' })).toHaveAttribute('href', 'https://media.example/notes.pdf');
+  expect(getMediaUrl).toHaveBeenCalledTimes(2);
+});
+
+test('a failed URL request is shown as an error too', async () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  render(<Attachment media={media} messageSid="IM1" getMediaUrl={() => Promise.reject(new Error('Forbidden'))} />);
+
+  expect(await screen.findByRole('button', { name: 'Retry' })).toBeInTheDocument();
+});
@@ -0,0 +1,240 @@
+// components/BroadcastPlayer.js
+import React, { useState } from 'react';
+import VideoComponent from './VideoComponent';
+import useRemoteAudio from '../hooks/useRemoteAudio';
+import { AUDIO_ONLY, VIDEO_QUALITIES } from '../media/videoQuality';
+
+const sliderStyle = { width: 100 };
+
+const LAYOUTS = [
+  { value: 'grid', label: 'Grid' },
+  { value: 'speaker', label: 'Speaker view' }
+];
+
+const toggleStyle = (active) => ({
+  padding: '4px 10px',
+  border: '1px solid #007bff',
+  borderRadius: 4,
+  backgroundColor: active ? '#007bff' : 'white',
+  color: active ? 'white' : '#007bff',
+  cursor: 'pointer',
+  fontSize: '12px'
+});
+
+// Mute toggle and volume slider for one participant's audio
+function ParticipantAudioControls({ participant, audio }) {
+  const { volume, muted } = audio.participantSettings(participant.sid);
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 6, fontSize: '12px' }}>
+      <button
+        onClick={() => audio.setParticipantMuted(participant.sid, !muted)}
+        aria-label={`${muted ? 'Unmute' : 'Mute'} ${participant.identity}`}
+        style={{ border: 'none', background: 'none', cursor: 'pointer', color: muted ? '#dc3545' : '#007bff' }}
+      >
+        {muted ? 'Unmute' : 'Mute'}
+      </button>
+      <input
+        type="range"
+        min="0"
+        max="1"
+        step="0.05"
+        value={volume}
+        disabled={muted}
+        onChange={e => audio.setParticipantVolume(participant.sid, Number(e.target.value))}
+        aria-label={`${participant.identity} volume`}
+        style={sliderStyle}
+      />
+    </div>
+  );
+}
+
+// Remote participants of a room from useRoom(), one tile each, with screen shares
+// shown above them as larger tiles. The current dominant speaker is highlighted.
+// Tiles are laid out as a grid, or as a speaker view: one large tile (the pinned
+// participant, else the dominant speaker) above a filmstrip of the others. Also the
+// listening controls: master volume, per-participant mute/volume, and a prompt when
+// autoplay blocks the sound. Viewers also get a quality selector; in audio-only mode
+// the tiles stay (with their audio controls) but show no video. `overlay` (live
+// reactions) goes on the broadcaster's tile: the first camera, else the first share.
+export default function BroadcastPlayer({ room, overlay }) {
+  const { joined, participants, dominantSpeakerSid, videoElementsRef, userRole, videoQuality, setVideoQuality } = room;
+  const audioOnly = videoQuality === AUDIO_ONLY;
+  const audio = useRemoteAudio(room);
+  const [layout, setLayout] = useState('grid');
+  const [pinnedSid, setPinnedSid] = useState(null);
+  const screenShares = Array.from(participants.values()).filter(p => p.screenTrack);
+  // A share that replaces the camera leaves no camera tile behind
+  const tiles = Array.from(participants.values()).filter(p => p.videoTrack || !p.screenTrack);
+
+  // A pin on someone who has left no longer counts
+  const pinned = tiles.find(p => p.sid === pinnedSid) || null;
+  const focused = pinned || tiles.find(p => p.sid === dominantSpeakerSid) || tiles[0];
+  const broadcasterTile = tiles.find(p => p.videoTrack);
+  const overlayScreenSid = broadcasterTile ? null : screenShares[0]?.sid;
+
+  // Pinning implies the speaker view; the pinned participant takes the large tile
+  const togglePin = (participant) => {
+    if (pinned && pinned.sid === participant.sid) {
+      setPinnedSid(null);
+    } else {
+      setPinnedSid(participant.sid);
+      setLayout('speaker');
+    }
+  };
+
+  const renderTile = (participant, size) => {
+    const isPinned = pinned?.sid === participant.sid;
+    return (
+      <div key={participant.sid}>
+        <VideoComponent
+          track={audioOnly ? null : participant.videoTrack}
+          participantId={participant.identity}
+          isLocal={false}
+          elementsRef={videoElementsRef}
+          placeholder={audioOnly ? 'Video off (audio only)' : undefined}
+          size={size}
+          highlighted={participant.sid === dominantSpeakerSid}
+          networkQualityLevel={participant.networkQualityLevel ?? null}
+          overlay={participant === broadcasterTile ? overlay : undefined}
+        />
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'center', gap: 6 }}>
+          <button
+            onClick={() => togglePin(participant)}
+            aria-label={`${isPinned ? 'Unpin' : 'Pin'} ${participant.identity}`}
+            aria-pressed={isPinned}
+            style={{ border: 'none', background: 'none', cursor: 'pointer', fontSize: '12px', color: isPinned ? '#6f42c1' : '#007bff' }}
+          >
+            {isPinned ? 'Unpin' : 'Pin'}
+          </button>
+          {participant.audioTrack && <ParticipantAudioControls participant={participant} audio={audio} />}
+        </div>
+      </div>
+    );
+  };
+
+  return (
+    <div style={{
+      minHeight: 260,
+      border: '2px dashed #007bff',
+      borderRadius: 8,
+      padding: 8,
+      backgroundColor: '#f8f9fa'
+    }}>
+      {!joined && (
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          height: '100%',
+          color: '#666'
+        }}>
+          Join a room to see other participants
+        </div>
+      )}
+      {joined && participants.size === 0 && (
+        <div style={{
+          display: 'flex',
+          alignItems: 'center',
+          justifyContent: 'center',
+          height: '100%',
+          color: '#666'
+        }}>
+          Waiting for other participants...
+        </div>
+      )}
+      {joined && audio.blocked && (
+        <button
+          onClick={audio.unlock}
+          style={{
+            display: 'block',
+            width: '100%',
+            padding: 8,
+            marginBottom: 8,
+            backgroundColor: '#ffc107',
+            border: 'none',
+            borderRadius: 4,
+            cursor: 'pointer'
+          }}
+        >
+          Sound is blocked by your browser - click to enable sound
+        </button>
+      )}
+      {joined && participants.size > 0 && (
+        <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: 8, marginBottom: 8 }}>
+          <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: '12px' }}>
+            Volume
+            <input
+              type="range"
+              min="0"
+              max="1"
+              step="0.05"
+              value={audio.masterVolume}
+              onChange={e => audio.setMasterVolume(Number(e.target.value))}
+              aria-label="Master volume"
+              style={sliderStyle}
+            />
+          </label>
+          {userRole === 'viewer' && (
+            <label style={{ display: 'flex', alignItems: 'center', gap: 6, fontSize: '12px' }}>
+              Quality
+              <select value={videoQuality} onChange={e => setVideoQuality(e.target.value)} aria-label="Video quality">
+                {VIDEO_QUALITIES.map(({ value, label, hint }) => (
+                  <option key={value} value={value} title={hint}>{label}</option>
+                ))}
+              </select>
+            </label>
+          )}
+          <div role="group" aria-label="Layout" style={{ display: 'flex', gap: 4 }}>
+            {LAYOUTS.map(({ value, label }) => (
+              <button
+                key={value}
+                onClick={() => setLayout(value)}
+                aria-pressed={layout === value}
+                style={toggleStyle(layout === value)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+        </div>
+      )}
+      {joined && screenShares.length > 0 && (
+        <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 8, marginBottom: 8 }}>
+          {screenShares.map(participant => (
+            <div key={`${participant.sid}-screen`}>
+              <VideoComponent
+                track={audioOnly ? null : participant.screenTrack}
+                participantId={participant.identity}
+                isLocal={false}
+                label={`${participant.identity} (screen)`}
+                elementsRef={videoElementsRef}
+                large
+                placeholder={audioOnly ? 'Video off (audio only)' : undefined}
+                overlay={participant.sid === overlayScreenSid ? overlay : undefined}
+              />
+              {/* Without a camera tile the audio controls go here */}
+              {!participant.videoTrack && participant.audioTrack && (
+                <ParticipantAudioControls participant={participant} audio={audio} />
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+      {joined && tiles.length > 0 && layout === 'grid' && (
+        <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8 }}>
+          {tiles.map(participant => renderTile(participant))}
+        </div>
+      )}
+      {joined && tiles.length > 0 && layout === 'speaker' && (
+        <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'center', gap: 8 }}>
+          <div data-testid="speaker-stage">{renderTile(focused, 'large')}</div>
+          {tiles.length > 1 && (
+            <div data-testid="filmstrip" style={{ display: 'flex', gap: 8, overflowX: 'auto', maxWidth: '100%' }}>
+              {tiles.filter(p => p !== focused).map(participant => renderTile(participant, 'small'))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,340 @@
+// components/ChatPanel.js
+import React, { useEffect, useRef, useState } from 'react';
+import MessageList from './MessageList';
+import ModerationPanel from './ModerationPanel';
+import Attachment from './Attachment';
+import MessageReactions from './MessageReactions';
+import { ATTACHMENT_ACCEPT, validateAttachment } from '../chat/attachments';
+import { muteOf, sendBlockReason } from '../chat/moderation';
+import { fallbackAvatar, formatBytes, isAdmin } from '../utils';
+
+const linkButtonStyle = {
+  border: 'none',
+  background: 'none',
+  color: '#007bff',
+  cursor: 'pointer',
+  fontSize: '11px',
+  padding: '0 4px'
+};
+
+// Moderator actions on someone else's message: time-out, mute or lift either. A
+// time-out that has run out counts as lifted, as it does for sending.
+function ModeratorActions({ author, moderation }) {
+  if (isAdmin(author)) return null;
+  if (muteOf(moderation, author)) {
+    return <button onClick={() => moderation.unmuteChatter(author)} style={linkButtonStyle}>Unmute</button>;
+  }
+  return (
+    <>
+      <button onClick={() => moderation.muteChatter(author)} style={linkButtonStyle}>Time out</button>
+      <button onClick={() => moderation.muteChatter(author, null)} style={linkButtonStyle}>Mute</button>
+    </>
+  );
+}
+
+function ChatMessage({ message: m, identity, onEdit, onDelete, onReact, getMediaUrl, moderation }) {
+  const [editing, setEditing] = useState(false);
+  const [draft, setDraft] = useState(m.text);
+  const own = m.username === identity;
+  const moderating = Boolean(moderation?.isModerator);
+
+  function startEditing() {
+    setDraft(m.text);
+    setEditing(true);
+  }
+
+  async function saveEdit() {
+    const text = draft.trim();
+    if (!text || text === m.text) return setEditing(false);
+    try {
+      await onEdit(m.sid, text);
+      setEditing(false);
+    } catch (e) {
+      console.error('Edit message failed:', e);
+      alert('Failed to edit message: ' + e.message);
+    }
+  }
+
+  async function remove() {
+    if (!window.confirm('Delete this message?')) return;
+    try {
+      await onDelete(m.sid);
+    } catch (e) {
+      console.error('Delete message failed:', e);
+      alert('Failed to delete message: ' + e.message);
+    }
+  }
+
+  return (
+    <div style={{
+      padding: 8,
+      backgroundColor: own ? '#e3f2fd' : '#f5f5f5',
+      borderRadius: 4,
+      borderLeft: `3px solid ${own ? '#2196f3' : '#9e9e9e'}`
+    }}>
+      <div style={{ display: 'flex', alignItems: 'center', marginBottom: 4 }}>
+        <img
+          src={m.avatarImage || fallbackAvatar(m.username, 24)}
+          alt={`${m.username}'s avatar`}
+          style={{
+            width: 24,
+            height: 24,
+            borderRadius: '50%',
+            marginRight: 8,
+            backgroundColor: '#f8f9fa'
+          }}
+          onError={(e) => {
+            e.target.src = fallbackAvatar(m.username, 24);
+          }}
+        />
+        <div style={{ fontSize: '11px', color: '#666' }}>
+          <strong>{m.username}</strong> - {new Date(m.ts).toLocaleTimeString()}
+          {m.editedAt && (
+            <span title={new Date(m.editedAt).toLocaleString()}>
+              {' '}(edited {new Date(m.editedAt).toLocaleTimeString()})
+            </span>
+          )}
+        </div>
+        {(own || moderating) && !editing && (
+          <div style={{ marginLeft: 'auto' }}>
+            {moderating && !own && <ModeratorActions author={m.username} moderation={moderation} />}
+            {own && <button onClick={startEditing} style={linkButtonStyle}>Edit</button>}
+            <button onClick={remove} style={{ ...linkButtonStyle, color: '#dc3545' }}>Delete</button>
+          </div>
+        )}
+      </div>
+      {editing ? (
+        <div style={{ marginLeft: 32, display: 'flex', gap: 4 }}>
+          <input
+            aria-label="Edit message"
+            value={draft}
+            autoFocus
+            onChange={e => setDraft(e.target.value)}
+            onKeyDown={e => {
+              if (e.key === 'Enter') saveEdit();
+              if (e.key === 'Escape') setEditing(false);
+            }}
+            style={{ flex: 1, padding: 4 }}
+          />
+          <button onClick={saveEdit} style={linkButtonStyle}>Save</button>
+          <button onClick={() => setEditing(false)} style={linkButtonStyle}>Cancel</button>
+        </div>
+      ) : (
+        m.text && <div style={{ marginLeft: 32 }}>{m.text}</div>
+      )}
+      {m.media.length > 0 && (
+        <div style={{ marginLeft: 32, marginTop: 4, display: 'flex', flexWrap: 'wrap', gap: 8 }}>
+          {m.media.map(media => (
+            <Attachment key={media.sid} media={media} messageSid={m.sid} getMediaUrl={getMediaUrl} />
+          ))}
+        </div>
+      )}
+      <MessageReactions reactions={m.reactions} identity={identity} onToggle={emoji => onReact(m.sid, emoji)} />
+    </div>
+  );
+}
+
+function typingText(users) {
+  if (users.length === 1) return `${users[0]} is typing...`;
+  if (users.length === 2) return `${users[0]} and ${users[1]} are typing...`;
+  return `${users.length} people are typing...`;
+}
+
+// Message list and composer for a conversation from useConversation(). Outgoing
+// messages carry the sender's avatar in their attributes; older history loads as the
+// list is scrolled to the top. Messages from others past the read horizon count as
+// unread until they've been scrolled into view. Authors can edit and delete their own
+// messages; with `moderation` from useModeration() an admin can delete any message,
+// silence chatters and set slow mode.
+export default function ChatPanel({ conversation, username, avatarImage, moderation }) {
+  const { messages, status: conversationStatus, lastReadIndex, typingUsers } = conversation;
+  const chatInputRef = useRef(null);
+
+  // Our own time-out lifts by the clock, not by an event; re-render when it does
+  const ownMute = muteOf(conversation.moderation, conversation.identity);
+  const [, setMuteExpired] = useState(0);
+  useEffect(() => {
+    if (!ownMute?.until) return;
+    const timer = setTimeout(() => setMuteExpired(n => n + 1), ownMute.until - Date.now());
+    return () => clearTimeout(timer);
+  }, [ownMute?.until]);
+  const muteNotice = ownMute && !isAdmin(conversation.identity)
+    ? sendBlockReason(conversation.moderation, conversation.identity, 0)
+    : '';
+
+  // Messages are ours by chat identity (their author), as are reactions and mutes;
+  // `username` is only a display name
+  const unread = messages.filter(m => m.username !== conversation.identity && m.index !== null && (lastReadIndex === null || m.index > lastReadIndex));
+
+  // Attributes sent with every message: the sender's avatar (backend one if
+  // available, otherwise a generated one)
+  function messageAttributes() {
+    const messageAvatar = avatarImage && typeof avatarImage === 'string' && avatarImage.trim()
+      ? avatarImage.trim()
+      : fallbackAvatar(username);
+    return { avatarImage: messageAvatar };
+  }
+
+  // Send message using conversations SDK
+  async function sendMessage() {
+    const chatInput = chatInputRef.current;
+    const text = chatInput?.value?.trim();
+    if (!text || !conversation.conversationRef.current) return;
+
+    try {
+      await conversation.sendMessage(text, messageAttributes());
+      chatInput.value = '';
+    } catch (e) {
+      console.error('Send message failed:', e);
+      alert('Failed to send message: ' + e.message);
+    }
+  }
+
+  async function attachFiles(e) {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    for (const file of files) {
+      const invalid = validateAttachment(file);
+      if (invalid) {
+        alert(invalid);
+        continue;
+      }
+      // Upload failures are listed with the uploads rather than alerted
+      conversation.sendAttachment(file, { attributes: messageAttributes() }).catch(() => {});
+    }
+  }
+
+  function handleChatKeyPress(e) {
+    if (e.key === 'Enter') {
+      sendMessage();
+    }
+  }
+
+  return (
+    <div style={{ marginBottom: 20 }}>
+      <h3>Persistent Chat ({messages.length} messages{unread.length > 0 ? `, ${unread.length} unread` : ''})</h3>
+      {moderation?.isModerator && <ModerationPanel moderation={moderation} />}
+      {conversation.moderation.slowModeSeconds > 0 && (
+        <div style={{ fontSize: '12px', color: '#856404', marginBottom: 4 }}>
+          Slow mode: one message every {conversation.moderation.slowModeSeconds}s
+        </div>
+      )}
+      {muteNotice && (
+        <div role="status" style={{ fontSize: '12px', color: '#dc3545', marginBottom: 4 }}>
+          {muteNotice}
+        </div>
+      )}
+      <MessageList
+        messages={messages}
+        hasOlder={conversation.hasOlderMessages}
+        loadingOlder={conversation.loadingOlderMessages}
+        onLoadOlder={conversation.loadOlderMessages}
+        onRead={m => conversation.markRead(m.index)}
+        firstUnreadSid={unread[0]?.sid}
+        unreadCount={unread.length}
+        renderMessage={m => (
+          <ChatMessage
+            message={m}
+            onEdit={conversation.editMessage}
+            onDelete={conversation.deleteMessage}
+            onReact={conversation.toggleReaction}
+            identity={conversation.identity}
+            getMediaUrl={conversation.getMediaUrl}
+            moderation={moderation}
+          />
+        )}
+        emptyContent={
+          <div style={{
+            color: '#666',
+            fontStyle: 'italic',
+            textAlign: 'center',
+            marginTop: 100,
+            fontSize: '14px'
+          }}>
+            {conversationStatus === 'connected'
+              ? 'No messages yet. Start the conversation!'
+              : 'Connecting to chat...'}
+          </div>
+        }
+      />
+      <div style={{ height: 16, marginBottom: 4, fontSize: '12px', color: '#666', fontStyle: 'italic' }}>
+        {typingUsers.length > 0 && typingText(typingUsers)}
+      </div>
+
+      {conversation.uploads.length > 0 && (
+        <div style={{ marginBottom: 8, fontSize: '12px' }}>
+          {conversation.uploads.map(upload => (
+            <div key={upload.id} style={{ display: 'flex', alignItems: 'center', gap: 8, marginBottom: 4 }}>
+              <span>{upload.filename} ({formatBytes(upload.size)})</span>
+              {upload.status === 'uploading' ? (
+                <>
+                  {/* The SDK doesn't report how much has been sent, only that it's under way */}
+                  <span role="status" aria-label={`Uploading ${upload.filename}`} style={{ color: '#666', fontStyle: 'italic' }}>
+                    Uploading...
+                  </span>
+                  <button onClick={() => conversation.cancelUpload(upload.id)} style={linkButtonStyle}>Cancel</button>
+                </>
+              ) : (
+                <>
+                  <span style={{ color: '#dc3545' }}>Failed: {upload.error}</span>
+                  <button onClick={() => conversation.dismissUpload(upload.id)} style={linkButtonStyle}>Dismiss</button>
+                </>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      <div style={{ display: 'flex', gap: 8 }}>
+        <label
+          style={{
+            padding: '10px 12px',
+            backgroundColor: conversationStatus === 'connected' ? '#17a2b8' : '#6c757d',
+            color: 'white',
+            borderRadius: 4,
+            cursor: conversationStatus === 'connected' ? 'pointer' : 'not-allowed'
+          }}
+        >
+          Attach
+          <input
+            type="file"
+            multiple
+            accept={ATTACHMENT_ACCEPT}
+            onChange={attachFiles}
+            disabled={conversationStatus !== 'connected'}
+            style={{ display: 'none' }}
+          />
+        </label>
+        <input
+          id="chatInput"
+          ref={chatInputRef}
+          placeholder={conversationStatus === 'connected' ? "Type your message here..." : "Connecting to chat..."}
+          style={{
+            flex: 1,
+            padding: 10,
+            border: '1px solid #dee2e6',
+            borderRadius: 4,
+            fontSize: '14px'
+          }}
+          onKeyPress={handleChatKeyPress}
+          onChange={conversation.notifyTyping}
+          disabled={conversationStatus !== 'connected'}
+        />
+        <button
+          onClick={sendMessage}
+          disabled={conversationStatus !== 'connected'}
+          style={{
+            padding: '10px 20px',
+            backgroundColor: conversationStatus === 'connected' ? '#28a745' : '#6c757d',
+            color: 'white',
+            border: 'none',
+            borderRadius: 4,
+            cursor: conversationStatus === 'connected' ? 'pointer' : 'not-allowed'
+          }}
+        >
+          Send
+        </button>
+      </div>
+    </div>
+  );
+}
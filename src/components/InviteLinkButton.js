@@ -0,0 +1,34 @@
+// components/InviteLinkButton.js
+import React, { useEffect, useState } from 'react';
+import { inviteLink } from '../routing/routes';
+
+// Copies a link that opens `roomName` as a viewer. Without clipboard access the link
+// is shown instead so it can be copied by hand.
+export default function InviteLinkButton({ roomName }) {
+  const [status, setStatus] = useState('');
+
+  useEffect(() => { setStatus(''); }, [roomName]);
+
+  const copy = async () => {
+    const link = inviteLink(roomName);
+    try {
+      await navigator.clipboard.writeText(link);
+      setStatus('Invite link copied');
+    } catch (e) {
+      console.warn('Could not copy the invite link', e);
+      setStatus(`Copy this link: ${link}`);
+    }
+  };
+
+  return (
+    <>
+      <button
+        onClick={copy}
+        style={{ padding: 8, backgroundColor: '#17a2b8', color: 'white', border: 'none', borderRadius: 4 }}
+      >
+        Copy invite link
+      </button>
+      {status && <span role="status" style={{ fontSize: '12px', color: '#666' }}>{status}</span>}
+    </>
+  );
+}
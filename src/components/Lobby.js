@@ -0,0 +1,86 @@
+// components/Lobby.js
+import React from 'react';
+import VideoComponent from './VideoComponent';
+import MediaControls from './MediaControls';
+import useAudioLevel from '../hooks/useAudioLevel';
+import { PERMISSION_LABELS } from '../media/permissions';
+
+const buttonStyle = {
+  padding: '8px 16px',
+  backgroundColor: '#007bff',
+  color: 'white',
+  border: 'none',
+  borderRadius: 4,
+  cursor: 'pointer'
+};
+
+function LevelMeter({ level }) {
+  return (
+    <div
+      role="meter"
+      aria-label="Microphone level"
+      aria-valuemin={0}
+      aria-valuemax={100}
+      aria-valuenow={Math.round(level * 100)}
+      style={{ width: 320, maxWidth: '100%', height: 8, backgroundColor: '#e9ecef', borderRadius: 4, overflow: 'hidden' }}
+    >
+      <div style={{
+        width: `${Math.round(level * 100)}%`,
+        height: '100%',
+        backgroundColor: level > 0.8 ? '#dc3545' : '#28a745',
+        transition: 'width 0.1s linear'
+      }} />
+    </div>
+  );
+}
+
+// Camera preview, mic level and permission state before joining, driven by useLobby().
+// `media` is useLocalMedia() over the lobby, so mute and device choice carry into the room.
+export default function Lobby({ lobby, media }) {
+  const { localVideoTrack, localAudioTrack, permissions, error, starting } = lobby;
+  const level = useAudioLevel(localAudioTrack);
+  const previewing = Boolean(localVideoTrack || localAudioTrack);
+
+  return (
+    <div>
+      <div style={{ fontSize: '12px', color: '#666', marginBottom: 8 }}>
+        Camera: {PERMISSION_LABELS[permissions.camera] || permissions.camera}
+        {' | '}
+        Microphone: {PERMISSION_LABELS[permissions.microphone] || permissions.microphone}
+      </div>
+
+      {error && (
+        <div role="alert" style={{ color: '#dc3545', fontSize: '14px', marginBottom: 8 }}>
+          {error}
+        </div>
+      )}
+
+      {!previewing && (
+        <>
+          <button onClick={lobby.start} disabled={starting} style={buttonStyle}>
+            {starting ? 'Starting camera...' : 'Start camera preview'}
+          </button>
+          <p style={{ color: '#666', fontSize: '12px' }}>
+            Broadcasters can check their camera and microphone before joining.
+          </p>
+        </>
+      )}
+
+      {previewing && (
+        <>
+          <VideoComponent
+            track={localVideoTrack}
+            participantId="lobby"
+            isLocal
+            label={`Preview${media.videoEnabled ? '' : ' - camera off'}${media.audioEnabled ? '' : ' - muted'}`}
+          />
+          <LevelMeter level={media.audioEnabled ? level : 0} />
+          <MediaControls media={media} />
+          <button onClick={lobby.stop} style={{ ...buttonStyle, backgroundColor: '#6c757d', marginTop: 8 }}>
+            Stop preview
+          </button>
+        </>
+      )}
+    </div>
+  );
+}
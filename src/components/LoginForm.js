@@ -0,0 +1,52 @@
+// components/LoginForm.js
+import React, { useState } from 'react';
+
+// Username/password sign-in against the backend (see useAuth)
+export default function LoginForm({ auth }) {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const { login, signingIn, authError } = auth;
+
+  const submit = async (e) => {
+    e.preventDefault();
+    if (await login(username, password)) setPassword('');
+  };
+
+  return (
+    <form onSubmit={submit} style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'end' }}>
+      <div style={{ display: 'flex', flexDirection: 'column' }}>
+        <label htmlFor="loginUsername" style={{ fontSize: '12px', marginBottom: 4 }}>Username</label>
+        <input
+          id="loginUsername"
+          autoComplete="username"
+          value={username}
+          onChange={e => setUsername(e.target.value)}
+          style={{ minWidth: 150, padding: 8 }}
+        />
+      </div>
+      <div style={{ display: 'flex', flexDirection: 'column' }}>
+        <label htmlFor="loginPassword" style={{ fontSize: '12px', marginBottom: 4 }}>Password</label>
+        <input
+          id="loginPassword"
+          type="password"
+          autoComplete="current-password"
+          value={password}
+          onChange={e => setPassword(e.target.value)}
+          style={{ minWidth: 150, padding: 8 }}
+        />
+      </div>
+      <button
+        type="submit"
+        disabled={signingIn || !username.trim() || !password}
+        style={{ padding: 8, backgroundColor: '#007bff', color: 'white', border: 'none', borderRadius: 4 }}
+      >
+        {signingIn ? 'Signing in...' : 'Sign in'}
+      </button>
+      {authError && (
+        <div role="alert" style={{ flexBasis: '100%', color: '#dc3545', fontSize: '12px' }}>
+          {authError}
+        </div>
+      )}
+    </form>
+  );
+}
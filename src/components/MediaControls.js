@@ -0,0 +1,76 @@
+// components/MediaControls.js
+import React from 'react';
+import { SHARE_MODES } from '../hooks/useScreenShare';
+
+const buttonStyle = (active) => ({
+  padding: '6px 12px',
+  backgroundColor: active ? '#28a745' : '#dc3545',
+  color: 'white',
+  border: 'none',
+  borderRadius: 4,
+  cursor: 'pointer'
+});
+
+const shareButtonStyle = {
+  padding: '6px 12px',
+  backgroundColor: '#6f42c1',
+  color: 'white',
+  border: 'none',
+  borderRadius: 4,
+  cursor: 'pointer'
+};
+
+function DevicePicker({ label, kind, media }) {
+  const devices = media.devices[kind];
+  return (
+    <label style={{ display: 'flex', flexDirection: 'column', fontSize: '12px' }}>
+      {label}
+      <select
+        aria-label={label}
+        value={media.selectedDevices[kind]}
+        onChange={e => media.switchDevice(kind, e.target.value)}
+        disabled={media.switching || devices.length === 0}
+        style={{ padding: 4, minWidth: 180 }}
+      >
+        {devices.length === 0 && <option value="">No devices found</option>}
+        {devices.map((device, i) => (
+          <option key={device.deviceId || i} value={device.deviceId}>
+            {device.label || `${label} ${i + 1}`}
+          </option>
+        ))}
+      </select>
+    </label>
+  );
+}
+
+// Mic/camera toggles and device pickers for a broadcaster, driven by useLocalMedia(),
+// plus screen share controls when given useScreenShare()
+export default function MediaControls({ media, screenShare }) {
+  return (
+    <div style={{ display: 'flex', gap: 8, flexWrap: 'wrap', alignItems: 'end', marginTop: 8 }}>
+      <button onClick={media.toggleAudio} style={buttonStyle(media.audioEnabled)}>
+        {media.audioEnabled ? 'Mute' : 'Unmute'}
+      </button>
+      <button onClick={media.toggleVideo} style={buttonStyle(media.videoEnabled)}>
+        {media.videoEnabled ? 'Camera off' : 'Camera on'}
+      </button>
+      <DevicePicker label="Camera" kind="videoinput" media={media} />
+      <DevicePicker label="Microphone" kind="audioinput" media={media} />
+      {screenShare && !screenShare.screenTrack && (
+        <>
+          <button onClick={() => screenShare.startShare(SHARE_MODES.ALONGSIDE)} style={shareButtonStyle}>
+            Share screen
+          </button>
+          <button onClick={() => screenShare.startShare(SHARE_MODES.REPLACE)} style={shareButtonStyle}>
+            Share screen instead of camera
+          </button>
+        </>
+      )}
+      {screenShare && screenShare.screenTrack && (
+        <button onClick={screenShare.stopShare} style={{ ...shareButtonStyle, backgroundColor: '#dc3545' }}>
+          Stop sharing
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,253 @@
+// components/MessageList.js
+import React, { useCallback, useEffect, useLayoutEffect, useRef, useState } from 'react';
+
+// Row height assumed until a message has been measured
+const ESTIMATED_ROW_HEIGHT = 64;
+// Rows rendered beyond the visible area on each side
+const OVERSCAN = 8;
+// Distance from the top (px) that triggers loading older history
+const LOAD_OLDER_THRESHOLD = 40;
+// Distance from the bottom (px) within which new messages keep the list pinned
+const STICK_TO_BOTTOM_THRESHOLD = 60;
+// Padding of the scroll container; rows start below it (and below the header)
+const LIST_PADDING = 12;
+
+function UnreadDivider() {
+  return (
+    <div role="separator" style={{ display: 'flex', alignItems: 'center', gap: 8, color: '#dc3545', fontSize: '11px', marginBottom: 8 }}>
+      <div style={{ flex: 1, borderTop: '1px solid #dc3545' }} />
+      New messages
+      <div style={{ flex: 1, borderTop: '1px solid #dc3545' }} />
+    </div>
+  );
+}
+
+// Measures one rendered row and reports its height, keyed by message sid
+function MeasuredRow({ sid, onHeight, children }) {
+  const ref = useRef(null);
+
+  useLayoutEffect(() => {
+    const element = ref.current;
+    if (!element) return;
+    const measure = () => onHeight(sid, element.offsetHeight);
+    measure();
+    if (typeof ResizeObserver === 'undefined') return;
+    const observer = new ResizeObserver(measure);
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [sid, onHeight]);
+
+  // Spacing as padding rather than margin so it's part of the measured height
+  return <div ref={ref} style={{ paddingBottom: 8 }}>{children}</div>;
+}
+
+// Windowed, variable-height chat list: only rows near the viewport are mounted, with
+// spacers standing in for the rest, so long histories stay cheap to render.
+// Scrolling to the top calls `onLoadOlder`; when older messages are prepended the
+// visible messages stay where they were, and while at the bottom new messages keep
+// the list scrolled to the newest one.
+//
+// `onRead(message)` is called with the newest message fully in view while the page is
+// visible. `firstUnreadSid` gets a "New messages" divider, and while scrolled up a
+// button with `unreadCount` jumps to it.
+export default function MessageList({
+  messages,
+  renderMessage,
+  hasOlder,
+  loadingOlder,
+  onLoadOlder,
+  onRead,
+  firstUnreadSid,
+  unreadCount = 0,
+  emptyContent,
+  height = 250
+}) {
+  const containerRef = useRef(null);
+  const headerRef = useRef(null);
+  // Measured row heights and current row offsets (from the top of the scrolled
+  // content), by message sid
+  const heightsRef = useRef(new Map());
+  const offsetsRef = useRef(new Map());
+  const [scrollTop, setScrollTop] = useState(0);
+  const [headerHeight, setHeaderHeight] = useState(0);
+  const [, setMeasureVersion] = useState(0);
+
+  // What the previous render looked like, to tell prepends from appends
+  const previousRef = useRef({ firstSid: null, lastSid: null, count: 0 });
+  const distanceFromBottomRef = useRef(0);
+  const atBottomRef = useRef(true);
+  const [atBottom, setAtBottom] = useState(true);
+
+  const heightOf = (sid) => heightsRef.current.get(sid) || ESTIMATED_ROW_HEIGHT;
+
+  const onHeight = useCallback((sid, measured) => {
+    // jsdom and detached rows report 0; keep the estimate for those
+    const previous = heightsRef.current.get(sid) || ESTIMATED_ROW_HEIGHT;
+    if (!measured || previous === measured) return;
+    heightsRef.current.set(sid, measured);
+
+    // A row above the viewport changing size would shift what the user is reading
+    const container = containerRef.current;
+    if (container && offsetsRef.current.get(sid) < container.scrollTop) {
+      container.scrollTop += measured - previous;
+    }
+    setMeasureVersion(v => v + 1);
+  }, []);
+
+  // Row offsets within the rows from the heights known so far; the rows themselves
+  // start `listTop` down the scrolled content
+  const listTop = LIST_PADDING + headerHeight;
+  const offsets = [];
+  let totalHeight = 0;
+  offsetsRef.current = new Map();
+  messages.forEach(m => {
+    offsets.push(totalHeight);
+    offsetsRef.current.set(m.sid, listTop + totalHeight);
+    totalHeight += heightOf(m.sid);
+  });
+
+  const viewportHeight = containerRef.current?.clientHeight || height;
+  const rowsScrollTop = scrollTop - listTop;
+  let start = 0;
+  while (start < messages.length - 1 && offsets[start + 1] <= rowsScrollTop) start++;
+  let end = start;
+  while (end < messages.length && offsets[end] < rowsScrollTop + viewportHeight) end++;
+  start = Math.max(0, start - OVERSCAN);
+  end = Math.min(messages.length, end + OVERSCAN);
+
+  const topSpacer = messages.length ? offsets[start] : 0;
+  const bottomSpacer = messages.length ? totalHeight - (end < messages.length ? offsets[end] : totalHeight) : 0;
+
+  // Report the newest message that is entirely inside the viewport
+  const reportRead = () => {
+    const container = containerRef.current;
+    if (!onRead || !container || document.visibilityState === 'hidden') return;
+    const viewportBottom = container.scrollTop + (container.clientHeight || height);
+    for (let i = messages.length - 1; i >= 0; i--) {
+      if (listTop + offsets[i] + heightOf(messages[i].sid) <= viewportBottom) {
+        onRead(messages[i]);
+        return;
+      }
+    }
+  };
+  const reportReadRef = useRef(reportRead);
+  reportReadRef.current = reportRead;
+
+  // Coming back to the tab counts as seeing what's on screen
+  useEffect(() => {
+    const onVisibilityChange = () => reportReadRef.current();
+    document.addEventListener('visibilitychange', onVisibilityChange);
+    return () => document.removeEventListener('visibilitychange', onVisibilityChange);
+  }, []);
+
+  // The "Load older messages" header pushes the rows down
+  const showHeader = hasOlder || loadingOlder;
+  useLayoutEffect(() => {
+    const element = headerRef.current;
+    if (!element) {
+      setHeaderHeight(0);
+      return;
+    }
+    const measure = () => setHeaderHeight(element.offsetHeight);
+    measure();
+    if (typeof ResizeObserver === 'undefined') return;
+    const observer = new ResizeObserver(measure);
+    observer.observe(element);
+    return () => observer.disconnect();
+  }, [showHeader]);
+
+  // Keep the viewport anchored after the content above or below it changes
+  useLayoutEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+    const previous = previousRef.current;
+    const firstSid = messages[0]?.sid || null;
+    const lastSid = messages[messages.length - 1]?.sid || null;
+
+    const prepended = previous.count > 0 && firstSid !== previous.firstSid && lastSid === previous.lastSid;
+    if (prepended) {
+      container.scrollTop = container.scrollHeight - distanceFromBottomRef.current;
+    } else if (atBottomRef.current) {
+      container.scrollTop = container.scrollHeight;
+    }
+    previousRef.current = { firstSid, lastSid, count: messages.length };
+    distanceFromBottomRef.current = container.scrollHeight - container.scrollTop;
+    reportReadRef.current();
+  });
+
+  function handleScroll(e) {
+    const container = e.currentTarget;
+    distanceFromBottomRef.current = container.scrollHeight - container.scrollTop;
+    atBottomRef.current = container.scrollHeight - container.scrollTop - container.clientHeight <= STICK_TO_BOTTOM_THRESHOLD;
+    setAtBottom(atBottomRef.current);
+    setScrollTop(container.scrollTop);
+    reportRead();
+
+    if (container.scrollTop <= LOAD_OLDER_THRESHOLD && hasOlder && !loadingOlder) {
+      onLoadOlder();
+    }
+  }
+
+  function jumpToUnread() {
+    const container = containerRef.current;
+    const offset = offsetsRef.current.get(firstUnreadSid);
+    if (container && offset !== undefined) container.scrollTop = offset;
+  }
+
+  return (
+    <div style={{ position: 'relative', marginBottom: 8 }}>
+      <div
+        ref={containerRef}
+        onScroll={handleScroll}
+        data-testid="message-list"
+        style={{
+          border: '1px solid #dee2e6',
+          padding: LIST_PADDING,
+          height,
+          overflow: 'auto',
+          backgroundColor: 'white',
+          borderRadius: 8
+        }}
+      >
+        {showHeader && (
+          <div ref={headerRef} style={{ textAlign: 'center', fontSize: '12px', color: '#666', paddingBottom: 8 }}>
+            {loadingOlder ? 'Loading older messages...' : (
+              <button onClick={onLoadOlder} style={{ border: 'none', background: 'none', color: '#007bff', cursor: 'pointer' }}>
+                Load older messages
+              </button>
+            )}
+          </div>
+        )}
+        <div style={{ height: topSpacer }} />
+        {messages.slice(start, end).map(m => (
+          <MeasuredRow key={m.sid} sid={m.sid} onHeight={onHeight}>
+            {m.sid === firstUnreadSid && <UnreadDivider />}
+            {renderMessage(m)}
+          </MeasuredRow>
+        ))}
+        <div style={{ height: bottomSpacer }} />
+        {messages.length === 0 && emptyContent}
+      </div>
+      {!atBottom && unreadCount > 0 && firstUnreadSid && (
+        <button
+          onClick={jumpToUnread}
+          style={{
+            position: 'absolute',
+            bottom: 12,
+            left: '50%',
+            transform: 'translateX(-50%)',
+            padding: '4px 12px',
+            backgroundColor: '#dc3545',
+            color: 'white',
+            border: 'none',
+            borderRadius: 12,
+            fontSize: '12px',
+            cursor: 'pointer'
+          }}
+        >
+          {unreadCount} new message{unreadCount === 1 ? '' : 's'} - jump
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,93 @@
+import { fireEvent, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import MessageList from './MessageList';
+
+const messagesUpTo = (count) => Array.from({ length: count }, (_, i) => ({ sid: `IM${i}`, text: `message ${i}` }));
+
+function renderList(props) {
+  return render(
+    <MessageList
+      renderMessage={m => <div>{m.text}</div>}
+      hasOlder={false}
+      loadingOlder={false}
+      onLoadOlder={() => {}}
+      {...props}
+    />
+  );
+}
+
+afterEach(() => jest.restoreAllMocks());
+
+test('only rows around the viewport are mounted', () => {
+  renderList({ messages: messagesUpTo(1000) });
+
+  const rendered = screen.getAllByText(/^message \d+$/);
+  expect(rendered.length).toBeGreaterThan(0);
+  expect(rendered.length).toBeLessThan(50);
+});
+
+test('scrolling to the top asks for older messages', () => {
+  const onLoadOlder = jest.fn();
+  renderList({ messages: messagesUpTo(5), hasOlder: true, onLoadOlder });
+
+  fireEvent.scroll(screen.getByTestId('message-list'), { target: { scrollTop: 0 } });
+  expect(onLoadOlder).toHaveBeenCalledTimes(1);
+});
+
+test('no request while a page is loading or when history is exhausted', () => {
+  const onLoadOlder = jest.fn();
+  const { rerender } = renderList({ messages: messagesUpTo(5), hasOlder: true, loadingOlder: true, onLoadOlder });
+  expect(screen.getByText('Loading older messages...')).toBeInTheDocument();
+  fireEvent.scroll(screen.getByTestId('message-list'), { target: { scrollTop: 0 } });
+
+  rerender(
+    <MessageList messages={messagesUpTo(5)} renderMessage={m => <div>{m.text}</div>} hasOlder={false} loadingOlder={false} onLoadOlder={onLoadOlder} />
+  );
+  fireEvent.scroll(screen.getByTestId('message-list'), { target: { scrollTop: 0 } });
+
+  expect(onLoadOlder).not.toHaveBeenCalled();
+});
+
+test('reports the newest message in view as read', () => {
+  const onRead = jest.fn();
+  renderList({ messages: messagesUpTo(2), onRead });
+  expect(onRead).toHaveBeenLastCalledWith(expect.objectContaining({ sid: 'IM1' }));
+});
+
+test('offers a jump to the first unread message while scrolled up', () => {
+  const messages = messagesUpTo(100);
+  renderList({ messages, firstUnreadSid: 'IM90', unreadCount: 10 });
+  const list = screen.getByTestId('message-list');
+
+  // Pinned to the bottom: no button
+  expect(screen.queryByRole('button', { name: /new messages/ })).not.toBeInTheDocument();
+
+  Object.defineProperty(list, 'scrollHeight', { configurable: true, value: 6400 });
+  Object.defineProperty(list, 'clientHeight', { configurable: true, value: 250 });
+  fireEvent.scroll(list, { target: { scrollTop: 1000 } });
+  userEvent.click(screen.getByRole('button', { name: '10 new messages - jump' }));
+
+  // Below the list's 12px padding
+  expect(list.scrollTop).toBe(12 + 90 * 64);
+  fireEvent.scroll(list);
+  expect(screen.getByRole('separator')).toHaveTextContent('New messages');
+});
+
+test('row offsets account for the load-older header above the rows', () => {
+  // jsdom doesn't lay out; only the header gets a height
+  jest.spyOn(HTMLElement.prototype, 'offsetHeight', 'get').mockImplementation(function () {
+    return this.textContent === 'Load older messages' ? 100 : 0;
+  });
+  renderList({ messages: messagesUpTo(100), hasOlder: true, firstUnreadSid: 'IM90', unreadCount: 10 });
+  const list = screen.getByTestId('message-list');
+  Object.defineProperty(list, 'scrollHeight', { configurable: true, value: 6512 });
+  Object.defineProperty(list, 'clientHeight', { configurable: true, value: 250 });
+
+  // Row 50 at the top of the viewport: the window starts OVERSCAN (8) rows earlier
+  fireEvent.scroll(list, { target: { scrollTop: 112 + 50 * 64 } });
+  expect(screen.getByText('message 42')).toBeInTheDocument();
+  expect(screen.queryByText('message 41')).not.toBeInTheDocument();
+
+  userEvent.click(screen.getByRole('button', { name: '10 new messages - jump' }));
+  expect(list.scrollTop).toBe(112 + 90 * 64);
+});
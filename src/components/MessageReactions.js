@@ -0,0 +1,56 @@
+// components/MessageReactions.js
+import React, { useState } from 'react';
+import { REACTION_EMOJIS, summarizeReactions } from '../chat/reactions';
+
+const chipStyle = (reacted) => ({
+  padding: '1px 6px',
+  border: `1px solid ${reacted ? '#2196f3' : '#dee2e6'}`,
+  backgroundColor: reacted ? '#e3f2fd' : 'white',
+  borderRadius: 10,
+  cursor: 'pointer',
+  fontSize: '12px'
+});
+
+// Reaction counts under a message plus a picker; clicking an emoji toggles our reaction
+export default function MessageReactions({ reactions, identity, onToggle }) {
+  const [picking, setPicking] = useState(false);
+  const summary = summarizeReactions(reactions, identity);
+
+  function toggle(emoji) {
+    setPicking(false);
+    onToggle(emoji).catch(e => {
+      console.error('Reaction failed:', e);
+      alert('Failed to react: ' + e.message);
+    });
+  }
+
+  return (
+    <div style={{ marginLeft: 32, marginTop: 4, display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: 4 }}>
+      {summary.map(({ emoji, count, reacted }) => (
+        <button
+          key={emoji}
+          onClick={() => toggle(emoji)}
+          aria-pressed={reacted}
+          aria-label={`${emoji} ${count}${reacted ? ', you reacted' : ''}`}
+          title={reacted ? 'You reacted' : undefined}
+          style={chipStyle(reacted)}
+        >
+          {emoji} {count}
+        </button>
+      ))}
+      <button
+        onClick={() => setPicking(p => !p)}
+        aria-label="Add reaction"
+        aria-expanded={picking}
+        style={{ ...chipStyle(false), color: '#666' }}
+      >
+        +
+      </button>
+      {picking && REACTION_EMOJIS.map(emoji => (
+        <button key={emoji} onClick={() => toggle(emoji)} aria-label={`React with ${emoji}`} style={chipStyle(false)}>
+          {emoji}
+        </button>
+      ))}
+    </div>
+  );
+}
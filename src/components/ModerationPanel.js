@@ -0,0 +1,55 @@
+// components/ModerationPanel.js
+import React from 'react';
+import { SLOW_MODE_OPTIONS } from '../chat/moderation';
+
+// Chat-wide moderation settings for admins, driven by useModeration()
+export default function ModerationPanel({ moderation }) {
+  const muted = Object.entries(moderation.mutedChatters)
+    .filter(([, until]) => until === null || until > Date.now());
+
+  return (
+    <div style={{
+      display: 'flex',
+      flexWrap: 'wrap',
+      alignItems: 'center',
+      gap: 12,
+      padding: 8,
+      marginBottom: 8,
+      backgroundColor: '#fff3cd',
+      border: '1px solid #ffeeba',
+      borderRadius: 4,
+      fontSize: '12px'
+    }}>
+      <strong>Moderation</strong>
+      <label>
+        Slow mode{' '}
+        <select
+          aria-label="Slow mode"
+          value={moderation.slowModeSeconds}
+          onChange={e => moderation.setSlowMode(Number(e.target.value))}
+        >
+          {SLOW_MODE_OPTIONS.map(seconds => (
+            <option key={seconds} value={seconds}>{seconds ? `${seconds}s` : 'Off'}</option>
+          ))}
+        </select>
+      </label>
+      {muted.length > 0 && (
+        <span>
+          Silenced:{' '}
+          {muted.map(([identity, until]) => (
+            <span key={identity} style={{ marginRight: 8 }}>
+              {identity} ({until === null ? 'muted' : `until ${new Date(until).toLocaleTimeString()}`})
+              <button
+                onClick={() => moderation.unmuteChatter(identity)}
+                aria-label={`Unmute ${identity}`}
+                style={{ marginLeft: 4, border: 'none', background: 'none', color: '#007bff', cursor: 'pointer', fontSize: '12px' }}
+              >
+                Unmute
+              </button>
+            </span>
+          ))}
+        </span>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,31 @@
+// components/NetworkQualityBars.js
+import React from 'react';
+import { MAX_NETWORK_QUALITY, isPoorNetworkQuality } from '../media/networkQuality';
+
+// Signal bars for a network quality level (0-5); greyed out until the first report
+export default function NetworkQualityBars({ level }) {
+  const known = typeof level === 'number';
+  const color = !known ? '#adb5bd' : isPoorNetworkQuality(level) ? '#dc3545' : '#28a745';
+
+  return (
+    <span
+      role="img"
+      aria-label={known ? `Network quality ${level} of ${MAX_NETWORK_QUALITY}` : 'Network quality unknown'}
+      title={known ? `Network quality ${level}/${MAX_NETWORK_QUALITY}` : 'Network quality unknown'}
+      style={{ display: 'inline-flex', alignItems: 'flex-end', gap: 1, height: 12 }}
+    >
+      {Array.from({ length: MAX_NETWORK_QUALITY }, (_, i) => (
+        <span
+          key={i}
+          style={{
+            width: 3,
+            height: 4 + i * 2,
+            backgroundColor: known && i < level ? color : 'rgba(255, 255, 255, 0.35)',
+            border: known ? 'none' : `1px solid ${color}`,
+            boxSizing: 'border-box'
+          }}
+        />
+      ))}
+    </span>
+  );
+}
@@ -0,0 +1,32 @@
+// components/ReactionBar.js
+import React from 'react';
+
+// One button per reaction for useReactions(); disabled while the sender is throttled
+export default function ReactionBar({ reactions }) {
+  const { reactions: options, send, throttled } = reactions;
+  return (
+    <div role="group" aria-label="Reactions" style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+      {options.map(({ type, emoji, label }) => (
+        <button
+          key={type}
+          onClick={() => send(type)}
+          disabled={throttled}
+          aria-label={`Send ${label}`}
+          title={label}
+          style={{
+            padding: '4px 8px',
+            fontSize: 18,
+            border: '1px solid #dee2e6',
+            borderRadius: 16,
+            backgroundColor: 'white',
+            cursor: throttled ? 'not-allowed' : 'pointer',
+            opacity: throttled ? 0.5 : 1
+          }}
+        >
+          {emoji}
+        </button>
+      ))}
+      {throttled && <span style={{ fontSize: '12px', color: '#666' }}>Slow down a little...</span>}
+    </div>
+  );
+}
@@ -0,0 +1,37 @@
+// components/ReactionsOverlay.js
+import React from 'react';
+import { REACTION_FLOAT_MS, emojiOf } from '../reactions/reactions';
+import './ReactionsOverlay.css';
+
+// Floating reaction bubbles from useReactions(), laid over a video tile
+export default function ReactionsOverlay({ bubbles }) {
+  return (
+    <div
+      data-testid="reactions-overlay"
+      aria-hidden="true"
+      style={{ position: 'absolute', inset: 0, overflow: 'hidden', pointerEvents: 'none', borderRadius: 8 }}
+    >
+      {bubbles.map(bubble => (
+        <span
+          key={bubble.id}
+          className="reaction-bubble"
+          style={{
+            position: 'absolute',
+            bottom: 8,
+            left: `${bubble.offset}%`,
+            fontSize: 28,
+            whiteSpace: 'nowrap',
+            animationDuration: `${REACTION_FLOAT_MS}ms`
+          }}
+        >
+          {emojiOf(bubble.type)}
+          {bubble.count > 1 && (
+            <span style={{ marginLeft: 2, fontSize: 12, fontWeight: 'bold', color: 'white', textShadow: '0 0 3px #000' }}>
+              ×{bubble.count}
+            </span>
+          )}
+        </span>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,60 @@
+// components/RecordingControls.js
+import React from 'react';
+import { RECORDING_STATES } from '../hooks/useRecording';
+import { formatElapsed } from '../media/recording';
+import { formatBytes } from '../utils';
+
+const buttonStyle = (backgroundColor) => ({
+  padding: '6px 12px',
+  backgroundColor,
+  color: 'white',
+  border: 'none',
+  borderRadius: 4,
+  cursor: 'pointer'
+});
+
+// Record/pause/stop for useRecording(), then download or discard the result.
+// Without canStart (e.g. after leaving) only a finished recording is offered.
+export default function RecordingControls({ recorder, userRole, canStart = true }) {
+  const { supported, status, elapsedMs, size, recording, error } = recorder;
+  const active = status !== RECORDING_STATES.INACTIVE;
+
+  if (!supported) {
+    return <div style={{ fontSize: '12px', color: '#666' }}>Recording is not supported in this browser</div>;
+  }
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: 8, flexWrap: 'wrap' }}>
+      {!active && canStart && (
+        <button onClick={recorder.start} style={buttonStyle('#dc3545')}>
+          {userRole === 'broadcaster' ? 'Record my stream' : 'Record clip'}
+        </button>
+      )}
+      {status === RECORDING_STATES.RECORDING && (
+        <button onClick={recorder.pause} style={buttonStyle('#6c757d')}>Pause recording</button>
+      )}
+      {status === RECORDING_STATES.PAUSED && (
+        <button onClick={recorder.resume} style={buttonStyle('#28a745')}>Resume recording</button>
+      )}
+      {active && (
+        <button onClick={recorder.stop} style={buttonStyle('#343a40')}>Stop recording</button>
+      )}
+      {active && (
+        <span role="timer" aria-label="Recording progress" style={{ fontSize: '12px', fontFamily: 'monospace' }}>
+          <span style={{ color: status === RECORDING_STATES.RECORDING ? '#dc3545' : '#6c757d' }}>●</span>
+          {' '}{status === RECORDING_STATES.PAUSED ? 'Paused' : 'REC'} {formatElapsed(elapsedMs)} · {formatBytes(size)}
+        </span>
+      )}
+      {!active && recording && (
+        <>
+          <span style={{ fontSize: '12px' }}>
+            {recording.filename} ({formatElapsed(recording.durationMs)}, {formatBytes(recording.size)})
+          </span>
+          <button onClick={recorder.download} style={buttonStyle('#007bff')}>Download recording</button>
+          <button onClick={recorder.discard} style={buttonStyle('#6c757d')}>Discard</button>
+        </>
+      )}
+      {error && <span role="alert" style={{ fontSize: '12px', color: '#dc3545' }}>{error}</span>}
+    </div>
+  );
+}
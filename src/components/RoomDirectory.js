@@ -0,0 +1,84 @@
+// components/RoomDirectory.js
+import React, { useEffect, useState } from 'react';
+import { formatLiveDuration } from '../directory/liveRooms';
+import { fallbackAvatar } from '../utils';
+
+// Durations are shown to the minute
+const CLOCK_TICK_MS = 30000;
+
+// Cards for the broadcasts that are live right now (see useLiveRooms); clicking one
+// calls onJoin with its room name. Only shown while not in (or joining) a room.
+export default function RoomDirectory({ directory, onJoin }) {
+  const { rooms, loading, error, updatedAt, refresh } = directory;
+  const [now, setNow] = useState(() => Date.now());
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), CLOCK_TICK_MS);
+    return () => clearInterval(timer);
+  }, []);
+
+  // A fresh list is the best moment to catch up
+  useEffect(() => { setNow(Date.now()); }, [updatedAt]);
+
+  return (
+    <div style={{ marginBottom: 20, padding: 16, backgroundColor: '#f8f9fa', borderRadius: 8 }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+        <h4 style={{ margin: 0 }}>Live now</h4>
+        <button
+          onClick={refresh}
+          disabled={loading}
+          style={{ padding: '4px 10px', border: '1px solid #ced4da', borderRadius: 4, backgroundColor: 'white' }}
+        >
+          {loading ? 'Refreshing...' : 'Refresh'}
+        </button>
+      </div>
+
+      {error && <div role="alert" style={{ marginTop: 8, color: '#dc3545', fontSize: '12px' }}>{error}</div>}
+
+      {!rooms.length && !loading && !error && (
+        <div style={{ marginTop: 12, color: '#666' }}>Nobody is live right now.</div>
+      )}
+
+      <ul
+        aria-label="Live broadcasts"
+        style={{ listStyle: 'none', margin: '12px 0 0', padding: 0, display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: 12 }}
+      >
+        {rooms.map(room => (
+          <li key={room.roomName}>
+            <button
+              onClick={() => onJoin(room.roomName)}
+              aria-label={`Join ${room.roomName}`}
+              style={{
+                display: 'flex',
+                alignItems: 'center',
+                gap: 10,
+                width: '100%',
+                padding: 12,
+                textAlign: 'left',
+                border: '1px solid #dee2e6',
+                borderRadius: 8,
+                backgroundColor: 'white',
+                cursor: 'pointer'
+              }}
+            >
+              <img
+                src={room.avatarImage || fallbackAvatar(room.broadcaster || room.roomName, 48)}
+                alt={`${room.broadcaster || room.roomName} avatar`}
+                onError={(e) => { e.target.src = fallbackAvatar(room.broadcaster || room.roomName, 48); }}
+                style={{ width: 48, height: 48, borderRadius: '50%', flexShrink: 0 }}
+              />
+              <span style={{ display: 'flex', flexDirection: 'column', minWidth: 0 }}>
+                <strong style={{ overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>{room.roomName}</strong>
+                {room.broadcaster && <span style={{ fontSize: '12px', color: '#666' }}>{room.broadcaster}</span>}
+                <span style={{ fontSize: '12px', color: '#666' }}>
+                  <span style={{ color: '#dc3545' }}>●</span> {room.viewerCount} {room.viewerCount === 1 ? 'viewer' : 'viewers'}
+                  {room.startedAt !== null && ` · live for ${formatLiveDuration(now - room.startedAt)}`}
+                </span>
+              </span>
+            </button>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
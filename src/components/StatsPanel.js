@@ -0,0 +1,78 @@
+// components/StatsPanel.js
+import React from 'react';
+import { STAT_METRICS, seriesOf } from '../diagnostics/stats';
+
+const CHART_WIDTH = 120;
+const CHART_HEIGHT = 28;
+
+// Line chart of `values` (nulls leave gaps), scaled to its own maximum
+function Sparkline({ values, label }) {
+  const max = Math.max(...values.filter(v => v !== null), 0) || 1;
+  const step = values.length > 1 ? CHART_WIDTH / (values.length - 1) : 0;
+  const segments = [];
+  let current = [];
+  values.forEach((value, i) => {
+    if (value === null) {
+      if (current.length) segments.push(current);
+      current = [];
+      return;
+    }
+    current.push(`${(i * step).toFixed(1)},${(CHART_HEIGHT - (value / max) * (CHART_HEIGHT - 2) - 1).toFixed(1)}`);
+  });
+  if (current.length) segments.push(current);
+
+  return (
+    <svg width={CHART_WIDTH} height={CHART_HEIGHT} role="img" aria-label={label} style={{ backgroundColor: 'white', border: '1px solid #dee2e6' }}>
+      {segments.map((points, i) => (
+        <polyline key={i} points={points.join(' ')} fill="none" stroke="#007bff" strokeWidth="1.5" />
+      ))}
+    </svg>
+  );
+}
+
+function trackTitle(track, participants) {
+  const owner = Array.from(participants.values()).find(p =>
+    [p.videoTrack, p.screenTrack, p.audioTrack].some(t => t && t.sid === track.trackSid)
+  );
+  const who = track.direction === 'send' ? 'You' : owner ? owner.identity : 'Remote';
+  return `${who} - ${track.kind} ${track.direction === 'send' ? 'sent' : 'received'}`;
+}
+
+// Live per-track charts from useDiagnostics() plus the diagnostics download
+export default function StatsPanel({ room, diagnostics }) {
+  const { samples, downloadDiagnostics } = diagnostics;
+  const latest = samples.length ? samples[samples.length - 1] : null;
+  const tracks = latest ? Object.values(latest.tracks) : [];
+
+  return (
+    <div style={{ marginTop: 8 }}>
+      <div style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between' }}>
+        <strong>Live Stats:</strong>
+        <button
+          onClick={downloadDiagnostics}
+          style={{ padding: '4px 8px', border: '1px solid #6c757d', borderRadius: 4, backgroundColor: 'white', cursor: 'pointer', fontSize: '12px' }}
+        >
+          Download diagnostics
+        </button>
+      </div>
+      {!room.joined && <div>• Stats are collected while in a room</div>}
+      {room.joined && tracks.length === 0 && <div>• Waiting for stats...</div>}
+      {tracks.map(track => {
+        const title = trackTitle(track, room.participants);
+        return (
+          <div key={track.key} style={{ marginTop: 6 }}>
+            <div>{title}</div>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: 8 }}>
+              {STAT_METRICS.filter(({ key }) => track[key] !== null || samples.some(s => s.tracks[track.key]?.[key] != null)).map(({ key, label, format }) => (
+                <div key={key} style={{ display: 'flex', flexDirection: 'column' }}>
+                  <span>{label}: {track[key] !== null ? format(track[key], track) : '-'}</span>
+                  <Sparkline values={seriesOf(samples, track.key, key)} label={`${title} ${label}`} />
+                </div>
+              ))}
+            </div>
+          </div>
+        );
+      })}
+    </div>
+  );
+}
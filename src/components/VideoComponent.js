@@ -0,0 +1,107 @@
+// components/VideoComponent.js
+import React, { useEffect, useRef } from 'react';
+import NetworkQualityBars from './NetworkQualityBars';
+
+// Video tile for one participant. Defined at module level so a re-render of the parent
+// doesn't remount the tile (and re-attach the track). `elementsRef` optionally collects
+// the attached <video> elements, keyed by `${participantId}-local|remote`. Screen
+// shares are rendered `large`, in their own colour. `size` ('small', 'medium' or
+// 'large') overrides the dimensions only, and `highlighted` marks the current speaker.
+// Signal bars are shown next to the label when `networkQualityLevel` is given (null
+// while unknown). `placeholder` replaces the video while there is no track, and
+// `overlay` is drawn over the video (live reactions).
+const SIZES = {
+  small: { width: 160, height: 120 },
+  medium: { width: 320, height: 240 },
+  large: { width: 640, height: 360 }
+};
+
+export default function VideoComponent({
+  track,
+  participantId,
+  isLocal = false,
+  label,
+  elementsRef,
+  large = false,
+  size,
+  highlighted = false,
+  networkQualityLevel,
+  placeholder,
+  overlay
+}) {
+  const videoRef = useRef(null);
+
+  useEffect(() => {
+    if (track && videoRef.current) {
+      const element = track.attach();
+      videoRef.current.appendChild(element);
+
+      // Store reference for cleanup
+      const key = `${participantId}-${isLocal ? 'local' : 'remote'}${large ? '-screen' : ''}`;
+      const elements = elementsRef && elementsRef.current;
+      if (elements) elements.set(key, element);
+
+      return () => {
+        try {
+          if (element && element.parentNode) element.parentNode.removeChild(element);
+        } catch (e) {}
+        if (elements) elements.delete(key);
+      };
+    }
+  }, [track, participantId, isLocal, elementsRef, large]);
+
+  const color = large ? '#6f42c1' : isLocal ? '#28a745' : '#007bff';
+  const { width, height } = SIZES[size] || SIZES[large ? 'large' : 'medium'];
+
+  return (
+    <div
+      data-speaking={highlighted || undefined}
+      style={{
+        display: 'flex',
+        flexDirection: 'column',
+        alignItems: 'center',
+        margin: 4
+      }}
+    >
+      <div style={{ position: 'relative', maxWidth: '100%' }}>
+        <div
+          ref={videoRef}
+          style={{
+            width,
+            height,
+            maxWidth: '100%',
+            backgroundColor: '#000',
+            borderRadius: 8,
+            border: highlighted ? '3px solid #ffc107' : `2px solid ${color}`,
+            boxShadow: highlighted ? '0 0 12px rgba(255, 193, 7, 0.8)' : 'none',
+            display: 'flex',
+            alignItems: 'center',
+            justifyContent: 'center',
+            overflow: 'hidden'
+          }}
+        >
+          {!track && (
+            <span style={{ color: 'white', fontSize: '14px' }}>
+              {placeholder || (isLocal ? 'Starting camera...' : 'Loading video...')}
+            </span>
+          )}
+        </div>
+        {overlay}
+      </div>
+      <div style={{
+        display: 'flex',
+        alignItems: 'center',
+        gap: 6,
+        marginTop: 4,
+        padding: '4px 8px',
+        backgroundColor: color,
+        color: 'white',
+        borderRadius: 4,
+        fontSize: '12px'
+      }}>
+        {label || (isLocal ? 'You' : participantId)}
+        {networkQualityLevel !== undefined && <NetworkQualityBars level={networkQualityLevel} />}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,15 @@
+// config.js
+// Backend endpoints are read from REACT_APP_* variables at build time so the same
+// code can target production, staging or the local mock backend (see .env.example).
+
+const DEFAULT_API = 'https://api.pornyo.com';
+const DEFAULT_CDN = 'https://cdn.pornyo.com/';
+
+function withoutTrailingSlash(url) { return url.replace(/\/+$/, ''); }
+function withTrailingSlash(url) { return url.endsWith('/') ? url : `${url}/`; }
+
+export const API = withoutTrailingSlash(process.env.REACT_APP_API_URL || DEFAULT_API);
+export const CDN = withTrailingSlash(process.env.REACT_APP_CDN_URL || DEFAULT_CDN);
+
+// Media/chat provider: 'twilio' (default) or 'fake' for the in-memory stand-in
+export const MEDIA_PROVIDER = process.env.REACT_APP_MEDIA_PROVIDER || 'twilio';
@@ -0,0 +1,66 @@
+// diagnostics/logBuffer.js
+// Keeps the most recent console output so it can go into a diagnostics download.
+// install() wraps console.log/info/warn/error (output still reaches the console) and
+// returns an uninstall function; installs are counted, so nested users are fine.
+
+const LEVELS = ['log', 'info', 'warn', 'error'];
+const MAX_ARG_LENGTH = 1000;
+
+function formatArg(arg) {
+  if (typeof arg === 'string') return arg;
+  if (arg instanceof Error) return `${arg.name}: ${arg.message}`;
+  try {
+    const text = JSON.stringify(arg);
+    if (text === undefined) return String(arg);
+    return text.length > MAX_ARG_LENGTH ? `${text.slice(0, MAX_ARG_LENGTH)}...` : text;
+  } catch (e) {
+    return String(arg);
+  }
+}
+
+export function createLogBuffer({ limit = 200, target = console } = {}) {
+  let entries = [];
+  let installs = 0;
+  const originals = {};
+
+  function record(level, args) {
+    entries = [...entries, { timestamp: Date.now(), level, message: args.map(formatArg).join(' ') }].slice(-limit);
+  }
+
+  return {
+    install() {
+      if (installs++ === 0) {
+        LEVELS.forEach(level => {
+          const original = target[level];
+          originals[level] = original;
+          const wrapper = (...args) => {
+            record(level, args);
+            return original.apply(target, args);
+          };
+          wrapper.original = original;
+          target[level] = wrapper;
+        });
+      }
+
+      let installed = true;
+      return () => {
+        if (!installed) return;
+        installed = false;
+        if (--installs > 0) return;
+        LEVELS.forEach(level => {
+          // Someone else replaced it meanwhile (a test spy, another wrapper): leave it
+          if (target[level]?.original === originals[level]) target[level] = originals[level];
+        });
+      };
+    },
+
+    getEntries: () => entries,
+
+    clear() {
+      entries = [];
+    }
+  };
+}
+
+// Shared buffer for the app's console
+export const logBuffer = createLogBuffer();
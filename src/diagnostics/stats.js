@@ -0,0 +1,97 @@
+// diagnostics/stats.js
+// Turns room.getStats() reports into per-track samples for charting. getStats()
+// returns cumulative counters, so bitrate and packet loss are computed against the
+// previous sample of the same track:
+//
+//   sample = { timestamp, tracks: { [key]: {
+//     key, trackSid, kind, direction: 'send'|'receive', bytes, packets, packetsLost,
+//     bitrate (bps), packetLoss (%), jitter (ms), rtt (ms), frameRate, width, height
+//   } } }
+//
+// Metrics the report doesn't carry for a track (jitter for video, RTT for received
+// tracks, ...) are null.
+
+export const STATS_INTERVAL_MS = 2000;
+// Samples charted (one minute at the default interval)
+export const STATS_WINDOW = 30;
+// Samples kept for the diagnostics download
+export const STATS_HISTORY = 300;
+
+export const STAT_METRICS = [
+  { key: 'bitrate', label: 'Bitrate', format: v => `${Math.round(v / 1000)} kbps` },
+  { key: 'packetLoss', label: 'Packet loss', format: v => `${v.toFixed(1)}%` },
+  { key: 'jitter', label: 'Jitter', format: v => `${Math.round(v)} ms` },
+  { key: 'rtt', label: 'RTT', format: v => `${Math.round(v)} ms` },
+  { key: 'frameRate', label: 'Frame rate', format: v => `${Math.round(v)} fps` },
+  // Charted by height; the label shows the full dimensions
+  { key: 'height', label: 'Resolution', format: (v, track) => `${track.width}x${v}` }
+];
+
+const REPORT_LISTS = [
+  ['localAudioTrackStats', 'audio', 'send'],
+  ['localVideoTrackStats', 'video', 'send'],
+  ['remoteAudioTrackStats', 'audio', 'receive'],
+  ['remoteVideoTrackStats', 'video', 'receive']
+];
+
+const numberOr = (value, fallback = null) => (typeof value === 'number' && Number.isFinite(value) ? value : fallback);
+
+// Seconds in the reports; charted in milliseconds
+const toMs = (seconds) => (numberOr(seconds) === null ? null : seconds * 1000);
+
+const trackKey = (stats, direction) => `${direction}-${stats.trackSid || stats.trackId}`;
+
+function trackSample(stats, kind, direction, previous, timestamp) {
+  const bytes = numberOr(direction === 'send' ? stats.bytesSent : stats.bytesReceived, 0);
+  const packets = numberOr(direction === 'send' ? stats.packetsSent : stats.packetsReceived, 0);
+  const packetsLost = numberOr(stats.packetsLost, 0);
+
+  let bitrate = null;
+  let packetLoss = null;
+  if (previous && timestamp > previous.timestamp) {
+    const seconds = (timestamp - previous.timestamp) / 1000;
+    bitrate = Math.max(0, ((bytes - previous.bytes) * 8) / seconds);
+    const lost = Math.max(0, packetsLost - previous.packetsLost);
+    const total = lost + Math.max(0, packets - previous.packets);
+    packetLoss = total > 0 ? (lost / total) * 100 : 0;
+  }
+
+  return {
+    key: trackKey(stats, direction),
+    trackSid: stats.trackSid || null,
+    kind,
+    direction,
+    bytes,
+    packets,
+    packetsLost,
+    bitrate,
+    packetLoss,
+    jitter: toMs(stats.jitter),
+    rtt: toMs(stats.roundTripTime),
+    frameRate: numberOr(stats.frameRate),
+    width: numberOr(stats.dimensions?.width),
+    height: numberOr(stats.dimensions?.height)
+  };
+}
+
+// Sample from one getStats() result, given the previous sample (or null)
+export function sampleFromReports(reports, previousSample, timestamp = Date.now()) {
+  const tracks = {};
+  (reports || []).forEach(report => {
+    REPORT_LISTS.forEach(([list, kind, direction]) => {
+      (report[list] || []).forEach(stats => {
+        const key = trackKey(stats, direction);
+        const previous = previousSample?.tracks[key]
+          ? { ...previousSample.tracks[key], timestamp: previousSample.timestamp }
+          : null;
+        tracks[key] = trackSample(stats, kind, direction, previous, timestamp);
+      });
+    });
+  });
+  return { timestamp, tracks };
+}
+
+// Values of one metric of one track across `samples`, null where it is missing
+export function seriesOf(samples, trackKey, metric) {
+  return samples.map(sample => sample.tracks[trackKey]?.[metric] ?? null);
+}
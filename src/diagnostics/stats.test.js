@@ -0,0 +1,43 @@
+import { sampleFromReports, seriesOf } from './stats';
+
+const report = ({ bytes, packets, lost, ...rest }) => [{
+  localVideoTrackStats: [{
+    trackId: 'MT1',
+    trackSid: 'MT1',
+    bytesSent: bytes,
+    packetsSent: packets,
+    packetsLost: lost,
+    roundTripTime: 0.05,
+    frameRate: 24,
+    dimensions: { width: 1280, height: 720 },
+    ...rest
+  }],
+  remoteAudioTrackStats: [{ trackId: 'MT2', trackSid: 'MT2', bytesReceived: 1000, packetsReceived: 50, packetsLost: 0, jitter: 0.02 }]
+}];
+
+test('rates come from the difference to the previous sample', () => {
+  const first = sampleFromReports(report({ bytes: 10000, packets: 100, lost: 0 }), null, 1000);
+  expect(first.tracks['send-MT1']).toEqual(expect.objectContaining({ bitrate: null, packetLoss: null, rtt: 50, frameRate: 24, height: 720 }));
+
+  const second = sampleFromReports(report({ bytes: 35000, packets: 190, lost: 10 }), first, 3000);
+  expect(second.tracks['send-MT1'].bitrate).toBe(100000);
+  expect(second.tracks['send-MT1'].packetLoss).toBe(10);
+});
+
+test('metrics a track does not report are null', () => {
+  const { tracks } = sampleFromReports(report({ bytes: 0, packets: 0, lost: 0 }), null, 1000);
+  expect(tracks['receive-MT2']).toEqual(expect.objectContaining({
+    kind: 'audio',
+    direction: 'receive',
+    jitter: 20,
+    rtt: null,
+    frameRate: null,
+    width: null
+  }));
+});
+
+test('series leave gaps where a track was missing', () => {
+  const withTrack = sampleFromReports(report({ bytes: 0, packets: 0, lost: 0 }), null, 1000);
+  const without = sampleFromReports([], withTrack, 3000);
+  expect(seriesOf([withTrack, without], 'send-MT1', 'frameRate')).toEqual([24, null]);
+});
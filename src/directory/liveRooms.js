@@ -0,0 +1,35 @@
+// directory/liveRooms.js
+// Live broadcasts as listed by the backend's liveRooms endpoint, tidied up for the
+// directory: avatars resolved against the CDN, missing counts and times tolerated.
+import { CDN } from '../config';
+
+export const LIVE_ROOMS_REFRESH_MS = 15000;
+
+// Backend entry -> { roomName, broadcaster, avatarImage, viewerCount, startedAt },
+// or null when it has no room name
+export function normalizeLiveRoom(raw) {
+  const roomName = typeof raw?.roomName === 'string' ? raw.roomName.trim() : '';
+  if (!roomName) return null;
+  const avatar = typeof raw.avatarImage === 'string' ? raw.avatarImage.trim() : '';
+  const startedAt = Date.parse(raw.startedAt);
+  return {
+    roomName,
+    broadcaster: raw.broadcaster || '',
+    avatarImage: avatar ? `${CDN}${avatar}` : '',
+    viewerCount: Number.isFinite(raw.viewerCount) ? raw.viewerCount : 0,
+    startedAt: Number.isNaN(startedAt) ? null : startedAt
+  };
+}
+
+// Most watched first
+export function sortLiveRooms(rooms) {
+  return [...rooms].sort((a, b) => b.viewerCount - a.viewerCount || a.roomName.localeCompare(b.roomName));
+}
+
+// 'under a minute', '12m', '1h 05m'
+export function formatLiveDuration(ms) {
+  const minutes = Math.floor(Math.max(0, ms) / 60000);
+  if (minutes < 1) return 'under a minute';
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
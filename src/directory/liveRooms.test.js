@@ -0,0 +1,31 @@
+import { formatLiveDuration, normalizeLiveRoom, sortLiveRooms } from './liveRooms';
+import { CDN } from '../config';
+
+test('backend entries are normalised and entries without a room are dropped', () => {
+  expect(normalizeLiveRoom({
+    roomName: ' late_show ',
+    broadcaster: 'host_1',
+    avatarImage: 'avatars/host_1.png',
+    viewerCount: 12,
+    startedAt: '2026-01-01T20:00:00Z'
+  })).toEqual({
+    roomName: 'late_show',
+    broadcaster: 'host_1',
+    avatarImage: `${CDN}avatars/host_1.png`,
+    viewerCount: 12,
+    startedAt: Date.UTC(2026, 0, 1, 20)
+  });
+  expect(normalizeLiveRoom({ roomName: 'quiet' })).toEqual({
+    roomName: 'quiet', broadcaster: '', avatarImage: '', viewerCount: 0, startedAt: null
+  });
+  expect(normalizeLiveRoom({ viewerCount: 3 })).toBeNull();
+});
+
+test('rooms sort by audience and durations read in minutes and hours', () => {
+  const rooms = [{ roomName: 'b', viewerCount: 2 }, { roomName: 'c', viewerCount: 9 }, { roomName: 'a', viewerCount: 2 }];
+  expect(sortLiveRooms(rooms).map(r => r.roomName)).toEqual(['c', 'a', 'b']);
+
+  expect(formatLiveDuration(30 * 1000)).toBe('under a minute');
+  expect(formatLiveDuration(12 * 60 * 1000)).toBe('12m');
+  expect(formatLiveDuration((65 * 60 + 59) * 1000)).toBe('1h 05m');
+});
@@ -0,0 +1,24 @@
+// embed.js
+// Public surface for embedding the broadcast player or chat panel in other apps.
+// Everything exported here is kept stable; anything else under src/ is internal.
+export { default as useConversation, formatMessage } from './hooks/useConversation';
+export { default as useRoom, stopAndDetachTrack } from './hooks/useRoom';
+export { default as useLocalMedia } from './hooks/useLocalMedia';
+export { default as useScreenShare, SHARE_MODES } from './hooks/useScreenShare';
+export { default as useLobby } from './hooks/useLobby';
+export { default as useAudioLevel } from './hooks/useAudioLevel';
+export { default as useModeration } from './hooks/useModeration';
+export { default as useRemoteAudio } from './hooks/useRemoteAudio';
+export { default as useDiagnostics } from './hooks/useDiagnostics';
+export { default as useRecording } from './hooks/useRecording';
+export { default as useReactions } from './hooks/useReactions';
+export { default as VideoComponent } from './components/VideoComponent';
+export { default as BroadcastPlayer } from './components/BroadcastPlayer';
+export { default as ChatPanel } from './components/ChatPanel';
+export { default as MediaControls } from './components/MediaControls';
+export { default as MessageList } from './components/MessageList';
+export { default as Lobby } from './components/Lobby';
+export { default as ModerationPanel } from './components/ModerationPanel';
+export { default as NetworkQualityBars } from './components/NetworkQualityBars';
+export { default as ReactionsOverlay } from './components/ReactionsOverlay';
+export { twilioProvider, createFakeProvider } from './providers';
@@ -0,0 +1,32 @@
+// hooks/useAudioLevel.js
+import { useEffect, useState } from 'react';
+import { monitorAudioLevel } from '../media/audioLevel';
+
+// Live 0..1 input level of a local audio track. Re-attaches when the track restarts
+// on another device (its mediaStreamTrack is replaced) and reads 0 while disabled.
+export default function useAudioLevel(track) {
+  const [level, setLevel] = useState(0);
+
+  useEffect(() => {
+    if (!track) {
+      setLevel(0);
+      return;
+    }
+
+    let stopMonitor = () => {};
+    const start = () => {
+      stopMonitor();
+      stopMonitor = monitorAudioLevel(track.mediaStreamTrack, value => setLevel(track.isEnabled ? value : 0));
+    };
+
+    start();
+    track.on('started', start);
+    return () => {
+      track.removeListener('started', start);
+      stopMonitor();
+      setLevel(0);
+    };
+  }, [track]);
+
+  return level;
+}
@@ -0,0 +1,144 @@
+// hooks/useAuth.js
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { errorMessage, isUnauthorized, login as requestLogin, refreshAppJwt } from '../api';
+import {
+  SESSION_EXPIRED,
+  SESSION_INVALID,
+  MAX_TIMER_MS,
+  createTokenRefresher,
+  refreshDelay,
+  sessionFrom,
+  tokenExpiresAt
+} from '../auth/tokens';
+
+const STORAGE_KEY = 'app_jwt';
+// Left over from when the username was typed in next to a pasted JWT
+const LEGACY_STORAGE_KEYS = ['username'];
+
+function clearStorage() {
+  [STORAGE_KEY, ...LEGACY_STORAGE_KEYS].forEach(key => localStorage.removeItem(key));
+}
+
+// The stored token if it is still usable; otherwise storage is cleared and the
+// login form says why
+function restoreSession() {
+  const token = localStorage.getItem(STORAGE_KEY) || '';
+  if (!token || sessionFrom(token)) return { token, error: '' };
+  clearStorage();
+  return { token: '', error: tokenExpiresAt(token) !== null ? SESSION_EXPIRED : SESSION_INVALID };
+}
+
+/**
+ * Sign-in state for the backend. `login` exchanges a username and password for an
+ * app JWT, which is kept in localStorage and decoded for the signed-in `identity`
+ * (its `username` or `sub` claim) and `expiresAt`. Tokens that are not JWTs, have
+ * no identity or have expired are dropped, and `authError` tells the login form why.
+ *
+ * The JWT is renewed shortly before it expires (see src/auth/tokens); a failed
+ * renewal sets `refreshError`, and once the backend answers 401 or the expiry
+ * passes the session ends. `expire` ends it the same way, for callers whose
+ * requests were refused. `logout` clears storage; leaving the room is up to the caller.
+ *
+ * @returns {{
+ *   appJwt: string,
+ *   identity: string,
+ *   expiresAt: number|null,
+ *   signingIn: boolean,
+ *   authError: string,
+ *   refreshError: string,
+ *   login: (username: string, password: string) => Promise<boolean>,
+ *   logout: (reason?: string) => void,
+ *   expire: () => void,
+ *   refresh: () => Promise<string>
+ * }}
+ */
+export default function useAuth() {
+  const [initial] = useState(restoreSession);
+  const [appJwt, setAppJwtState] = useState(initial.token);
+  const [authError, setAuthError] = useState(initial.error);
+  const [refreshError, setRefreshError] = useState('');
+  const [signingIn, setSigningIn] = useState(false);
+  const appJwtRef = useRef(appJwt);
+  appJwtRef.current = appJwt;
+
+  const session = sessionFrom(appJwt);
+
+  const setAppJwt = useCallback((token) => {
+    if (!sessionFrom(token)) throw new Error('The backend returned an unusable token');
+    localStorage.setItem(STORAGE_KEY, token);
+    appJwtRef.current = token;
+    setAppJwtState(token);
+    setAuthError('');
+    setRefreshError('');
+  }, []);
+
+  const logout = useCallback((reason = '') => {
+    clearStorage();
+    appJwtRef.current = '';
+    setAppJwtState('');
+    setRefreshError('');
+    setAuthError(reason);
+  }, []);
+
+  const expire = useCallback(() => logout(SESSION_EXPIRED), [logout]);
+
+  const login = useCallback(async (username, password) => {
+    setSigningIn(true);
+    setAuthError('');
+    try {
+      const { token } = await requestLogin(username.trim(), password);
+      setAppJwt(token);
+      return true;
+    } catch (e) {
+      console.error('Login failed:', e);
+      setAuthError(`Sign-in failed: ${errorMessage(e) || 'Unknown error'}`);
+      return false;
+    } finally {
+      setSigningIn(false);
+    }
+  }, [setAppJwt]);
+
+  const refresherRef = useRef(null);
+  if (!refresherRef.current) {
+    refresherRef.current = createTokenRefresher({
+      fetchToken: async () => (await refreshAppJwt(appJwtRef.current)).token,
+      applyToken: setAppJwt,
+      shouldRetry: e => !isUnauthorized(e)
+    });
+  }
+
+  const refresh = useCallback(() => refresherRef.current().catch(e => {
+    console.error('Failed to refresh the app JWT:', e);
+    if (isUnauthorized(e)) expire();
+    else setRefreshError(`Your session could not be renewed: ${errorMessage(e) || 'Unknown error'}`);
+    throw e;
+  }), [expire]);
+
+  useEffect(() => {
+    const delay = refreshDelay(appJwt);
+    if (delay === null) return;
+    const timer = setTimeout(() => { refresh().catch(() => {}); }, delay);
+    return () => clearTimeout(timer);
+  }, [appJwt, refresh]);
+
+  // Nothing renewed it in time: back to the login form
+  const expiresAt = tokenExpiresAt(appJwt);
+  useEffect(() => {
+    if (expiresAt === null || expiresAt - Date.now() > MAX_TIMER_MS) return;
+    const timer = setTimeout(expire, Math.max(0, expiresAt - Date.now()));
+    return () => clearTimeout(timer);
+  }, [expiresAt, expire]);
+
+  return {
+    appJwt,
+    identity: session?.identity || '',
+    expiresAt,
+    signingIn,
+    authError,
+    refreshError,
+    login,
+    logout,
+    expire,
+    refresh
+  };
+}
@@ -0,0 +1,624 @@
+// hooks/useConversation.js
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { defaultProvider } from '../providers';
+import { moderationFrom, sendBlockReason, withModeration } from '../chat/moderation';
+import { validateAttachment } from '../chat/attachments';
+import { reactionsFrom, toggleReaction as toggleReactionIn } from '../chat/reactions';
+import { createTokenRefresher } from '../auth/tokens';
+
+// Wait until the Conversations client is connected/initialized
+function waitForConversationsReady(client, timeoutMs = 10000) {
+  return new Promise((resolve, reject) => {
+    if (!client) return reject(new Error('Conversations client missing'));
+    // Some SDKs expose connectionState; try to resolve immediately if already connected/initialized
+    const stateNow = client.connectionState || client.state;
+    if (stateNow === 'connected' || stateNow === 'initialized') return resolve();
+
+    const timeout = setTimeout(() => {
+      client.removeListener && client.removeListener('stateChanged', handler);
+      reject(new Error('Conversations client initialization timeout'));
+    }, timeoutMs);
+
+    const handler = (state) => {
+      // Accept either 'initialized' or 'connected' depending on SDK
+      if (state === 'initialized' || state === 'connected') {
+        clearTimeout(timeout);
+        client.removeListener && client.removeListener('stateChanged', handler);
+        resolve();
+      }
+    };
+
+    // attach
+    try {
+      client.on && client.on('stateChanged', handler);
+    } catch (e) {
+      clearTimeout(timeout);
+      reject(e);
+    }
+  });
+}
+
+async function getConversationBySidWithRetry(client, conversationSid, attempts = 6, baseDelay = 250) {
+  let lastErr = null;
+  for (let i = 0; i < attempts; i++) {
+    try {
+      const c = await client.getConversationBySid(conversationSid);
+      return c;
+    } catch (err) {
+
+      lastErr = err;
+      const msg = (err && (err.message || '')).toLowerCase();
+      const status = err?.status || err?.code;
+      const isNotFound = msg.includes('not found') || status === 404;
+      const isTwilsock = msg.includes('twilsock') || msg.includes('upstream') || msg.includes('twilsockupstreamerror');
+
+      if (i < attempts - 1 && (isNotFound || isTwilsock)) {
+        // Backoff
+        const delay = Math.round(baseDelay * Math.pow(1.5, i));
+        await new Promise(r => setTimeout(r, delay));
+        continue;
+      }
+      throw err;
+    }
+  }
+  throw lastErr;
+}
+
+function throwIfAborted(signal) {
+  if (signal?.aborted) throw new DOMException('Conversation setup cancelled', 'AbortError');
+}
+
+// Messages fetched per getMessages()/prevPage() call
+export const MESSAGE_PAGE_SIZE = 30;
+
+// Add messages to a list, skipping any whose sid is already present. Older pages and
+// live messageAdded events overlap around the page boundary.
+function mergeMessages(existing, incoming, { prepend = false } = {}) {
+  const known = new Set(existing.map(m => m.sid));
+  const fresh = incoming.filter(m => {
+    if (known.has(m.sid)) return false;
+    known.add(m.sid);
+    return true;
+  });
+  if (fresh.length === 0) return existing;
+  return prepend ? [...fresh, ...existing] : [...existing, ...fresh];
+}
+
+// The SDK reports many client states; the UI only distinguishes these
+export const CHAT_STATES = {
+  DISCONNECTED: 'disconnected',
+  CONNECTING: 'connecting',
+  CONNECTED: 'connected',
+  FAILED: 'failed'
+};
+
+function chatStateFromClientState(state) {
+  if (state === 'connected' || state === 'initialized') return CHAT_STATES.CONNECTED;
+  if (state === 'connecting') return CHAT_STATES.CONNECTING;
+  if (state === 'failed' || state === 'denied') return CHAT_STATES.FAILED;
+  return CHAT_STATES.DISCONNECTED;
+}
+
+// SDK media objects of a media message (none for text messages)
+function mediaOf(msg) {
+  if (!msg || msg.type !== 'media') return [];
+  return msg.attachedMedia || (msg.media ? [msg.media] : []);
+}
+
+// Convert an SDK message into the plain object the chat list renders
+export function formatMessage(msg) {
+  // Robust avatar extraction with fallback
+  let messageAvatar = '';
+  try {
+    messageAvatar = msg.attributes?.avatarImage || '';
+    if (typeof messageAvatar !== 'string') messageAvatar = '';
+  } catch (e) {
+    console.warn('Error extracting avatar from message attributes:', e);
+    messageAvatar = '';
+  }
+
+  // Set by editMessage; attribute updates (not just body edits) move dateUpdated
+  const editedAt = msg.attributes?.editedAt ? Date.parse(msg.attributes.editedAt) : NaN;
+
+  return {
+    index: typeof msg.index === 'number' ? msg.index : null,
+    username: msg.author || 'Unknown',
+    text: msg.body || '',
+    ts: msg.dateCreated ? msg.dateCreated.getTime() : Date.now(),
+    sid: msg.sid || `msg-${Date.now()}-${Math.random()}`,
+    avatarImage: messageAvatar.trim(),
+    editedAt: Number.isNaN(editedAt) ? null : editedAt,
+    reactions: reactionsFrom(msg.attributes),
+    media: mediaOf(msg).map(media => ({
+      sid: media.sid,
+      filename: media.filename || '',
+      contentType: media.contentType || '',
+      size: media.size || 0
+    }))
+  };
+}
+
+/**
+ * Chat lifecycle for a single Twilio conversation.
+ *
+ * The Conversations client is kept alive across `initialize`/`reset` cycles (it is
+ * only recreated when the token changes) and is shut down when the component using
+ * the hook unmounts.
+ *
+ * `initialize` accepts an AbortSignal: once it is aborted the pending setup stops at
+ * its next step (rejecting with an AbortError) without touching messages or status,
+ * so a setup that finishes after the user left can't revive the chat.
+ *
+ * Conversation tokens are short-lived. Pass `refreshToken` (resolving with a new
+ * token from the backend) to `initialize` and the client's tokenAboutToExpire and
+ * tokenExpired events fetch one and hand it to `updateToken`; `tokenError` says why
+ * the last refresh failed, and is cleared by the next one that succeeds.
+ *
+ * Only the newest page of history is loaded up front. `loadOlderMessages` walks the
+ * paginator back one page at a time (prepending, deduplicated by sid) while
+ * `hasOlderMessages` is true.
+ *
+ * Other chatters' typing is reported in `typingUsers`; call `notifyTyping` on input
+ * so they see ours. `lastReadIndex` is the conversation's read horizon: `markRead`
+ * only ever moves it forward, and sending a message marks it read.
+ *
+ * `editMessage`/`deleteMessage` act on a loaded message by sid through the SDK
+ * message API (the service only allows it on your own messages unless your role
+ * says otherwise). Every client, the editor included, applies the change from the
+ * conversation's messageUpdated/messageRemoved events.
+ *
+ * `moderation` mirrors the settings in the conversation attributes (see
+ * src/chat/moderation) and `sendMessage` rejects while they block `identity`, the
+ * chat identity of this client. `updateModeration(fn)` writes new settings, computed
+ * from the current ones, back to the conversation.
+ *
+ * `sendAttachment` sends a file (see src/chat/attachments for the limits) as a media
+ * message. The SDK doesn't report byte-level upload progress, so `uploads` lists the
+ * sends in flight ('uploading') or failed ('failed'); a pending one can be cancelled.
+ * Message `media` only describes the files; `getMediaUrl` resolves a short-lived URL.
+ *
+ * `toggleReaction` adds or removes this client's emoji reaction in the message
+ * attributes (see src/chat/reactions); like edits, it reaches every client through
+ * messageUpdated.
+ *
+ * @param {object} [options]
+ * @param {object} [options.provider] media/chat provider (see src/providers)
+ * @returns {{
+ *   status: 'disconnected'|'connecting'|'connected'|'failed',
+ *   messages: Array<{ index: number|null, username: string, text: string, ts: number, sid: string, avatarImage: string, editedAt: number|null, reactions: object, media: Array<{ sid: string, filename: string, contentType: string, size: number }> }>,
+ *   hasOlderMessages: boolean,
+ *   loadingOlderMessages: boolean,
+ *   loadOlderMessages: () => Promise<void>,
+ *   typingUsers: string[],
+ *   notifyTyping: () => void,
+ *   lastReadIndex: number|null,
+ *   markRead: (index: number) => void,
+ *   editMessage: (sid: string, text: string) => Promise<void>,
+ *   deleteMessage: (sid: string) => Promise<void>,
+ *   toggleReaction: (sid: string, emoji: string) => Promise<void>,
+ *   identity: string,
+ *   moderation: { slowModeSeconds: number, mutedChatters: object },
+ *   updateModeration: (update: (moderation: object) => object) => Promise<void>,
+ *   uploads: Array<{ id: string, filename: string, size: number, status: 'uploading'|'failed', error: string }>,
+ *   sendAttachment: (file: File, options?: { text?: string, attributes?: object }) => Promise<void>,
+ *   cancelUpload: (id: string) => void,
+ *   dismissUpload: (id: string) => void,
+ *   getMediaUrl: (messageSid: string, mediaSid: string) => Promise<string|null>,
+ *   tokenError: string,
+ *   initialize: (conversationToken: string, conversationSid: string, options?: { signal?: AbortSignal, refreshToken?: () => Promise<string> }) => Promise<object>,
+ *   sendMessage: (text: string, attributes?: object) => Promise<void>,
+ *   reset: () => void,
+ *   clientRef: { current: object|null },
+ *   conversationRef: { current: object|null }
+ * }}
+ */
+export default function useConversation({ provider = defaultProvider } = {}) {
+  const [messages, setMessages] = useState([]);
+  const [status, setStatus] = useState(CHAT_STATES.DISCONNECTED);
+  const [hasOlderMessages, setHasOlderMessages] = useState(false);
+  const [loadingOlderMessages, setLoadingOlderMessages] = useState(false);
+  const [typingUsers, setTypingUsers] = useState([]);
+  const [lastReadIndex, setLastReadIndex] = useState(null);
+  const [identity, setIdentity] = useState('');
+  const [moderation, setModeration] = useState(() => moderationFrom(null));
+  const [uploads, setUploads] = useState([]);
+  const [tokenError, setTokenError] = useState('');
+
+  const clientRef = useRef(null);
+  const conversationRef = useRef(null);
+  const tokenRef = useRef(null);
+  // Latest `refreshToken` passed to initialize
+  const refreshTokenRef = useRef(null);
+  // Oldest page loaded so far; its prevPage() fetches the next batch of history
+  const pageRef = useRef(null);
+  const loadingOlderRef = useRef(false);
+  const lastReadRef = useRef(null);
+  // SDK message objects behind `messages`, by sid, for edits and deletes
+  const sdkMessagesRef = useRef(new Map());
+  const moderationRef = useRef(moderation);
+  const lastSentAtRef = useRef(0);
+  // In-flight media sends by upload id, for cancelling
+  const uploadsRef = useRef(new Map());
+  const uploadCounterRef = useRef(0);
+
+  // Format SDK messages for state, remembering the originals
+  const remember = useCallback((sdkMessages) => sdkMessages.map(message => {
+    const formatted = formatMessage(message);
+    sdkMessagesRef.current.set(formatted.sid, message);
+    return formatted;
+  }), []);
+
+  // Drop the current conversation (listeners, messages) but keep the client alive
+  const reset = useCallback(() => {
+    if (conversationRef.current) {
+      try { conversationRef.current.removeAllListeners && conversationRef.current.removeAllListeners(); } catch (e) { console.warn(e); }
+      conversationRef.current = null;
+    }
+    pageRef.current = null;
+    loadingOlderRef.current = false;
+    setHasOlderMessages(false);
+    setLoadingOlderMessages(false);
+    lastReadRef.current = null;
+    sdkMessagesRef.current = new Map();
+    setLastReadIndex(null);
+    setTypingUsers([]);
+    uploadsRef.current.forEach(sending => sending.cancel && sending.cancel());
+    uploadsRef.current = new Map();
+    setUploads([]);
+    moderationRef.current = moderationFrom(null);
+    setModeration(moderationRef.current);
+    setMessages([]);
+    setTokenError('');
+    setStatus(CHAT_STATES.DISCONNECTED);
+  }, []);
+
+  // On unmount: fully shutdown Conversations client
+  useEffect(() => {
+    return () => {
+      if (clientRef.current) {
+        try { clientRef.current.shutdown(); } catch (e) { console.warn('Error shutting down conversations client', e); }
+        clientRef.current = null;
+        tokenRef.current = null;
+      }
+    };
+  }, []);
+
+  const initialize = useCallback(async (conversationToken, conversationSid, { signal, refreshToken } = {}) => {
+    try {
+      console.log('Initializing Conversations SDK...');
+      setStatus(CHAT_STATES.CONNECTING);
+      refreshTokenRef.current = refreshToken || null;
+
+      let conversationsClient = clientRef.current;
+
+      // If token changed, re-create client to ensure fresh credentials
+      if (conversationsClient && tokenRef.current !== conversationToken) {
+        try {
+          conversationsClient.shutdown && conversationsClient.shutdown();
+        } catch (e) { console.warn('Error shutting old client', e); }
+        clientRef.current = null;
+        tokenRef.current = null;
+        conversationsClient = null;
+      }
+
+      if (!conversationsClient) {
+        conversationsClient = provider.createConversationsClient(conversationToken);
+        clientRef.current = conversationsClient;
+        tokenRef.current = conversationToken;
+        setTokenError('');
+
+        conversationsClient.on && conversationsClient.on('stateChanged', (s) => {
+          console.log('Conversations client stateChanged ->', s);
+          // Between rooms the client stays alive; its state only matters while in a conversation
+          if (conversationRef.current) setStatus(chatStateFromClientState(s));
+        });
+
+        const client = conversationsClient;
+        const refresh = createTokenRefresher({
+          fetchToken: () => {
+            if (!refreshTokenRef.current) throw new Error('No way to refresh the chat token');
+            return refreshTokenRef.current();
+          },
+          applyToken: async (token) => {
+            await client.updateToken(token);
+            if (clientRef.current === client) tokenRef.current = token;
+          }
+        });
+        const onTokenExpiring = () => {
+          console.log('Conversations token expiring, refreshing...');
+          refresh().then(
+            () => { if (clientRef.current === client) setTokenError(''); },
+            (e) => {
+              console.error('Failed to refresh the conversations token:', e);
+              if (clientRef.current === client) setTokenError(`Chat connection could not be renewed: ${e?.message || 'Unknown error'}`);
+            }
+          );
+        };
+        conversationsClient.on && conversationsClient.on('tokenAboutToExpire', onTokenExpiring);
+        conversationsClient.on && conversationsClient.on('tokenExpired', onTokenExpiring);
+      }
+
+      // Wait for client to be ready (initialized / connected)
+      await waitForConversationsReady(conversationsClient, 12000);
+      throwIfAborted(signal);
+
+      console.log('Getting conversation (retrying if necessary)...');
+      const conversation = await getConversationBySidWithRetry(conversationsClient, conversationSid, 8, 300);
+      throwIfAborted(signal);
+
+      // Load existing messages
+      console.log('Loading existing messages...');
+      const existingMessages = await conversation.getMessages(MESSAGE_PAGE_SIZE);
+      throwIfAborted(signal);
+      conversationRef.current = conversation;
+      pageRef.current = existingMessages;
+      sdkMessagesRef.current = new Map();
+      const formattedMessages = mergeMessages([], remember(existingMessages.items));
+
+      setMessages(formattedMessages);
+      setHasOlderMessages(Boolean(existingMessages.hasPrevPage));
+      console.log(`Loaded ${formattedMessages.length} existing messages`);
+
+      // Ensure no double listeners
+      try { conversation.removeAllListeners && conversation.removeAllListeners('messageAdded'); } catch (e) {}
+      conversation.on('messageAdded', (message) => {
+        console.log('New message received:', message);
+        const added = remember([message]);
+        setMessages(prev => mergeMessages(prev, added));
+      });
+
+      try {
+        conversation.removeAllListeners && conversation.removeAllListeners('messageUpdated');
+        conversation.removeAllListeners && conversation.removeAllListeners('messageRemoved');
+      } catch (e) {}
+      conversation.on('messageUpdated', ({ message }) => {
+        // Updates to messages that aren't loaded (older history) show up when paged in
+        if (!sdkMessagesRef.current.has(message.sid)) return;
+        const [updated] = remember([message]);
+        setMessages(prev => prev.map(m => (m.sid === updated.sid ? updated : m)));
+      });
+      conversation.on('messageRemoved', (message) => {
+        sdkMessagesRef.current.delete(message.sid);
+        setMessages(prev => prev.filter(m => m.sid !== message.sid));
+      });
+
+      try {
+        conversation.removeAllListeners && conversation.removeAllListeners('typingStarted');
+        conversation.removeAllListeners && conversation.removeAllListeners('typingEnded');
+      } catch (e) {}
+      conversation.on('typingStarted', (participant) => {
+        const identity = participant?.identity;
+        if (!identity) return;
+        setTypingUsers(prev => (prev.includes(identity) ? prev : [...prev, identity]));
+      });
+      conversation.on('typingEnded', (participant) => {
+        setTypingUsers(prev => prev.filter(identity => identity !== participant?.identity));
+      });
+
+      // Join conversation if not joined
+      if (conversation.status !== 'joined') {
+        try {
+          await conversation.join();
+          console.log('Joined conversation');
+        } catch (e) {
+          const msg = (e?.message || '').toLowerCase();
+          // Ignore benign "already a member" style errors
+          if (!msg.includes('already') && !msg.includes('member')) {
+            throw e;
+          }
+        }
+        throwIfAborted(signal);
+      }
+
+      const applyAttributes = (attributes) => {
+        moderationRef.current = moderationFrom(attributes);
+        setModeration(moderationRef.current);
+      };
+      applyAttributes(conversation.attributes);
+      try { conversation.removeAllListeners && conversation.removeAllListeners('updated'); } catch (e) {}
+      conversation.on('updated', ({ conversation: updated, updateReasons }) => {
+        if (updateReasons?.includes('attributes')) applyAttributes(updated.attributes);
+      });
+      setIdentity(conversationsClient.user?.identity || '');
+
+      // Read horizon is per participant, so it's only meaningful once joined
+      const horizon = conversation.lastReadMessageIndex;
+      lastReadRef.current = typeof horizon === 'number' ? horizon : null;
+      setLastReadIndex(lastReadRef.current);
+
+      setStatus(CHAT_STATES.CONNECTED);
+      console.log('Conversations SDK initialized successfully');
+
+      return conversation;
+    } catch (error) {
+      if (error?.name === 'AbortError') throw error;
+      console.error('Failed to initialize conversations:', error?.message || error, error?.code, error);
+      setStatus(CHAT_STATES.FAILED);
+      throw error;
+    }
+  }, [provider, remember]);
+
+  const markRead = useCallback((index) => {
+    const conversation = conversationRef.current;
+    if (!conversation || typeof index !== 'number') return;
+    if (lastReadRef.current !== null && index <= lastReadRef.current) return;
+
+    lastReadRef.current = index;
+    setLastReadIndex(index);
+    Promise.resolve(conversation.advanceLastReadMessageIndex(index))
+      .catch(e => console.warn('Failed to update read horizon', e));
+  }, []);
+
+  // Send through `send(conversation)` within the moderation rules; resolves with the
+  // new message index
+  const sendWithinRules = useCallback(async (send) => {
+    const blocked = sendBlockReason(moderationRef.current, clientRef.current?.user?.identity, lastSentAtRef.current);
+    if (blocked) throw new Error(blocked);
+
+    const previousSentAt = lastSentAtRef.current;
+    lastSentAtRef.current = Date.now();
+    let index;
+    try {
+      index = await send(conversationRef.current);
+    } catch (e) {
+      lastSentAtRef.current = previousSentAt;
+      throw e;
+    }
+    // Everything up to our own message has been seen
+    markRead(index);
+    return index;
+  }, [markRead]);
+
+  const sendMessage = useCallback(async (text, attributes = {}) => {
+    if (!text || !conversationRef.current) return;
+    await sendWithinRules(conversation => conversation.sendMessage(text, attributes));
+    console.log('Message sent via Conversations SDK:', text);
+  }, [sendWithinRules]);
+
+  // Media message with one file. Its upload shows in `uploads` until it's sent; a
+  // failed one stays there with its error until dismissed.
+  const sendAttachment = useCallback(async (file, { text = '', attributes = {} } = {}) => {
+    if (!conversationRef.current) return;
+    const invalid = validateAttachment(file);
+    if (invalid) throw new Error(invalid);
+
+    const id = `upload-${++uploadCounterRef.current}`;
+    const updateUpload = (changes) => setUploads(prev => prev.map(u => (u.id === id ? { ...u, ...changes } : u)));
+    setUploads(prev => [...prev, { id, filename: file.name, size: file.size, status: 'uploading', error: '' }]);
+
+    try {
+      await sendWithinRules(conversation => {
+        const builder = conversation.prepareMessage().setAttributes(attributes);
+        if (text) builder.setBody(text);
+        const sending = builder
+          .addMedia({ contentType: file.type, filename: file.name, media: file })
+          .build()
+          .send();
+        uploadsRef.current.set(id, sending);
+        return sending;
+      });
+      setUploads(prev => prev.filter(u => u.id !== id));
+      console.log('Attachment sent via Conversations SDK:', file.name);
+    } catch (e) {
+      console.error('Attachment upload failed:', e);
+      updateUpload({ status: 'failed', error: e?.message || 'Upload failed' });
+      throw e;
+    } finally {
+      uploadsRef.current.delete(id);
+    }
+  }, [sendWithinRules]);
+
+  const cancelUpload = useCallback((id) => {
+    const sending = uploadsRef.current.get(id);
+    if (sending?.cancel) sending.cancel();
+    setUploads(prev => prev.filter(u => u.id !== id));
+  }, []);
+
+  const dismissUpload = useCallback((id) => {
+    setUploads(prev => prev.filter(u => u.id !== id));
+  }, []);
+
+  // Media URLs are temporary (they expire after a few minutes), so fetch one when
+  // it's about to be shown rather than storing it
+  const getMediaUrl = useCallback(async (messageSid, mediaSid) => {
+    const message = sdkMessagesRef.current.get(messageSid);
+    const media = mediaOf(message).find(m => m.sid === mediaSid);
+    return media ? media.getContentTemporaryUrl() : null;
+  }, []);
+
+  // The SDK throttles these itself, so calling it on every keystroke is fine
+  const notifyTyping = useCallback(() => {
+    const conversation = conversationRef.current;
+    if (!conversation) return;
+    Promise.resolve(conversation.typing()).catch(e => console.warn('Failed to send typing indicator', e));
+  }, []);
+
+  const loadOlderMessages = useCallback(async () => {
+    const conversation = conversationRef.current;
+    const page = pageRef.current;
+    if (!conversation || !page?.hasPrevPage || loadingOlderRef.current) return;
+
+    loadingOlderRef.current = true;
+    setLoadingOlderMessages(true);
+    try {
+      const olderPage = await page.prevPage();
+      // The conversation was left or replaced while the page was loading
+      if (conversationRef.current !== conversation) return;
+
+      pageRef.current = olderPage;
+      const older = remember(olderPage.items);
+      setMessages(prev => mergeMessages(prev, older, { prepend: true }));
+      setHasOlderMessages(Boolean(olderPage.hasPrevPage));
+      console.log(`Loaded ${olderPage.items.length} older messages`);
+    } catch (e) {
+      console.error('Failed to load older messages:', e);
+    } finally {
+      if (conversationRef.current === conversation) {
+        loadingOlderRef.current = false;
+        setLoadingOlderMessages(false);
+      }
+    }
+  }, [remember]);
+
+  const editMessage = useCallback(async (sid, text) => {
+    const message = sdkMessagesRef.current.get(sid);
+    if (!message || !text) return;
+    await message.updateBody(text);
+    await message.updateAttributes({ ...(message.attributes || {}), editedAt: new Date().toISOString() });
+    console.log('Message edited:', sid);
+  }, []);
+
+  const toggleReaction = useCallback(async (sid, emoji) => {
+    const message = sdkMessagesRef.current.get(sid);
+    const me = clientRef.current?.user?.identity;
+    if (!message || !me) return;
+    // Start from the latest attributes the SDK has, keeping avatarImage and friends
+    const attributes = message.attributes || {};
+    const reactions = toggleReactionIn(reactionsFrom(attributes), emoji, me);
+    await message.updateAttributes({ ...attributes, reactions });
+  }, []);
+
+  const deleteMessage = useCallback(async (sid) => {
+    const message = sdkMessagesRef.current.get(sid);
+    if (!message) return;
+    await message.remove();
+    console.log('Message deleted:', sid);
+  }, []);
+
+  const updateModeration = useCallback(async (update) => {
+    const conversation = conversationRef.current;
+    if (!conversation) return;
+    const next = update(moderationFrom(conversation.attributes));
+    await conversation.updateAttributes(withModeration(conversation.attributes, next));
+    console.log('Chat moderation updated:', next);
+  }, []);
+
+  return {
+    status,
+    messages,
+    hasOlderMessages,
+    loadingOlderMessages,
+    loadOlderMessages,
+    typingUsers,
+    notifyTyping,
+    lastReadIndex,
+    markRead,
+    editMessage,
+    deleteMessage,
+    toggleReaction,
+    identity,
+    moderation,
+    updateModeration,
+    uploads,
+    sendAttachment,
+    cancelUpload,
+    dismissUpload,
+    getMediaUrl,
+    tokenError,
+    initialize,
+    sendMessage,
+    reset,
+    clientRef,
+    conversationRef
+  };
+}
@@ -0,0 +1,241 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import useConversation, { MESSAGE_PAGE_SIZE } from './useConversation';
+import { createFakeProvider } from '../providers/fakeProvider';
+
+function conversationWithHistory(count) {
+  const provider = createFakeProvider({ identity: 'me' });
+  const conversation = provider.getConversation('CH1');
+  for (let i = 0; i < count; i++) conversation.receiveMessage('host_1', `message ${i}`);
+  return { provider, conversation };
+}
+
+async function initialize(provider) {
+  const hook = renderHook(() => useConversation({ provider }));
+  await act(() => hook.result.current.initialize('conversation-token', 'CH1'));
+  return hook;
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+test('loads history one page at a time, oldest first', async () => {
+  const { provider } = conversationWithHistory(MESSAGE_PAGE_SIZE * 2 + 5);
+  const { result } = await initialize(provider);
+
+  expect(result.current.messages).toHaveLength(MESSAGE_PAGE_SIZE);
+  expect(result.current.messages[0].text).toBe(`message ${MESSAGE_PAGE_SIZE + 5}`);
+  expect(result.current.hasOlderMessages).toBe(true);
+
+  await act(() => result.current.loadOlderMessages());
+  expect(result.current.messages).toHaveLength(MESSAGE_PAGE_SIZE * 2);
+  expect(result.current.messages[0].text).toBe('message 5');
+
+  await act(() => result.current.loadOlderMessages());
+  expect(result.current.messages).toHaveLength(MESSAGE_PAGE_SIZE * 2 + 5);
+  expect(result.current.messages[0].text).toBe('message 0');
+  expect(result.current.hasOlderMessages).toBe(false);
+
+  // Nothing left to load
+  await act(() => result.current.loadOlderMessages());
+  expect(result.current.messages).toHaveLength(MESSAGE_PAGE_SIZE * 2 + 5);
+});
+
+test('history overlapping live messages is not duplicated', async () => {
+  const { provider, conversation } = conversationWithHistory(3);
+  const { result } = await initialize(provider);
+
+  // messageAdded for a message that was already part of the loaded page
+  act(() => conversation.emit('messageAdded', conversation.messages[2]));
+  act(() => { conversation.receiveMessage('guest_1', 'live'); });
+  await waitFor(() => expect(result.current.messages).toHaveLength(4));
+  expect(new Set(result.current.messages.map(m => m.sid)).size).toBe(4);
+});
+
+test('an older page arriving after reset is dropped', async () => {
+  const { provider, conversation } = conversationWithHistory(MESSAGE_PAGE_SIZE + 1);
+  const getMessages = conversation.getMessages.bind(conversation);
+  let releasePage;
+  jest.spyOn(conversation, 'getMessages').mockImplementation(async (...args) => {
+    const page = await getMessages(...args);
+    const prevPage = page.prevPage;
+    // Hold the older page until the test releases it
+    page.prevPage = () => new Promise(resolve => { releasePage = () => resolve(prevPage()); });
+    return page;
+  });
+  const { result } = await initialize(provider);
+
+  let loading;
+  act(() => { loading = result.current.loadOlderMessages(); });
+  expect(result.current.loadingOlderMessages).toBe(true);
+  act(() => result.current.reset());
+  releasePage();
+  await act(() => loading);
+
+  expect(result.current.messages).toEqual([]);
+  expect(result.current.hasOlderMessages).toBe(false);
+});
+
+test('tracks who is typing and announces our own typing', async () => {
+  const { provider, conversation } = conversationWithHistory(0);
+  const { result } = await initialize(provider);
+
+  act(() => conversation.simulateTyping('host_1'));
+  act(() => conversation.simulateTyping('guest_1'));
+  act(() => conversation.simulateTyping('host_1'));
+  expect(result.current.typingUsers).toEqual(['host_1', 'guest_1']);
+
+  act(() => conversation.simulateTyping('host_1', false));
+  expect(result.current.typingUsers).toEqual(['guest_1']);
+
+  act(() => result.current.notifyTyping());
+  expect(conversation.typingCount).toBe(1);
+});
+
+test('the read horizon only moves forward and follows our own messages', async () => {
+  const { provider, conversation } = conversationWithHistory(5);
+  conversation.lastReadMessageIndex = 1;
+  const { result } = await initialize(provider);
+  expect(result.current.lastReadIndex).toBe(1);
+
+  act(() => result.current.markRead(3));
+  act(() => result.current.markRead(2));
+  expect(result.current.lastReadIndex).toBe(3);
+  expect(conversation.lastReadMessageIndex).toBe(3);
+
+  await act(() => result.current.sendMessage('hello'));
+  expect(result.current.lastReadIndex).toBe(5);
+});
+
+test('edits and deletes from any client are applied to the list', async () => {
+  const { provider, conversation } = conversationWithHistory(2);
+  const { result } = await initialize(provider);
+  const [first, second] = conversation.messages;
+
+  await act(() => result.current.editMessage(first.sid, 'fixed typo'));
+  await waitFor(() => expect(result.current.messages[0].text).toBe('fixed typo'));
+  expect(result.current.messages[0].editedAt).toEqual(expect.any(Number));
+  expect(result.current.messages[1].editedAt).toBeNull();
+
+  // Someone else retracts their message
+  await act(() => second.remove());
+  await waitFor(() => expect(result.current.messages).toHaveLength(1));
+  expect(result.current.messages[0].sid).toBe(first.sid);
+});
+
+const imageFile = (size = 2048) => new File([new Uint8Array(size)], 'photo.png', { type: 'image/png' });
+
+test('existing media messages keep their attachments', async () => {
+  const { provider, conversation } = conversationWithHistory(0);
+  conversation.receiveMedia('host_1', [{ filename: 'slides.pdf', contentType: 'application/pdf', size: 5000 }]);
+  const { result } = await initialize(provider);
+
+  const [message] = result.current.messages;
+  expect(message.text).toBe('');
+  expect(message.media).toEqual([
+    { sid: expect.any(String), filename: 'slides.pdf', contentType: 'application/pdf', size: 5000 }
+  ]);
+  await expect(result.current.getMediaUrl(message.sid, message.media[0].sid))
+    .resolves.toMatch(/slides\.pdf$/);
+});
+
+test('attachments are sent as media messages and listed while uploading', async () => {
+  const { provider, conversation } = conversationWithHistory(0);
+  const { result } = await initialize(provider);
+
+  let sending;
+  act(() => { sending = result.current.sendAttachment(imageFile(), { attributes: { avatarImage: 'a.png' } }); });
+  expect(result.current.uploads).toEqual([
+    expect.objectContaining({ filename: 'photo.png', size: 2048, status: 'uploading' })
+  ]);
+  await act(() => sending);
+
+  expect(result.current.uploads).toEqual([]);
+  expect(conversation.messages[0].type).toBe('media');
+  expect(conversation.messages[0].attributes).toEqual({ avatarImage: 'a.png' });
+  await waitFor(() => expect(result.current.messages[0]?.media[0].filename).toBe('photo.png'));
+});
+
+test('attachments over the limits are refused before uploading', async () => {
+  const { provider, conversation } = conversationWithHistory(0);
+  const { result } = await initialize(provider);
+
+  const script = new File(['alert(1)'], 'run.js', { type: 'text/javascript' });
+  await expect(result.current.sendAttachment(script)).rejects.toThrow(/only images, PDF, text and zip/);
+  await expect(result.current.sendAttachment(imageFile(11 * 1024 * 1024))).rejects.toThrow(/limited to 10\.0 MB/);
+  expect(result.current.uploads).toEqual([]);
+  expect(conversation.messages).toEqual([]);
+});
+
+test('failed uploads stay listed until dismissed; pending ones can be cancelled', async () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const { provider, conversation } = conversationWithHistory(0);
+  const { result } = await initialize(provider);
+
+  conversation.failUploads = true;
+  await act(() => result.current.sendAttachment(imageFile()).catch(() => {}));
+  const [failed] = result.current.uploads;
+  expect(failed).toEqual(expect.objectContaining({ status: 'failed', error: 'Media upload failed' }));
+  act(() => result.current.dismissUpload(failed.id));
+  expect(result.current.uploads).toEqual([]);
+
+  conversation.failUploads = false;
+  let sending;
+  let error;
+  act(() => { sending = result.current.sendAttachment(imageFile()).catch(e => { error = e; }); });
+  act(() => result.current.cancelUpload(result.current.uploads[0].id));
+  await act(() => sending);
+  expect(error.message).toBe('Upload cancelled');
+  expect(result.current.uploads).toEqual([]);
+  expect(conversation.messages).toEqual([]);
+});
+
+test('reactions toggle once per user and sync through message updates', async () => {
+  const { provider, conversation } = conversationWithHistory(1);
+  const [message] = conversation.messages;
+  message.attributes = { avatarImage: 'host.png', reactions: { '👍': ['host_1'] } };
+  const { result } = await initialize(provider);
+
+  await act(() => result.current.toggleReaction(message.sid, '👍'));
+  await waitFor(() => expect(result.current.messages[0].reactions).toEqual({ '👍': ['host_1', 'me'] }));
+  expect(message.attributes.avatarImage).toBe('host.png');
+
+  // A repeated toggle takes the reaction back instead of counting it twice
+  await act(() => result.current.toggleReaction(message.sid, '👍'));
+  await waitFor(() => expect(result.current.messages[0].reactions).toEqual({ '👍': ['host_1'] }));
+
+  // Someone else reacts
+  await act(() => message.updateAttributes({ ...message.attributes, reactions: { '👍': ['host_1'], '🎉': ['guest_1'] } }));
+  await waitFor(() => expect(result.current.messages[0].reactions['🎉']).toEqual(['guest_1']));
+});
+
+test('an expiring token is replaced with one from refreshToken, and failures are reported', async () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const { provider } = conversationWithHistory(0);
+  const refreshToken = jest.fn().mockResolvedValue('conversation-token-2');
+  const { result } = renderHook(() => useConversation({ provider }));
+  await act(() => result.current.initialize('conversation-token', 'CH1', { refreshToken }));
+  const client = result.current.clientRef.current;
+
+  await act(async () => { client.simulateTokenExpiry(); });
+  expect(refreshToken).toHaveBeenCalledTimes(1);
+  expect(client.token).toBe('conversation-token-2');
+  expect(result.current.tokenError).toBe('');
+
+  jest.useFakeTimers();
+  try {
+    refreshToken.mockRejectedValue(new Error('backend down'));
+    act(() => client.simulateTokenExpiry('tokenExpired'));
+    // Two retries, each after a delay
+    for (let i = 0; i < 3; i++) {
+      await act(async () => { jest.advanceTimersByTime(5000); });
+    }
+  } finally {
+    jest.useRealTimers();
+  }
+  expect(result.current.tokenError).toBe('Chat connection could not be renewed: backend down');
+  expect(client.token).toBe('conversation-token-2');
+});
@@ -0,0 +1,107 @@
+// hooks/useDiagnostics.js
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { STATS_HISTORY, STATS_INTERVAL_MS, STATS_WINDOW, sampleFromReports } from '../diagnostics/stats';
+import { logBuffer } from '../diagnostics/logBuffer';
+import { downloadBlob } from '../utils';
+
+const TIMELINE_LIMIT = 100;
+
+/**
+ * Connection diagnostics for a room from useRoom(). While in the room, `room.getStats()`
+ * is polled every `intervalMs` and turned into per-track samples (src/diagnostics/stats);
+ * `samples` is the charted window, `history` the longer record kept for support.
+ * Every lifecycle change is appended to `timeline`, and recent console output is
+ * captured while the hook is mounted.
+ *
+ * `downloadDiagnostics()` saves all of it as one JSON file.
+ *
+ * @param {object} room result of useRoom()
+ * @param {object} [options]
+ * @param {number} [options.intervalMs] polling interval
+ * @returns {{
+ *   samples: object[],
+ *   history: object[],
+ *   timeline: { timestamp: number, status: string, attempt: number, error: string|null }[],
+ *   exportDiagnostics: () => object,
+ *   downloadDiagnostics: () => void
+ * }}
+ */
+export default function useDiagnostics(room, { intervalMs = STATS_INTERVAL_MS } = {}) {
+  const { joined, roomRef, lifecycle } = room;
+  const [history, setHistory] = useState([]);
+  const [timeline, setTimeline] = useState([]);
+  const historyRef = useRef(history);
+  const timelineRef = useRef(timeline);
+  historyRef.current = history;
+  timelineRef.current = timeline;
+
+  useEffect(() => logBuffer.install(), []);
+
+  useEffect(() => {
+    const { status, attempt, error } = lifecycle;
+    setTimeline(prev => [...prev, { timestamp: Date.now(), status, attempt, error }].slice(-TIMELINE_LIMIT));
+  }, [lifecycle]);
+
+  useEffect(() => {
+    if (!joined) return;
+    let cancelled = false;
+    let polling = false;
+    let previous = null;
+
+    const poll = async () => {
+      const twilioRoom = roomRef.current;
+      if (!twilioRoom || polling) return;
+      polling = true;
+      try {
+        const reports = await twilioRoom.getStats();
+        if (cancelled) return;
+        const sample = { ...sampleFromReports(reports, previous), roomSid: twilioRoom.sid };
+        previous = sample;
+        setHistory(prev => [...prev, sample].slice(-STATS_HISTORY));
+      } catch (e) {
+        console.warn('Failed to read room stats', e);
+      } finally {
+        polling = false;
+      }
+    };
+
+    poll();
+    const timer = setInterval(poll, intervalMs);
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [joined, roomRef, intervalMs]);
+
+  const exportDiagnostics = useCallback(() => {
+    const twilioRoom = roomRef.current;
+    return {
+      generatedAt: new Date().toISOString(),
+      userAgent: navigator.userAgent,
+      room: twilioRoom
+        ? { name: twilioRoom.name, sid: twilioRoom.sid, localParticipantSid: twilioRoom.localParticipant?.sid || null }
+        : null,
+      timeline: timelineRef.current,
+      stats: historyRef.current,
+      logs: logBuffer.getEntries()
+    };
+  }, [roomRef]);
+
+  const downloadDiagnostics = useCallback(() => {
+    const diagnostics = exportDiagnostics();
+    const blob = new Blob([JSON.stringify(diagnostics, null, 2)], { type: 'application/json' });
+    downloadBlob(blob, `diagnostics-${diagnostics.room?.name || 'no-room'}-${diagnostics.generatedAt.replace(/[:.]/g, '-')}.json`);
+  }, [exportDiagnostics]);
+
+  // Chart the current room only
+  const latestRoomSid = history.length ? history[history.length - 1].roomSid : null;
+  const samples = joined ? history.filter(sample => sample.roomSid === latestRoomSid).slice(-STATS_WINDOW) : [];
+
+  return {
+    samples,
+    history,
+    timeline,
+    exportDiagnostics,
+    downloadDiagnostics
+  };
+}
@@ -0,0 +1,45 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import axios from 'axios';
+import useConversation from './useConversation';
+import useRoom from './useRoom';
+import useDiagnostics from './useDiagnostics';
+import { createFakeProvider } from '../providers/fakeProvider';
+
+jest.mock('axios');
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  axios.post.mockResolvedValue({
+    data: { token: 'video-token', role: 'viewer', conversationToken: 'conversation-token', conversationSid: 'CH1' }
+  });
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+test('polls stats while in the room and exports them with the timeline and logs', async () => {
+  const provider = createFakeProvider({ identity: 'me' });
+  provider.getRoom('room_1').addParticipant('host_1');
+  const { result } = renderHook(() => {
+    const conversation = useConversation({ provider });
+    const room = useRoom({ conversation, appJwt: 'app-jwt', username: 'me', provider });
+    const diagnostics = useDiagnostics(room, { intervalMs: 20 });
+    return { room, diagnostics };
+  });
+
+  await act(() => result.current.room.joinRoom('room_1'));
+  await waitFor(() => expect(result.current.diagnostics.samples.length).toBeGreaterThanOrEqual(2));
+  const latest = result.current.diagnostics.samples[result.current.diagnostics.samples.length - 1];
+  const received = Object.values(latest.tracks).filter(t => t.direction === 'receive');
+  expect(received.map(t => t.kind).sort()).toEqual(['audio', 'video']);
+
+  act(() => result.current.room.leaveRoom());
+  const polled = result.current.diagnostics.history.length;
+  await new Promise(resolve => setTimeout(resolve, 60));
+  expect(result.current.diagnostics.history).toHaveLength(polled);
+  expect(result.current.diagnostics.samples).toEqual([]);
+
+  const exported = result.current.diagnostics.exportDiagnostics();
+  expect(exported.stats).toHaveLength(polled);
+  expect(exported.timeline.map(entry => entry.status)).toEqual(expect.arrayContaining(['idle', 'live']));
+  expect(exported.logs.some(entry => entry.message === 'Left room successfully')).toBe(true);
+});
@@ -0,0 +1,67 @@
+// hooks/useLiveRooms.js
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { errorMessage, isUnauthorized, listLiveRooms } from '../api';
+import { LIVE_ROOMS_REFRESH_MS, normalizeLiveRoom, sortLiveRooms } from '../directory/liveRooms';
+
+/**
+ * Directory of live broadcasts (src/directory/liveRooms), fetched from the backend
+ * every `intervalMs` while `enabled`. The last good list stays up when a refresh
+ * fails; `error` says why until the next one succeeds. A 401 calls `onUnauthorized`.
+ *
+ * @param {object} options
+ * @param {string} options.appJwt backend JWT
+ * @param {boolean} [options.enabled] poll only while true (signed in and not in a room)
+ * @param {number} [options.intervalMs] refresh interval
+ * @param {() => void} [options.onUnauthorized] called when the backend refuses `appJwt`
+ * @returns {{
+ *   rooms: { roomName: string, broadcaster: string, avatarImage: string, viewerCount: number, startedAt: number|null }[],
+ *   loading: boolean,
+ *   error: string,
+ *   updatedAt: number|null,
+ *   refresh: () => Promise<void>
+ * }}
+ */
+export default function useLiveRooms({ appJwt, enabled = true, intervalMs = LIVE_ROOMS_REFRESH_MS, onUnauthorized }) {
+  const [rooms, setRooms] = useState([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState('');
+  const [updatedAt, setUpdatedAt] = useState(null);
+  const onUnauthorizedRef = useRef(onUnauthorized);
+  onUnauthorizedRef.current = onUnauthorized;
+  // Answers to requests made with an older token (or after disabling) are dropped
+  const requestRef = useRef(0);
+  const dropPending = useCallback(() => { requestRef.current++; }, []);
+
+  const refresh = useCallback(async () => {
+    if (!appJwt) return;
+    const request = ++requestRef.current;
+    setLoading(true);
+    try {
+      const { rooms: listed } = await listLiveRooms(appJwt);
+      if (request !== requestRef.current) return;
+      setRooms(sortLiveRooms((Array.isArray(listed) ? listed : []).map(normalizeLiveRoom).filter(Boolean)));
+      setError('');
+      setUpdatedAt(Date.now());
+    } catch (e) {
+      if (request !== requestRef.current) return;
+      console.warn('Failed to load live rooms', e);
+      if (isUnauthorized(e) && onUnauthorizedRef.current) onUnauthorizedRef.current();
+      else setError(`Could not load live broadcasts: ${errorMessage(e) || 'Unknown error'}`);
+    } finally {
+      if (request === requestRef.current) setLoading(false);
+    }
+  }, [appJwt]);
+
+  useEffect(() => {
+    if (!enabled || !appJwt) return;
+    refresh();
+    const timer = setInterval(refresh, intervalMs);
+    return () => {
+      clearInterval(timer);
+      dropPending();
+      setLoading(false);
+    };
+  }, [enabled, appJwt, intervalMs, refresh, dropPending]);
+
+  return { rooms, loading, error, updatedAt, refresh };
+}
@@ -0,0 +1,56 @@
+import { act, renderHook } from '@testing-library/react';
+import axios from 'axios';
+import useLiveRooms from './useLiveRooms';
+
+jest.mock('axios');
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+const flush = () => act(async () => {});
+
+test('polls while enabled, keeps the last list when a refresh fails, and stops when disabled', async () => {
+  axios.get
+    .mockResolvedValueOnce({ data: { rooms: [{ roomName: 'a', viewerCount: 1 }] } })
+    .mockRejectedValueOnce(new Error('Network Error'))
+    .mockResolvedValueOnce({ data: { rooms: [{ roomName: 'b', viewerCount: 2 }] } });
+
+  const { result, rerender } = renderHook(
+    ({ enabled }) => useLiveRooms({ appJwt: 'app-jwt', enabled, intervalMs: 1000 }),
+    { initialProps: { enabled: true } }
+  );
+  await flush();
+  expect(result.current.rooms.map(r => r.roomName)).toEqual(['a']);
+
+  act(() => { jest.advanceTimersByTime(1000); });
+  await flush();
+  expect(result.current.error).toBe('Could not load live broadcasts: Network Error');
+  expect(result.current.rooms.map(r => r.roomName)).toEqual(['a']);
+
+  act(() => { jest.advanceTimersByTime(1000); });
+  await flush();
+  expect(result.current.error).toBe('');
+  expect(result.current.rooms.map(r => r.roomName)).toEqual(['b']);
+
+  rerender({ enabled: false });
+  act(() => { jest.advanceTimersByTime(5000); });
+  expect(axios.get).toHaveBeenCalledTimes(3);
+});
+
+test('a refused token is handed to onUnauthorized', async () => {
+  axios.get.mockRejectedValue({ response: { status: 401, data: { message: 'Token expired' } } });
+  const onUnauthorized = jest.fn();
+
+  const { result } = renderHook(() => useLiveRooms({ appJwt: 'app-jwt', onUnauthorized }));
+  await flush();
+
+  expect(onUnauthorized).toHaveBeenCalledTimes(1);
+  expect(result.current.error).toBe('');
+});
@@ -0,0 +1,95 @@
+// hooks/useLobby.js
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { defaultProvider } from '../providers';
+import { AUDIO_CONSTRAINTS, VIDEO_CONSTRAINTS } from '../media/constraints';
+import { describeMediaError, queryMediaPermissions } from '../media/permissions';
+import { stopAndDetachTrack } from './useRoom';
+
+/**
+ * Pre-join camera/microphone setup. Tracks created here are previewed in the lobby
+ * and then handed to useRoom().joinRoom via `release()`, which transfers ownership:
+ * the lobby forgets them without stopping them and the room publishes them as-is
+ * (including any device choice or mute made in the lobby).
+ *
+ * The returned object has the same `localAudioTrack`/`localVideoTrack` fields as
+ * useRoom(), so useLocalMedia() works on it for mute and device switching.
+ *
+ * @param {object} [options]
+ * @param {object} [options.provider] media/chat provider (see src/providers)
+ * @returns {{
+ *   localAudioTrack: object|null,
+ *   localVideoTrack: object|null,
+ *   permissions: { camera: string, microphone: string },
+ *   error: string,
+ *   starting: boolean,
+ *   start: () => Promise<void>,
+ *   stop: () => void,
+ *   release: () => object[]
+ * }}
+ */
+export default function useLobby({ provider = defaultProvider } = {}) {
+  const [localAudioTrack, setLocalAudioTrack] = useState(null);
+  const [localVideoTrack, setLocalVideoTrack] = useState(null);
+  const [permissions, setPermissions] = useState({ camera: 'unknown', microphone: 'unknown' });
+  const [error, setError] = useState('');
+  const [starting, setStarting] = useState(false);
+
+  const tracksRef = useRef([]);
+  const mountedRef = useRef(true);
+
+  const refreshPermissions = useCallback(async () => {
+    const next = await queryMediaPermissions();
+    if (!mountedRef.current) return;
+    setPermissions(prev => (prev.camera === next.camera && prev.microphone === next.microphone ? prev : next));
+  }, []);
+
+  const setTracks = useCallback((tracks) => {
+    tracksRef.current = tracks;
+    setLocalAudioTrack(tracks.find(t => t.kind === 'audio') || null);
+    setLocalVideoTrack(tracks.find(t => t.kind === 'video') || null);
+  }, []);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    refreshPermissions();
+    return () => {
+      mountedRef.current = false;
+      tracksRef.current.forEach(track => stopAndDetachTrack(track));
+      tracksRef.current = [];
+    };
+  }, [refreshPermissions]);
+
+  const start = useCallback(async () => {
+    if (tracksRef.current.length) return;
+    setStarting(true);
+    setError('');
+    try {
+      const tracks = await provider.createLocalTracks({ audio: AUDIO_CONSTRAINTS, video: VIDEO_CONSTRAINTS });
+      if (!mountedRef.current) {
+        tracks.forEach(track => stopAndDetachTrack(track));
+        return;
+      }
+      setTracks(tracks);
+      console.log('Lobby preview started');
+    } catch (e) {
+      console.warn('Lobby media error:', e);
+      if (mountedRef.current) setError(describeMediaError(e));
+    } finally {
+      if (mountedRef.current) setStarting(false);
+      refreshPermissions();
+    }
+  }, [provider, refreshPermissions, setTracks]);
+
+  const stop = useCallback(() => {
+    tracksRef.current.forEach(track => stopAndDetachTrack(track));
+    setTracks([]);
+  }, [setTracks]);
+
+  const release = useCallback(() => {
+    const tracks = tracksRef.current;
+    setTracks([]);
+    return tracks;
+  }, [setTracks]);
+
+  return { localAudioTrack, localVideoTrack, permissions, error, starting, start, stop, release };
+}
@@ -0,0 +1,132 @@
+// hooks/useLocalMedia.js
+import { useCallback, useEffect, useState } from 'react';
+import { defaultProvider } from '../providers';
+import { constraintsForDevice } from '../media/constraints';
+
+// Follow a local track's enabled flag through its enabled/disabled events
+function useTrackEnabled(track) {
+  const [enabled, setEnabled] = useState(track ? track.isEnabled : false);
+
+  useEffect(() => {
+    if (!track) {
+      setEnabled(false);
+      return;
+    }
+    setEnabled(track.isEnabled);
+    const onEnabled = () => setEnabled(true);
+    const onDisabled = () => setEnabled(false);
+    track.on('enabled', onEnabled);
+    track.on('disabled', onDisabled);
+    return () => {
+      track.removeListener('enabled', onEnabled);
+      track.removeListener('disabled', onDisabled);
+    };
+  }, [track]);
+
+  return enabled;
+}
+
+// Capture device currently feeding a local track
+function deviceIdOf(track) {
+  try {
+    return track?.mediaStreamTrack?.getSettings?.().deviceId || '';
+  } catch (e) {
+    return '';
+  }
+}
+
+/**
+ * Broadcaster controls for the local camera and microphone of a room from useRoom().
+ *
+ * Mute and camera-off only enable/disable the tracks, so they stay published and
+ * subscribers keep their tiles. Switching device restarts the existing track on the
+ * new source; the track object (and its publication, `localTracksRef` entry and
+ * attached <video>) stays the same.
+ *
+ * @param {object} options
+ * @param {object} options.room result of useRoom()
+ * @param {object} [options.provider] media/chat provider (see src/providers)
+ * @returns {{
+ *   audioEnabled: boolean,
+ *   videoEnabled: boolean,
+ *   toggleAudio: () => void,
+ *   toggleVideo: () => void,
+ *   devices: { audioinput: MediaDeviceInfo[], videoinput: MediaDeviceInfo[] },
+ *   selectedDevices: { audioinput: string, videoinput: string },
+ *   switchDevice: (kind: 'audioinput'|'videoinput', deviceId: string) => Promise<void>,
+ *   switching: boolean
+ * }}
+ */
+export default function useLocalMedia({ room, provider = defaultProvider }) {
+  const { localAudioTrack, localVideoTrack } = room;
+  const audioEnabled = useTrackEnabled(localAudioTrack);
+  const videoEnabled = useTrackEnabled(localVideoTrack);
+
+  const [devices, setDevices] = useState({ audioinput: [], videoinput: [] });
+  const [switching, setSwitching] = useState(false);
+
+  const refreshDevices = useCallback(async () => {
+    try {
+      const list = await provider.enumerateDevices();
+      setDevices({
+        audioinput: list.filter(d => d.kind === 'audioinput'),
+        videoinput: list.filter(d => d.kind === 'videoinput')
+      });
+    } catch (e) {
+      console.warn('Error enumerating devices', e);
+    }
+  }, [provider]);
+
+  // Device list while there are local tracks to switch. Labels are only exposed once
+  // capture permission is granted, so this waits for the tracks; it then follows
+  // devices being plugged in/out.
+  const hasTracks = Boolean(localAudioTrack || localVideoTrack);
+  useEffect(() => {
+    if (!hasTracks) return;
+    refreshDevices();
+    return provider.onDeviceChange(refreshDevices);
+  }, [provider, refreshDevices, hasTracks]);
+
+  const toggleAudio = useCallback(() => {
+    if (!localAudioTrack) return;
+    if (localAudioTrack.isEnabled) localAudioTrack.disable();
+    else localAudioTrack.enable();
+  }, [localAudioTrack]);
+
+  const toggleVideo = useCallback(() => {
+    if (!localVideoTrack) return;
+    if (localVideoTrack.isEnabled) localVideoTrack.disable();
+    else localVideoTrack.enable();
+  }, [localVideoTrack]);
+
+  const switchDevice = useCallback(async (kind, deviceId) => {
+    const track = kind === 'audioinput' ? localAudioTrack : localVideoTrack;
+    if (!track) return;
+
+    setSwitching(true);
+    try {
+      await track.restart(constraintsForDevice(kind, deviceId));
+      console.log(`Switched ${kind} to`, deviceId);
+    } catch (e) {
+      console.error(`Failed to switch ${kind}:`, e);
+      alert(`Failed to switch ${kind === 'audioinput' ? 'microphone' : 'camera'}: ${e.message}`);
+    } finally {
+      setSwitching(false);
+    }
+  }, [localAudioTrack, localVideoTrack]);
+
+  return {
+    audioEnabled,
+    videoEnabled,
+    toggleAudio,
+    toggleVideo,
+    devices,
+    // Read from the tracks themselves so it's right after restarts and rejoins
+    selectedDevices: {
+      audioinput: deviceIdOf(localAudioTrack),
+      videoinput: deviceIdOf(localVideoTrack)
+    },
+    switchDevice,
+    switching
+  };
+}
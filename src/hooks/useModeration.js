@@ -0,0 +1,87 @@
+// hooks/useModeration.js
+import { useCallback } from 'react';
+import { kickParticipant as kickParticipantRequest, errorMessage } from '../api';
+import { TIMEOUT_MS } from '../chat/moderation';
+import { isAdmin } from '../utils';
+
+// Settings are written to the conversation attributes, which the service can refuse
+async function updateOrAlert(updateModeration, action, update) {
+  try {
+    await updateModeration(update);
+  } catch (e) {
+    console.error(`Failed to ${action}:`, e);
+    alert(`Failed to ${action}: ${errorMessage(e)}`);
+  }
+}
+
+/**
+ * Moderation controls for `admin_` identities. Chat rules (slow mode, muted and
+ * timed-out chatters) live in the conversation attributes via useConversation();
+ * kicking goes through the backend, which disconnects the participant from the room.
+ *
+ * The actions are available to anyone calling the hook; `isModerator` says whether
+ * the UI should offer them, and the backend/service permissions have the final say.
+ * A refused action is reported with an alert; the returned promises don't reject.
+ *
+ * @param {object} options
+ * @param {object} options.conversation result of useConversation()
+ * @param {object} options.room result of useRoom()
+ * @param {string} options.appJwt backend JWT used for the kick request
+ * @returns {{
+ *   isModerator: boolean,
+ *   slowModeSeconds: number,
+ *   mutedChatters: object,
+ *   setSlowMode: (seconds: number) => Promise<void>,
+ *   muteChatter: (identity: string, durationMs?: number|null) => Promise<void>,
+ *   unmuteChatter: (identity: string) => Promise<void>,
+ *   kickParticipant: (identity: string) => Promise<void>
+ * }}
+ */
+export default function useModeration({ conversation, room, appJwt }) {
+  const { identity, moderation, updateModeration } = conversation;
+  const { roomRef } = room;
+
+  const setSlowMode = useCallback(
+    (seconds) => updateOrAlert(updateModeration, 'change slow mode', current => ({ ...current, slowModeSeconds: seconds })),
+    [updateModeration]
+  );
+
+  // durationMs null mutes until unmuted; the default is a time-out
+  const muteChatter = useCallback(
+    (chatter, durationMs = TIMEOUT_MS) => updateOrAlert(updateModeration, `${durationMs === null ? 'mute' : 'time out'} ${chatter}`, current => ({
+      ...current,
+      mutedChatters: { ...current.mutedChatters, [chatter]: durationMs === null ? null : Date.now() + durationMs }
+    })),
+    [updateModeration]
+  );
+
+  const unmuteChatter = useCallback(
+    (chatter) => updateOrAlert(updateModeration, `unmute ${chatter}`, current => {
+      const { [chatter]: removed, ...mutedChatters } = current.mutedChatters;
+      return { ...current, mutedChatters };
+    }),
+    [updateModeration]
+  );
+
+  const kickParticipant = useCallback(async (participantIdentity) => {
+    const roomName = roomRef.current?.name;
+    if (!roomName) return;
+    try {
+      await kickParticipantRequest(appJwt, roomName, participantIdentity);
+      console.log('Kicked participant:', participantIdentity);
+    } catch (e) {
+      console.error('Failed to kick participant:', e);
+      alert('Failed to kick participant: ' + errorMessage(e));
+    }
+  }, [appJwt, roomRef]);
+
+  return {
+    isModerator: isAdmin(identity),
+    slowModeSeconds: moderation.slowModeSeconds,
+    mutedChatters: moderation.mutedChatters,
+    setSlowMode,
+    muteChatter,
+    unmuteChatter,
+    kickParticipant
+  };
+}
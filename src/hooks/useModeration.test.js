@@ -0,0 +1,94 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import axios from 'axios';
+import useConversation from './useConversation';
+import useModeration from './useModeration';
+import { createFakeProvider } from '../providers/fakeProvider';
+
+jest.mock('axios');
+
+async function renderChat(identity) {
+  const provider = createFakeProvider({ identity });
+  const roomRef = { current: { name: 'room_1' } };
+  const hook = renderHook(() => {
+    const conversation = useConversation({ provider });
+    const moderation = useModeration({ conversation, room: { roomRef }, appJwt: 'app-jwt' });
+    return { conversation, moderation };
+  });
+  await act(() => hook.result.current.conversation.initialize('conversation-token', 'CH1'));
+  return { ...hook, conversation: provider.getConversation('CH1') };
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+test('only admin_ identities moderate', async () => {
+  expect((await renderChat('admin_1')).result.current.moderation.isModerator).toBe(true);
+  expect((await renderChat('viewer_1')).result.current.moderation.isModerator).toBe(false);
+});
+
+test('moderation settings are stored in the conversation attributes', async () => {
+  const { result, conversation } = await renderChat('admin_1');
+  conversation.attributes = { topic: 'kept' };
+
+  await act(() => result.current.moderation.setSlowMode(10));
+  await act(() => result.current.moderation.muteChatter('guest_1', null));
+  await waitFor(() => expect(result.current.moderation.mutedChatters).toEqual({ guest_1: null }));
+  expect(result.current.moderation.slowModeSeconds).toBe(10);
+  expect(conversation.attributes).toEqual({
+    topic: 'kept',
+    moderation: { slowModeSeconds: 10, mutedChatters: { guest_1: null } }
+  });
+
+  await act(() => result.current.moderation.unmuteChatter('guest_1'));
+  await waitFor(() => expect(result.current.moderation.mutedChatters).toEqual({}));
+});
+
+test('a refused settings change is reported instead of rejecting', async () => {
+  const { result, conversation } = await renderChat('admin_1');
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  jest.spyOn(window, 'alert').mockImplementation(() => {});
+  jest.spyOn(conversation, 'updateAttributes').mockRejectedValue(new Error('Forbidden'));
+
+  await act(() => result.current.moderation.muteChatter('guest_1'));
+  expect(window.alert).toHaveBeenCalledWith('Failed to time out guest_1: Forbidden');
+  expect(result.current.moderation.mutedChatters).toEqual({});
+});
+
+test('every client enforces slow mode and mutes on send', async () => {
+  const { result, conversation } = await renderChat('viewer_1');
+  await act(() => conversation.updateAttributes({ moderation: { slowModeSeconds: 30, mutedChatters: {} } }));
+  await waitFor(() => expect(result.current.conversation.moderation.slowModeSeconds).toBe(30));
+
+  await act(() => result.current.conversation.sendMessage('first'));
+  await expect(result.current.conversation.sendMessage('second')).rejects.toThrow(/Slow mode is on: wait 30s/);
+
+  await act(() => conversation.updateAttributes({ moderation: { mutedChatters: { viewer_1: Date.now() + 60000 } } }));
+  await waitFor(() => expect(result.current.conversation.moderation.slowModeSeconds).toBe(0));
+  await expect(result.current.conversation.sendMessage('third')).rejects.toThrow(/timed out until/);
+  expect(conversation.messages.map(m => m.body)).toEqual(['first']);
+});
+
+test('admins are exempt from chat limits', async () => {
+  const { result, conversation } = await renderChat('admin_1');
+  await act(() => conversation.updateAttributes({ moderation: { slowModeSeconds: 30, mutedChatters: { admin_1: null } } }));
+  await waitFor(() => expect(result.current.conversation.moderation.slowModeSeconds).toBe(30));
+
+  await act(() => result.current.conversation.sendMessage('one'));
+  await act(() => result.current.conversation.sendMessage('two'));
+  expect(conversation.messages).toHaveLength(2);
+});
+
+test('kicking goes through the backend', async () => {
+  axios.post.mockResolvedValue({ data: { success: true } });
+  const { result } = await renderChat('admin_1');
+
+  await act(() => result.current.moderation.kickParticipant('guest_1'));
+  expect(axios.post).toHaveBeenCalledWith(
+    expect.stringMatching(/\/api\/admin\/twilio\/kickParticipant$/),
+    { roomName: 'room_1', participantIdentity: 'guest_1' },
+    { headers: { Authorization: 'Bearer app-jwt' } }
+  );
+});
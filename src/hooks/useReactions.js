@@ -0,0 +1,92 @@
+// hooks/useReactions.js
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  BATCH_INTERVAL_MS,
+  MAX_VISIBLE_REACTIONS,
+  REACTIONS,
+  REACTION_FLOAT_MS,
+  bubblesFrom,
+  createRateLimiter,
+  reactionFrom,
+  reactionMessage
+} from '../reactions/reactions';
+
+/**
+ * Live reactions for a room from useRoom(), sent over its data track (see
+ * src/reactions). `send(type)` is rate limited: past the limit it returns false and
+ * `throttled` stays true until another one is allowed. Our own reactions show up
+ * locally as well.
+ *
+ * Incoming reactions are counted and turned into floating `bubbles`
+ * ({ id, type, count, offset, createdAt }) every BATCH_INTERVAL_MS; each floats
+ * for REACTION_FLOAT_MS. `offset` (10-90) is the horizontal position in percent.
+ *
+ * @param {object} room result of useRoom()
+ * @returns {{
+ *   reactions: { type: string, emoji: string, label: string }[],
+ *   bubbles: { id: number, type: string, count: number, offset: number, createdAt: number }[],
+ *   send: (type: string) => boolean,
+ *   throttled: boolean
+ * }}
+ */
+export default function useReactions(room) {
+  const { joined, sendData, subscribeData } = room;
+  const [bubbles, setBubbles] = useState([]);
+  const [throttled, setThrottled] = useState(false);
+  // Counts per type since the last batch
+  const pendingRef = useRef({});
+  const nextIdRef = useRef(0);
+  const limiterRef = useRef(null);
+  if (!limiterRef.current) limiterRef.current = createRateLimiter();
+
+  const enqueue = useCallback((type) => {
+    pendingRef.current[type] = (pendingRef.current[type] || 0) + 1;
+  }, []);
+
+  useEffect(() => subscribeData((message) => {
+    const type = reactionFrom(message);
+    if (type) enqueue(type);
+  }), [subscribeData, enqueue]);
+
+  useEffect(() => {
+    if (!joined) {
+      pendingRef.current = {};
+      setBubbles([]);
+      return;
+    }
+    const timer = setInterval(() => {
+      const now = Date.now();
+      const added = bubblesFrom(pendingRef.current).map(bubble => {
+        nextIdRef.current += 1;
+        // Spread consecutive bubbles across the tile without randomness
+        return { ...bubble, id: nextIdRef.current, offset: 10 + ((nextIdRef.current * 37) % 81), createdAt: now };
+      });
+      pendingRef.current = {};
+      setBubbles(prev => {
+        const alive = prev.filter(bubble => now - bubble.createdAt < REACTION_FLOAT_MS);
+        if (!added.length && alive.length === prev.length) return prev;
+        return [...alive, ...added].slice(-MAX_VISIBLE_REACTIONS);
+      });
+    }, BATCH_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [joined]);
+
+  const send = useCallback((type) => {
+    if (!joined) return false;
+    if (!limiterRef.current.tryAcquire()) {
+      setThrottled(true);
+      return false;
+    }
+    if (!sendData(reactionMessage(type))) return false;
+    enqueue(type);
+    return true;
+  }, [joined, sendData, enqueue]);
+
+  useEffect(() => {
+    if (!throttled) return;
+    const timer = setTimeout(() => setThrottled(false), limiterRef.current.retryIn());
+    return () => clearTimeout(timer);
+  }, [throttled]);
+
+  return { reactions: REACTIONS, bubbles, send, throttled };
+}
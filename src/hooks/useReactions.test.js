@@ -0,0 +1,86 @@
+import { act, renderHook } from '@testing-library/react';
+import useReactions from './useReactions';
+import { BATCH_INTERVAL_MS, REACTION_FLOAT_MS, SEND_LIMIT, SEND_WINDOW_MS } from '../reactions/reactions';
+
+// The data side of useRoom(): what was sent, and a way to deliver remote messages
+function dataRoom() {
+  const listeners = new Set();
+  const sent = [];
+  return {
+    joined: true,
+    sent,
+    sendData: (message) => {
+      sent.push(message);
+      return true;
+    },
+    subscribeData: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    deliver: (message) => listeners.forEach(listener => listener(message, { identity: 'guest_1', sid: 'PA1' }))
+  };
+}
+
+beforeEach(() => {
+  jest.useFakeTimers();
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+});
+
+test('a burst of remote reactions is batched into one bubble per type that floats away', () => {
+  const room = dataRoom();
+  const { result } = renderHook(() => useReactions(room));
+
+  act(() => {
+    for (let i = 0; i < 30; i++) room.deliver({ type: 'reaction', reaction: 'heart' });
+    room.deliver({ type: 'reaction', reaction: 'clap' });
+    room.deliver({ type: 'something-else' });
+  });
+  expect(result.current.bubbles).toEqual([]);
+
+  act(() => { jest.advanceTimersByTime(BATCH_INTERVAL_MS); });
+  expect(result.current.bubbles.map(({ type, count }) => ({ type, count }))).toEqual([
+    { type: 'heart', count: 30 },
+    { type: 'clap', count: 1 }
+  ]);
+
+  act(() => { jest.advanceTimersByTime(REACTION_FLOAT_MS); });
+  expect(result.current.bubbles).toEqual([]);
+});
+
+test('sending is rate limited until the window frees up', () => {
+  const room = dataRoom();
+  const { result } = renderHook(() => useReactions(room));
+
+  const results = [];
+  act(() => {
+    for (let i = 0; i < SEND_LIMIT + 2; i++) results.push(result.current.send('fire'));
+  });
+  expect(results.filter(Boolean)).toHaveLength(SEND_LIMIT);
+  expect(room.sent).toHaveLength(SEND_LIMIT);
+  expect(room.sent[0]).toEqual({ type: 'reaction', reaction: 'fire' });
+  expect(result.current.throttled).toBe(true);
+
+  // Our own reactions show up too
+  act(() => { jest.advanceTimersByTime(BATCH_INTERVAL_MS); });
+  expect(result.current.bubbles.map(({ type, count }) => ({ type, count }))).toEqual([{ type: 'fire', count: SEND_LIMIT }]);
+
+  act(() => { jest.advanceTimersByTime(SEND_WINDOW_MS); });
+  expect(result.current.throttled).toBe(false);
+  act(() => { expect(result.current.send('heart')).toBe(true); });
+});
+
+test('nothing is sent or shown outside a room', () => {
+  const room = { ...dataRoom(), joined: false };
+  const { result } = renderHook(() => useReactions(room));
+
+  act(() => {
+    expect(result.current.send('heart')).toBe(false);
+    room.deliver({ type: 'reaction', reaction: 'heart' });
+    jest.advanceTimersByTime(BATCH_INTERVAL_MS);
+  });
+  expect(room.sent).toEqual([]);
+  expect(result.current.bubbles).toEqual([]);
+});
@@ -0,0 +1,210 @@
+// hooks/useRecording.js
+import { useCallback, useEffect, useRef, useState } from 'react';
+import {
+  RECORDING_TIMESLICE_MS,
+  createRecordingStream,
+  isRecordingSupported,
+  pickMimeType,
+  recordingFilename,
+  recordingTracks
+} from '../media/recording';
+import { downloadBlob } from '../utils';
+
+export const RECORDING_STATES = {
+  INACTIVE: 'inactive',
+  RECORDING: 'recording',
+  PAUSED: 'paused'
+};
+
+// How often the elapsed time is updated while recording
+const ELAPSED_TICK_MS = 500;
+
+// Recorded time so far, not counting pauses
+function elapsedOf(session) {
+  return session.activeMs + (session.activeSince ? Date.now() - session.activeSince : 0);
+}
+
+/**
+ * Records the room locally with MediaRecorder (src/media/recording): a broadcaster's
+ * own camera and microphone, or for viewers the remote video being watched and the
+ * remote audio. `elapsedMs` excludes pauses and `size` grows as chunks arrive.
+ *
+ * Stopping (or leaving the room, which stops it) keeps the result as `recording`
+ * until the next one starts or it is discarded; `download()` saves it as a WebM
+ * file named after the room and the start time.
+ *
+ * @param {object} room result of useRoom()
+ * @returns {{
+ *   supported: boolean,
+ *   status: 'inactive'|'recording'|'paused',
+ *   elapsedMs: number,
+ *   size: number,
+ *   recording: { filename: string, size: number, durationMs: number }|null,
+ *   error: string,
+ *   start: () => void,
+ *   pause: () => void,
+ *   resume: () => void,
+ *   stop: () => void,
+ *   download: () => void,
+ *   discard: () => void
+ * }}
+ */
+export default function useRecording(room) {
+  const { joined } = room;
+  const [status, setStatus] = useState(RECORDING_STATES.INACTIVE);
+  const [elapsedMs, setElapsedMs] = useState(0);
+  const [size, setSize] = useState(0);
+  const [recording, setRecording] = useState(null);
+  const [error, setError] = useState('');
+  // { recorder, chunks, size, stopMixer, filename, activeSince, activeMs }
+  const sessionRef = useRef(null);
+  const blobRef = useRef(null);
+  const roomStateRef = useRef(room);
+  roomStateRef.current = room;
+
+  const start = useCallback(() => {
+    if (sessionRef.current) return;
+    if (!isRecordingSupported()) {
+      setError('Recording is not supported in this browser');
+      return;
+    }
+    const tracks = recordingTracks(roomStateRef.current);
+    if (!tracks.video && !tracks.audio.length) {
+      setError('There is nothing to record yet');
+      return;
+    }
+
+    let mixer = null;
+    let recorder;
+    try {
+      mixer = createRecordingStream(tracks);
+      const mimeType = pickMimeType();
+      recorder = new window.MediaRecorder(mixer.stream, mimeType ? { mimeType } : undefined);
+    } catch (e) {
+      console.warn('Could not start recording', e);
+      if (mixer) mixer.stop();
+      setError(`Could not start recording: ${e.message || 'Unknown error'}`);
+      return;
+    }
+
+    const session = {
+      recorder,
+      chunks: [],
+      size: 0,
+      stopMixer: mixer.stop,
+      filename: recordingFilename(roomStateRef.current.roomRef.current?.name),
+      activeSince: Date.now(),
+      activeMs: 0
+    };
+    recorder.ondataavailable = (event) => {
+      if (!event.data?.size) return;
+      session.chunks.push(event.data);
+      session.size += event.data.size;
+      setSize(session.size);
+    };
+    recorder.onerror = (event) => {
+      console.warn('Recording error', event.error || event);
+      setError(`Recording failed: ${event.error?.message || 'Unknown error'}`);
+    };
+    // Fires after stop(), or by itself when the recorder gives up
+    recorder.onstop = () => {
+      session.stopMixer();
+      session.activeMs = elapsedOf(session);
+      session.activeSince = null;
+      const blob = new Blob(session.chunks, { type: (recorder.mimeType || 'video/webm').split(';')[0] });
+      blobRef.current = blob;
+      if (sessionRef.current === session) sessionRef.current = null;
+      setRecording({ filename: session.filename, size: blob.size, durationMs: session.activeMs });
+      setElapsedMs(session.activeMs);
+      setStatus(RECORDING_STATES.INACTIVE);
+    };
+
+    recorder.start(RECORDING_TIMESLICE_MS);
+    sessionRef.current = session;
+    blobRef.current = null;
+    setRecording(null);
+    setError('');
+    setSize(0);
+    setElapsedMs(0);
+    setStatus(RECORDING_STATES.RECORDING);
+  }, []);
+
+  const pause = useCallback(() => {
+    const session = sessionRef.current;
+    if (!session || session.recorder.state !== 'recording') return;
+    session.recorder.pause();
+    session.activeMs = elapsedOf(session);
+    session.activeSince = null;
+    setElapsedMs(session.activeMs);
+    setStatus(RECORDING_STATES.PAUSED);
+  }, []);
+
+  const resume = useCallback(() => {
+    const session = sessionRef.current;
+    if (!session || session.recorder.state !== 'paused') return;
+    session.recorder.resume();
+    session.activeSince = Date.now();
+    setStatus(RECORDING_STATES.RECORDING);
+  }, []);
+
+  const stop = useCallback(() => {
+    const session = sessionRef.current;
+    if (!session) return;
+    try {
+      session.recorder.stop();
+    } catch (e) {
+      console.warn('Error stopping the recorder', e);
+    }
+  }, []);
+
+  const download = useCallback(() => {
+    if (!blobRef.current || !recording) return;
+    downloadBlob(blobRef.current, recording.filename);
+  }, [recording]);
+
+  const discard = useCallback(() => {
+    blobRef.current = null;
+    setRecording(null);
+    setSize(0);
+    setElapsedMs(0);
+  }, []);
+
+  useEffect(() => {
+    if (status !== RECORDING_STATES.RECORDING) return;
+    const timer = setInterval(() => {
+      if (sessionRef.current) setElapsedMs(elapsedOf(sessionRef.current));
+    }, ELAPSED_TICK_MS);
+    return () => clearInterval(timer);
+  }, [status]);
+
+  // The tracks go away with the room; keep what was recorded
+  useEffect(() => {
+    if (!joined) stop();
+  }, [joined, stop]);
+
+  // Unmounting drops the recording without keeping anything
+  useEffect(() => () => {
+    const session = sessionRef.current;
+    if (!session) return;
+    sessionRef.current = null;
+    session.recorder.ondataavailable = null;
+    session.recorder.onstop = null;
+    try { session.recorder.stop(); } catch (e) {}
+    session.stopMixer();
+  }, []);
+
+  return {
+    supported: isRecordingSupported(),
+    status,
+    elapsedMs,
+    size,
+    recording,
+    error,
+    start,
+    pause,
+    resume,
+    stop,
+    download,
+    discard
+  };
+}
@@ -0,0 +1,95 @@
+import { act, renderHook } from '@testing-library/react';
+import useRecording, { RECORDING_STATES } from './useRecording';
+import { FakeTrack } from '../providers/fakeProvider';
+import { DOWNLOAD_URL_TTL_MS } from '../utils';
+
+function broadcasterRoom(overrides = {}) {
+  return {
+    joined: true,
+    userRole: 'broadcaster',
+    localVideoTrack: new FakeTrack('video'),
+    localAudioTrack: new FakeTrack('audio'),
+    participants: new Map(),
+    dominantSpeakerSid: null,
+    roomRef: { current: { name: 'late_show' } },
+    ...overrides
+  };
+}
+
+const latestRecorder = () => window.MediaRecorder.instances[window.MediaRecorder.instances.length - 1];
+
+beforeEach(() => {
+  jest.useFakeTimers();
+  window.MediaRecorder.instances = [];
+});
+
+afterEach(() => {
+  jest.useRealTimers();
+  jest.restoreAllMocks();
+});
+
+test('records the local tracks with elapsed time that skips pauses, and downloads a WebM', () => {
+  const { result } = renderHook(() => useRecording(broadcasterRoom()));
+
+  act(() => result.current.start());
+  const recorder = latestRecorder();
+  expect(result.current.status).toBe(RECORDING_STATES.RECORDING);
+  expect(recorder.mimeType).toBe('video/webm;codecs=vp8,opus');
+  expect(recorder.stream.getTracks().map(t => t.kind)).toEqual(['video', 'audio']);
+
+  act(() => {
+    jest.advanceTimersByTime(3000);
+    recorder.requestData();
+  });
+  expect(result.current.elapsedMs).toBe(3000);
+  expect(result.current.size).toBe(1024);
+
+  act(() => result.current.pause());
+  expect(result.current.status).toBe(RECORDING_STATES.PAUSED);
+  act(() => { jest.advanceTimersByTime(10000); });
+  expect(result.current.elapsedMs).toBe(3000);
+
+  act(() => result.current.resume());
+  act(() => { jest.advanceTimersByTime(2000); });
+  act(() => result.current.stop());
+
+  expect(result.current.status).toBe(RECORDING_STATES.INACTIVE);
+  expect(result.current.recording).toEqual({
+    filename: expect.stringMatching(/^late_show-\d{4}-\d{2}-\d{2}_\d{2}-\d{2}-\d{2}\.webm$/),
+    size: 2048,
+    durationMs: 5000
+  });
+
+  jest.spyOn(URL, 'createObjectURL').mockReturnValue('blob:recording');
+  jest.spyOn(URL, 'revokeObjectURL');
+  let download;
+  jest.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(function () { download = this.download; });
+  result.current.download();
+  expect(URL.createObjectURL.mock.calls[0][0]).toMatchObject({ type: 'video/webm', size: 2048 });
+  expect(download).toBe(result.current.recording.filename);
+
+  // The browser may still be reading the blob after click() returns
+  expect(URL.revokeObjectURL).not.toHaveBeenCalled();
+  act(() => { jest.advanceTimersByTime(DOWNLOAD_URL_TTL_MS); });
+  expect(URL.revokeObjectURL).toHaveBeenCalledWith('blob:recording');
+
+  act(() => result.current.discard());
+  expect(result.current.recording).toBeNull();
+});
+
+test('leaving the room stops the recording and keeps the result', () => {
+  const { result, rerender } = renderHook(({ room }) => useRecording(room), { initialProps: { room: broadcasterRoom() } });
+  act(() => result.current.start());
+
+  rerender({ room: broadcasterRoom({ joined: false }) });
+  expect(latestRecorder().state).toBe('inactive');
+  expect(result.current.status).toBe(RECORDING_STATES.INACTIVE);
+  expect(result.current.recording.size).toBe(1024);
+});
+
+test('there is nothing to record before any track is available', () => {
+  const { result } = renderHook(() => useRecording(broadcasterRoom({ localVideoTrack: null, localAudioTrack: null })));
+  act(() => result.current.start());
+  expect(result.current.error).toBe('There is nothing to record yet');
+  expect(window.MediaRecorder.instances).toHaveLength(0);
+});
@@ -0,0 +1,33 @@
+// hooks/useRemoteAudio.js
+import { useSyncExternalStore } from 'react';
+
+/**
+ * Listening controls for the remote audio of a room from useRoom(): master volume,
+ * per-participant mute/volume, and whether autoplay is blocked (call `unlock` from a
+ * click to start playback).
+ *
+ * @param {object} room result of useRoom()
+ * @returns {{
+ *   blocked: boolean,
+ *   masterVolume: number,
+ *   participantSettings: (participantSid: string) => { volume: number, muted: boolean },
+ *   setMasterVolume: (volume: number) => void,
+ *   setParticipantVolume: (participantSid: string, volume: number) => void,
+ *   setParticipantMuted: (participantSid: string, muted: boolean) => void,
+ *   unlock: () => Promise<void>
+ * }}
+ */
+export default function useRemoteAudio(room) {
+  const { remoteAudio } = room;
+  const state = useSyncExternalStore(remoteAudio.subscribe, remoteAudio.getState);
+
+  return {
+    blocked: state.blocked,
+    masterVolume: state.masterVolume,
+    participantSettings: (participantSid) => state.participants[participantSid] || { volume: 1, muted: false },
+    setMasterVolume: remoteAudio.setMasterVolume,
+    setParticipantVolume: remoteAudio.setParticipantVolume,
+    setParticipantMuted: remoteAudio.setParticipantMuted,
+    unlock: remoteAudio.unlock
+  };
+}
@@ -0,0 +1,747 @@
+// hooks/useRoom.js
+import { useCallback, useEffect, useRef, useState, useSyncExternalStore } from 'react';
+import { CDN } from '../config';
+import { defaultProvider } from '../providers';
+import { generateAccessToken, refreshConversationToken, removeParticipant, stopLiveBroadcast, errorMessage, isUnauthorized } from '../api';
+import { isAdmin } from '../utils';
+import { AUDIO_CONSTRAINTS, VIDEO_CONSTRAINTS, SCREEN_TRACK_NAME } from '../media/constraints';
+import { createConnectionMachine, EVENTS, isInRoom } from '../lifecycle/connectionMachine';
+import { REJOIN_MAX_ATTEMPTS, isRecoverableDisconnect, rejoinDelay, wait } from '../lifecycle/rejoin';
+import { createRemoteAudioManager } from '../media/remoteAudio';
+import { NETWORK_QUALITY_OPTIONS } from '../media/networkQuality';
+import { BANDWIDTH_PROFILE, PREFERRED_VIDEO_CODECS, PUBLISH_PRIORITY, applyVideoQuality } from '../media/videoQuality';
+
+// Helper: stop and detach a track safely
+export function stopAndDetachTrack(track) {
+  try {
+    if (!track) return;
+    if (typeof track.stop === 'function') track.stop();
+    if (typeof track.detach === 'function') {
+      const els = track.detach();
+      if (Array.isArray(els)) {
+        els.forEach(el => el && el.remove && el.remove());
+      } else if (els && els.remove) {
+        els.remove();
+      }
+    }
+  } catch (e) {
+    console.warn('Error stopping/detaching track', e);
+  }
+}
+
+// Which participant field a remote video track belongs in
+function videoSlot(track) {
+  return track.name === SCREEN_TRACK_NAME ? 'screenTrack' : 'videoTrack';
+}
+
+function abortError() {
+  return new DOMException('Join cancelled', 'AbortError');
+}
+
+// connect() options, the same for the first join and every rejoin
+function connectOptions(roomName, tracks) {
+  return {
+    name: roomName,
+    tracks,
+    dominantSpeaker: true,
+    networkQuality: NETWORK_QUALITY_OPTIONS,
+    maxAudioBitrate: 16000,
+    preferredVideoCodecs: PREFERRED_VIDEO_CODECS,
+    bandwidthProfile: BANDWIDTH_PROFILE,
+    automaticSubscription: true
+  };
+}
+
+/**
+ * Room lifecycle: fetch a token, set up chat through `conversation`, create local
+ * media for broadcasters, connect to the video room and keep `participants` in
+ * sync with it.
+ *
+ * Progress is tracked by the connection state machine (src/lifecycle). A join while
+ * another is in flight or live is ignored, and leaving mid-join cancels the pending
+ * steps: anything they create after that point is torn down instead of used.
+ *
+ * A broadcaster's camera and microphone are normally created during the join. Tracks
+ * already set up elsewhere (the pre-join lobby) are handed over with
+ * `joinRoom(roomName, { takeLocalTracks })`: it is called once the join is accepted,
+ * and from then on the room owns the returned tracks, publishing them as they are or
+ * stopping them if the user turns out not to be a broadcaster.
+ *
+ * `joinRoom(roomName, { role })` asks the backend for a role (an invite link's
+ * 'viewer'); the backend decides, and rejoins ask for the same one.
+ *
+ * A room lost for a recoverable reason (see src/lifecycle/rejoin) is rejoined
+ * automatically with backoff, keeping local tracks and chat; `rejoinStatus` is
+ * `{ attempt, maxAttempts, retryAt }` meanwhile, and leaveRoom() cancels it.
+ *
+ * Remote audio plays through `remoteAudio` (src/media/remoteAudio), which attaches
+ * and detaches the <audio> elements as tracks come and go; see useRemoteAudio().
+ *
+ * `participants` is a Map keyed by participant SID of
+ * `{ identity, sid, videoTrack, screenTrack, audioTrack, networkQualityLevel, connected }`;
+ * `admin_` identities are never added to it. `dominantSpeakerSid` follows the room's
+ * dominantSpeakerChanged events: the SID of the remote participant speaking loudest,
+ * or null while nobody is.
+ *
+ * Every participant, viewers included, publishes a LocalDataTrack. `sendData`
+ * sends a JSON message on it to the whole room; `subscribeData` listeners receive
+ * the messages that arrive on remote data tracks (src/reactions builds on this).
+ *
+ * Network quality levels (0-5, null until reported; see src/media/networkQuality)
+ * are kept per remote participant and in `localNetworkQualityLevel` for ourselves.
+ *
+ * Broadcasters publish simulcast at high priority. `videoQuality` ('auto', 'high',
+ * 'low' or 'audio-only'; see src/media/videoQuality) is the local viewer's choice
+ * for remote video, applied to every subscribed video track and kept across rooms.
+ *
+ * @param {object} options
+ * @param {object} options.conversation result of useConversation()
+ * @param {string} options.appJwt backend JWT used for token requests
+ * @param {string} options.username display name of the local user
+ * @param {() => void} [options.onUnauthorized] called instead of alerting when the
+ *   backend refuses `appJwt` (401) on join, rejoin or stop, so the user can sign in again
+ * @param {object} [options.provider] media/chat provider (see src/providers)
+ * @returns {{
+ *   joined: boolean,
+ *   connectionStatus: string,
+ *   lifecycle: { status: string, attempt: number, error: string|null },
+ *   rejoinStatus: { attempt: number, maxAttempts: number, retryAt: number }|null,
+ *   participants: Map<string, object>,
+ *   dominantSpeakerSid: string|null,
+ *   userRole: string,
+ *   avatarImage: string,
+ *   localVideoTrack: object|null,
+ *   localAudioTrack: object|null,
+ *   localNetworkQualityLevel: number|null,
+ *   videoQuality: string,
+ *   setVideoQuality: (quality: string) => void,
+ *   joinRoom: (roomName: string, options?: { role?: string, takeLocalTracks?: () => object[] }) => Promise<void>,
+ *   leaveRoom: () => void,
+ *   stopBroadcast: (roomName: string) => Promise<void>,
+ *   sendData: (message: object) => boolean,
+ *   subscribeData: (listener: (message: object, from: { identity: string, sid: string }) => void) => () => void,
+ *   cleanup: () => void,
+ *   handleParticipant: (participant: object) => void,
+ *   roomRef: { current: object|null },
+ *   localTracksRef: { current: object[] },
+ *   heldTracksRef: { current: Set<object> },
+ *   videoElementsRef: { current: Map<string, HTMLElement> },
+ *   remoteAudio: object
+ * }}
+ */
+export default function useRoom({ conversation, appJwt, username, onUnauthorized, provider = defaultProvider }) {
+  const [participants, setParticipants] = useState(new Map());
+  const [dominantSpeakerSid, setDominantSpeakerSid] = useState(null);
+  const [userRole, setUserRole] = useState('');
+  const [avatarImage, setAvatarImage] = useState('');
+  const [localVideoTrack, setLocalVideoTrack] = useState(null);
+  const [localAudioTrack, setLocalAudioTrack] = useState(null);
+  const [localNetworkQualityLevel, setLocalNetworkQualityLevel] = useState(null);
+  const [videoQuality, setVideoQualityState] = useState('auto');
+  const [rejoinStatus, setRejoinStatus] = useState(null);
+
+  // Refs for Twilio objects only - no DOM manipulation
+  const roomRef = useRef(null);
+  const localTracksRef = useRef([]);
+  // Local tracks kept but deliberately unpublished (a camera replaced by a screen
+  // share); rejoin leaves them out
+  const heldTracksRef = useRef(new Set());
+  const videoElementsRef = useRef(new Map());
+  const joinControllerRef = useRef(null);
+  // Token refreshes during the session use the current app JWT
+  const appJwtRef = useRef(appJwt);
+  appJwtRef.current = appJwt;
+  const onUnauthorizedRef = useRef(onUnauthorized);
+  onUnauthorizedRef.current = onUnauthorized;
+  // Role asked for by the last join, asked for again when rejoining
+  const requestedRoleRef = useRef(null);
+  const videoQualityRef = useRef('auto');
+  // Our data track (published by everyone) and the subscribeData() listeners
+  const localDataTrackRef = useRef(null);
+  const dataListenersRef = useRef(new Set());
+  const audioManagerRef = useRef(null);
+  if (!audioManagerRef.current) audioManagerRef.current = createRemoteAudioManager();
+  const remoteAudio = audioManagerRef.current;
+
+  const machineRef = useRef(null);
+  if (!machineRef.current) machineRef.current = createConnectionMachine();
+  const machine = machineRef.current;
+  const lifecycle = useSyncExternalStore(machine.subscribe, machine.getState);
+  const connectionStatus = lifecycle.status;
+  const joined = isInRoom(connectionStatus);
+
+  const { initialize: initializeConversations, reset: resetConversation, conversationRef } = conversation;
+
+  // Safe cleanup function — does NOT shutdown Conversations client to avoid killing it mid-init.
+  const cleanup = useCallback(() => {
+    console.log('Starting cleanup...');
+
+    // Disconnect room first, so 'stopped' handlers on local tracks see we're gone
+    if (roomRef.current) {
+      const room = roomRef.current;
+      roomRef.current = null;
+      try { room.disconnect(); } catch (e) { console.warn(e); }
+    }
+
+    // Stop and clean up local tracks
+    try {
+      localTracksRef.current.forEach(track => stopAndDetachTrack(track));
+    } catch (e) {
+      console.warn('Error cleaning local tracks', e);
+    }
+    localTracksRef.current = [];
+    heldTracksRef.current.clear();
+
+    // Remove stored video elements
+    try {
+      videoElementsRef.current.forEach(el => {
+        try { if (el && el.remove) el.remove(); } catch {}
+      });
+      videoElementsRef.current.clear();
+    } catch (e) {
+      console.warn('Error clearing video elements map', e);
+    }
+
+    // Remote audio elements would otherwise keep playing
+    remoteAudio.detachAll();
+
+    // Cleanup conversation listeners but keep the client alive
+    resetConversation();
+
+    // Reset UI state
+    setLocalVideoTrack(null);
+    setLocalAudioTrack(null);
+    setParticipants(new Map());
+    setDominantSpeakerSid(null);
+    setLocalNetworkQualityLevel(null);
+    setRejoinStatus(null);
+    localDataTrackRef.current = null;
+
+    console.log('Cleanup completed');
+  }, [resetConversation, remoteAudio]);
+
+  // On unmount: cancel any pending join and cleanup (the conversation hook shuts its client down itself)
+  useEffect(() => {
+    return () => {
+      if (joinControllerRef.current) joinControllerRef.current.abort();
+      cleanup();
+    };
+  }, [cleanup]);
+
+  // Remote data tracks: JSON messages go to the subscribeData() listeners
+  const listenToData = useCallback((participant, track) => {
+    track.on('message', data => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (e) {
+        console.warn('Ignoring malformed data message from', participant.identity);
+        return;
+      }
+      const from = { identity: participant.identity, sid: participant.sid };
+      dataListenersRef.current.forEach(listener => listener(message, from));
+    });
+  }, []);
+
+  // Handle participant state management
+  const handleParticipant = useCallback((participant) => {
+    const hiddenAdmin = isAdmin(participant.identity);
+    if (hiddenAdmin) return; // Skip admin participants
+
+    console.log('Setting up participant:', participant.identity);
+
+    const participantData = {
+      identity: participant.identity,
+      sid: participant.sid,
+      videoTrack: null,
+      screenTrack: null,
+      audioTrack: null,
+      networkQualityLevel: participant.networkQualityLevel ?? null,
+      connected: true
+    };
+
+    // Handle existing tracks
+    participant.tracks.forEach(publication => {
+      try {
+        if (publication.isSubscribed) {
+          const track = publication.track;
+          if (!track) return;
+          if (track.kind === 'video') {
+            applyVideoQuality(track, videoQualityRef.current);
+            participantData[videoSlot(track)] = track;
+          } else if (track.kind === 'audio') {
+            participantData.audioTrack = track;
+            remoteAudio.attach(participant.sid, track);
+          } else if (track.kind === 'data') {
+            listenToData(participant, track);
+          }
+        }
+      } catch (e) { console.warn('Error handling existing publication', e); }
+    });
+
+    // Handle future track subscriptions
+    participant.on('trackSubscribed', track => {
+      console.log('Track subscribed:', track.kind, 'from', participant.identity);
+
+      if (track.kind === 'video') {
+        applyVideoQuality(track, videoQualityRef.current);
+        setParticipants(prev => {
+          const updated = new Map(prev);
+          const existing = updated.get(participant.sid) || {};
+          updated.set(participant.sid, { ...existing, [videoSlot(track)]: track });
+          return updated;
+        });
+      } else if (track.kind === 'audio') {
+        remoteAudio.attach(participant.sid, track);
+
+        setParticipants(prev => {
+          const updated = new Map(prev);
+          const existing = updated.get(participant.sid) || {};
+          updated.set(participant.sid, { ...existing, audioTrack: track });
+          return updated;
+        });
+      } else if (track.kind === 'data') {
+        listenToData(participant, track);
+      }
+    });
+
+    // Handle track unsubscriptions
+    participant.on('trackUnsubscribed', track => {
+      console.log('Track unsubscribed:', track.kind, 'from', participant.identity);
+      if (track.kind === 'video') {
+        setParticipants(prev => {
+          const updated = new Map(prev);
+          const existing = updated.get(participant.sid) || {};
+          updated.set(participant.sid, { ...existing, [videoSlot(track)]: null });
+          return updated;
+        });
+      } else if (track.kind === 'audio') {
+        remoteAudio.detach(participant.sid, track);
+        setParticipants(prev => {
+          const updated = new Map(prev);
+          const existing = updated.get(participant.sid) || {};
+          updated.set(participant.sid, { ...existing, audioTrack: null });
+          return updated;
+        });
+      }
+    });
+
+    participant.on('networkQualityLevelChanged', level => {
+      setParticipants(prev => {
+        if (!prev.has(participant.sid)) return prev;
+        const updated = new Map(prev);
+        updated.set(participant.sid, { ...prev.get(participant.sid), networkQualityLevel: level });
+        return updated;
+      });
+    });
+
+    // Update participants state
+    setParticipants(prev => {
+      const updated = new Map(prev);
+      updated.set(participant.sid, participantData);
+      return updated;
+    });
+
+  }, [remoteAudio, listenToData]);
+
+  // Viewer's quality choice for remote video, applied to what we already receive
+  const setVideoQuality = useCallback((quality) => {
+    videoQualityRef.current = quality;
+    setVideoQualityState(quality);
+    const twilioRoom = roomRef.current;
+    if (!twilioRoom) return;
+    twilioRoom.participants.forEach(participant => {
+      participant.tracks.forEach(publication => {
+        if (publication.isSubscribed) applyVideoQuality(publication.track, quality);
+      });
+    });
+  }, []);
+
+  const leaveRoom = useCallback(() => {
+    // Ignored when idle or already leaving
+    if (!machine.send({ type: EVENTS.LEAVE })) return;
+    console.log('=== LEAVING ROOM ===');
+
+    // Cancel a join that is still in flight
+    if (joinControllerRef.current) {
+      joinControllerRef.current.abort();
+      joinControllerRef.current = null;
+    }
+
+    // Update state first
+    setUserRole('');
+    setLocalVideoTrack(null);
+    setLocalAudioTrack(null);
+    setParticipants(new Map());
+
+    // Then cleanup (keeps Conversations client alive until unmount)
+    cleanup();
+
+    machine.send({ type: EVENTS.LEFT });
+    console.log('Left room successfully');
+  }, [machine, cleanup]);
+
+  // Wire a connected room into our state. `onDropped` is called when the room is lost
+  // for a reason worth rejoining; any other disconnect we didn't ask for leaves.
+  const setupRoom = useCallback((room, attempt, onDropped) => {
+    // Our camera is what viewers came for
+    room.localParticipant.tracks.forEach(publication => {
+      if (publication.kind !== 'video') return;
+      try { publication.setPriority(PUBLISH_PRIORITY); } catch (e) { console.warn('Error setting publish priority', e); }
+    });
+
+    setLocalNetworkQualityLevel(room.localParticipant.networkQualityLevel ?? null);
+    room.localParticipant.on('networkQualityLevelChanged', level => {
+      if (roomRef.current === room) setLocalNetworkQualityLevel(level);
+    });
+
+    // Handle participant events
+    room.on('participantConnected', participant => {
+      console.log('Participant connected:', participant.identity);
+      handleParticipant(participant);
+    });
+
+    room.on('participantDisconnected', async (participant) => {
+      console.log('Participant disconnected:', participant.identity);
+      remoteAudio.detach(participant.sid);
+
+      // Call backend to remove participant from conversation
+      if (conversationRef.current && appJwtRef.current) {
+        try {
+          const conversationSid = conversationRef.current.sid;
+          await removeParticipant(appJwtRef.current, conversationSid, participant.identity);
+          console.log(`Requested backend to remove participant ${participant.identity} from conversation ${conversationSid}.`);
+        } catch (error) {
+          console.error(`Failed to request participant removal from backend for ${participant.identity}:`, error);
+        }
+      }
+
+      setParticipants(prev => {
+        const updated = new Map(prev);
+        updated.delete(participant.sid);
+        return updated;
+      });
+      setDominantSpeakerSid(prev => (prev === participant.sid ? null : prev));
+    });
+
+    room.on('dominantSpeakerChanged', participant => {
+      setDominantSpeakerSid(participant ? participant.sid : null);
+    });
+
+    // Handle existing participants
+    room.participants.forEach(participant => {
+      console.log('Processing existing participant:', participant.identity);
+      handleParticipant(participant);
+    });
+
+    // Handle room disconnection. Our own disconnect() in cleanup clears roomRef
+    // first, so only disconnects we didn't ask for get here.
+    room.on('disconnected', (_room, error) => {
+      if (roomRef.current !== room) return;
+      console.log('Room disconnected:', error?.message || 'Unknown reason');
+      if (isRecoverableDisconnect(error)) onDropped(error);
+      else leaveRoom();
+    });
+
+    room.on('reconnecting', () => {
+      console.log('Reconnecting...');
+      machine.send({ type: EVENTS.RECONNECTING, attempt });
+    });
+
+    room.on('reconnected', () => {
+      console.log('Reconnected successfully');
+      machine.send({ type: EVENTS.RECONNECTED, attempt });
+    });
+  }, [machine, conversationRef, handleParticipant, leaveRoom, remoteAudio]);
+
+  // Connect again after a recoverable drop: fresh token, same local tracks, and the
+  // Conversations client carries on untouched. Backs off between attempts and gives
+  // up (leaving the room) after REJOIN_MAX_ATTEMPTS, or straight away when the
+  // backend refuses the app JWT; leaveRoom() cancels it.
+  const rejoin = useCallback(async (roomName, attempt, error) => {
+    if (!machine.send({ type: EVENTS.DROPPED, attempt, error: errorMessage(error) || 'Connection lost' })) return;
+    console.warn('Room connection lost, rejoining:', errorMessage(error));
+
+    // The dead room's remote side goes; local tracks and chat stay
+    roomRef.current = null;
+    remoteAudio.detachAll();
+    setParticipants(new Map());
+    setDominantSpeakerSid(null);
+    setLocalNetworkQualityLevel(null);
+
+    const controller = new AbortController();
+    joinControllerRef.current = controller;
+    const { signal } = controller;
+
+    let lastError = error;
+    for (let retry = 1; retry <= REJOIN_MAX_ATTEMPTS; retry++) {
+      const delayMs = rejoinDelay(retry);
+      setRejoinStatus({ attempt: retry, maxAttempts: REJOIN_MAX_ATTEMPTS, retryAt: Date.now() + delayMs });
+      try {
+        await wait(delayMs, signal);
+        const { token } = await generateAccessToken(appJwtRef.current, roomName, { role: requestedRoleRef.current });
+        if (signal.aborted) throw abortError();
+
+        const tracks = localTracksRef.current.filter(track => !track.isStopped && !heldTracksRef.current.has(track));
+        const room = await provider.connect(token, connectOptions(roomName, tracks));
+        if (signal.aborted || !machine.send({ type: EVENTS.REJOINED, attempt })) {
+          try { room.disconnect(); } catch (e) { console.warn(e); }
+          throw abortError();
+        }
+        roomRef.current = room;
+        joinControllerRef.current = null;
+        setRejoinStatus(null);
+        console.log(`Rejoined room ${room.name} on attempt ${retry}`);
+
+        setupRoom(room, attempt, nextError => rejoin(roomName, attempt, nextError));
+        return;
+      } catch (e) {
+        if (e?.name === 'AbortError' || signal.aborted) {
+          console.log('Rejoin cancelled');
+          return;
+        }
+        console.warn(`Rejoin attempt ${retry} failed:`, e);
+        lastError = e;
+        // Retrying won't help until the user signs in again
+        if (isUnauthorized(e)) break;
+      }
+    }
+
+    joinControllerRef.current = null;
+    setRejoinStatus(null);
+    cleanup();
+    setUserRole('');
+    machine.send({ type: EVENTS.FAIL, attempt, error: `Could not rejoin the room: ${errorMessage(lastError) || 'Unknown error'}` });
+    if (isUnauthorized(lastError) && onUnauthorizedRef.current) onUnauthorizedRef.current();
+  }, [provider, machine, setupRoom, cleanup, remoteAudio]);
+
+  // Join room function
+  const joinRoom = useCallback(async (roomName, { role: requestedRole = null, takeLocalTracks } = {}) => {
+    if (!appJwt || !username) return alert('Please sign in first');
+    if (!roomName?.trim()) return alert('Please enter a room name');
+
+    // Only one join at a time, and never while already in a room
+    if (!machine.send({ type: EVENTS.JOIN })) {
+      console.warn('Join ignored while', machine.getState().status);
+      return;
+    }
+    const { attempt } = machine.getState();
+    requestedRoleRef.current = requestedRole;
+    const controller = new AbortController();
+    joinControllerRef.current = controller;
+    const { signal } = controller;
+
+    // Take over tracks prepared before joining; cleanup stops them from here on
+    try {
+      localTracksRef.current.forEach(track => stopAndDetachTrack(track));
+    } catch (e) { console.warn('Error stopping local tracks on join', e); }
+    const handedTracks = takeLocalTracks ? takeLocalTracks() : [];
+    localTracksRef.current = [...handedTracks];
+
+    // Move the lifecycle forward, or bail out if this attempt was cancelled meanwhile
+    const advance = (type) => {
+      if (signal.aborted || !machine.send({ type, attempt })) throw abortError();
+    };
+
+    try {
+      console.log('=== JOINING ROOM ===');
+      console.log('Room name:', roomName);
+      console.log('Username:', username);
+
+      const {
+        token,
+        role,
+        conversationToken,
+        conversationSid,
+        avatarImage: backendAvatarImage
+      } = await generateAccessToken(appJwt, roomName.trim(), { role: requestedRole });
+      advance(EVENTS.AUTHORIZED);
+
+      console.log('Received token for role:', role);
+      console.log('Conversation SID:', conversationSid);
+      console.log('Received avatar image:', backendAvatarImage);
+      setUserRole(role || '');
+
+      // Set avatar from backend response with validation
+      if (backendAvatarImage && typeof backendAvatarImage === 'string' && backendAvatarImage.trim()) {
+        setAvatarImage(`${CDN}${backendAvatarImage.trim()}`);
+        console.log('Avatar set from backend:', backendAvatarImage.trim());
+      } else {
+        console.log('No valid avatar received from backend, will use fallback');
+        setAvatarImage('');
+      }
+
+      // Light reset: clear UI lists, but DO NOT shutdown the conversations client
+      setLocalVideoTrack(null);
+      setLocalAudioTrack(null);
+      setParticipants(new Map());
+
+      // Initialize conversations first (with proper waiting + retry)
+      await initializeConversations(conversationToken, conversationSid, {
+        signal,
+        refreshToken: async () => (await refreshConversationToken(appJwtRef.current, conversationSid)).conversationToken
+      });
+      advance(EVENTS.CHAT_CONNECTED);
+
+      // Local video/audio for broadcasters
+      const localTracks = [];
+
+      // Create media tracks for broadcasters only
+      if (role === 'broadcaster' && handedTracks.length) {
+        console.log('Using tracks from the lobby');
+        handedTracks.forEach(track => {
+          if (track.kind === 'video') {
+            setLocalVideoTrack(track);
+          } else if (track.kind === 'audio') {
+            setLocalAudioTrack(track);
+          }
+          localTracks.push(track);
+        });
+      } else if (role === 'broadcaster') {
+        console.log('Creating broadcaster media tracks...');
+        let tracks;
+        try {
+          const mediaConstraints = {
+            audio: AUDIO_CONSTRAINTS,
+            video: VIDEO_CONSTRAINTS
+          };
+
+          tracks = await provider.createLocalTracks(mediaConstraints);
+        } catch (mediaError) {
+          console.error('Media creation error:', mediaError);
+          throw new Error('Failed to access camera/microphone. Please check permissions and try again.');
+        }
+
+        if (signal.aborted) {
+          tracks.forEach(track => stopAndDetachTrack(track));
+          throw abortError();
+        }
+        localTracksRef.current = [...localTracksRef.current, ...tracks];
+
+        tracks.forEach(track => {
+          if (track.kind === 'video') {
+            setLocalVideoTrack(track);
+          } else if (track.kind === 'audio') {
+            setLocalAudioTrack(track);
+          }
+          localTracks.push(track);
+        });
+
+        console.log('Local media tracks created');
+      } else if (handedTracks.length) {
+        // Viewers don't publish; release the camera/mic the lobby opened
+        handedTracks.forEach(track => stopAndDetachTrack(track));
+        localTracksRef.current = localTracksRef.current.filter(t => !handedTracks.includes(t));
+      }
+      advance(EVENTS.MEDIA_ACQUIRED);
+
+      // Everyone, viewers included, publishes a data track for live reactions
+      const dataTrack = provider.createLocalDataTrack ? provider.createLocalDataTrack() : null;
+      if (dataTrack) {
+        localTracks.push(dataTrack);
+        localTracksRef.current = [...localTracksRef.current, dataTrack];
+        localDataTrackRef.current = dataTrack;
+      }
+
+      console.log('Connecting to Twilio room...');
+      const room = await provider.connect(token, connectOptions(roomName.trim(), localTracks));
+
+      if (signal.aborted) {
+        try { room.disconnect(); } catch (e) { console.warn(e); }
+        throw abortError();
+      }
+      roomRef.current = room;
+      advance(EVENTS.ROOM_CONNECTED);
+      joinControllerRef.current = null;
+
+      console.log('=== CONNECTED TO ROOM ===');
+      console.log('Room:', room.name);
+      console.log('Local participant:', room.localParticipant.identity);
+
+      setupRoom(room, attempt, error => rejoin(roomName.trim(), attempt, error));
+
+    } catch (err) {
+      if (err?.name === 'AbortError') {
+        console.log('Join cancelled');
+        return;
+      }
+      console.error('=== JOIN ROOM ERROR ===', err);
+
+      let message = 'Failed to join room';
+      if (errorMessage(err)) {
+        message += `: ${errorMessage(err)}`;
+      }
+
+      // Tear down whatever this attempt managed to set up
+      joinControllerRef.current = null;
+      cleanup();
+      setUserRole('');
+      machine.send({ type: EVENTS.FAIL, attempt, error: message });
+
+      if (isUnauthorized(err) && onUnauthorizedRef.current) onUnauthorizedRef.current();
+      else alert(message);
+    }
+  }, [appJwt, username, provider, machine, initializeConversations, setupRoom, rejoin, cleanup]);
+
+  const stopBroadcast = useCallback(async (roomName) => {
+    if (!appJwt) return alert('Login required');
+    if (!roomName?.trim()) return alert('Please enter a room name');
+
+    try {
+      await stopLiveBroadcast(appJwt, roomName.trim());
+      alert('Broadcast stopped successfully');
+      leaveRoom();
+    } catch (e) {
+      console.error('Stop broadcast error:', e);
+      if (isUnauthorized(e) && onUnauthorizedRef.current) onUnauthorizedRef.current();
+      else alert(`Stop failed: ${errorMessage(e)}`);
+    }
+  }, [appJwt, leaveRoom]);
+
+  // Send a JSON-serialisable message to everyone in the room over our data track.
+  // Returns false while there is no room to send to.
+  const sendData = useCallback((message) => {
+    const track = localDataTrackRef.current;
+    if (!track || !roomRef.current) return false;
+    try {
+      track.send(JSON.stringify(message));
+      return true;
+    } catch (e) {
+      console.warn('Error sending data message', e);
+      return false;
+    }
+  }, []);
+
+  const subscribeData = useCallback((listener) => {
+    dataListenersRef.current.add(listener);
+    return () => dataListenersRef.current.delete(listener);
+  }, []);
+
+  return {
+    joined,
+    connectionStatus,
+    lifecycle,
+    rejoinStatus,
+    participants,
+    dominantSpeakerSid,
+    userRole,
+    avatarImage,
+    localVideoTrack,
+    localAudioTrack,
+    localNetworkQualityLevel,
+    videoQuality,
+    setVideoQuality,
+    joinRoom,
+    leaveRoom,
+    stopBroadcast,
+    sendData,
+    subscribeData,
+    cleanup,
+    handleParticipant,
+    roomRef,
+    localTracksRef,
+    heldTracksRef,
+    videoElementsRef,
+    remoteAudio
+  };
+}
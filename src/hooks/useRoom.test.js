@@ -0,0 +1,318 @@
+import { act, renderHook, waitFor } from '@testing-library/react';
+import axios from 'axios';
+import useConversation from './useConversation';
+import useRoom from './useRoom';
+import useScreenShare, { SHARE_MODES } from './useScreenShare';
+import { createFakeProvider } from '../providers/fakeProvider';
+import { STATES } from '../lifecycle/connectionMachine';
+
+jest.mock('axios');
+
+const tokenResponse = (role = 'viewer') => ({
+  data: {
+    token: 'video-token',
+    role,
+    conversationToken: 'conversation-token',
+    conversationSid: 'CH1'
+  }
+});
+
+function deferred() {
+  let resolve;
+  const promise = new Promise(r => { resolve = r; });
+  return { promise, resolve };
+}
+
+function renderRoomHook(provider) {
+  return renderHook(() => {
+    const conversation = useConversation({ provider });
+    const room = useRoom({ conversation, appJwt: 'app-jwt', username: 'me', provider });
+    return { conversation, room };
+  });
+}
+
+beforeEach(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  jest.spyOn(window, 'alert').mockImplementation(() => {});
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+test('a second join while the first is in flight is ignored', async () => {
+  axios.post.mockResolvedValue(tokenResponse());
+  const { result } = renderRoomHook(createFakeProvider());
+
+  await act(async () => {
+    await Promise.all([result.current.room.joinRoom('room_1'), result.current.room.joinRoom('room_1')]);
+  });
+
+  expect(axios.post).toHaveBeenCalledTimes(1);
+  expect(result.current.room.connectionStatus).toBe(STATES.LIVE);
+  expect(result.current.room.lifecycle.attempt).toBe(1);
+});
+
+test('leaving while the token request is pending cancels the join', async () => {
+  const token = deferred();
+  axios.post.mockReturnValue(token.promise);
+  const provider = createFakeProvider();
+  const { result } = renderRoomHook(provider);
+
+  let join;
+  act(() => { join = result.current.room.joinRoom('room_1'); });
+  expect(result.current.room.connectionStatus).toBe(STATES.AUTHORIZING);
+
+  act(() => result.current.room.leaveRoom());
+  expect(result.current.room.connectionStatus).toBe(STATES.IDLE);
+
+  await act(async () => {
+    token.resolve(tokenResponse());
+    await join;
+  });
+
+  expect(result.current.room.connectionStatus).toBe(STATES.IDLE);
+  expect(provider.clients).toHaveLength(0);
+  expect(provider.rooms.size).toBe(0);
+  expect(window.alert).not.toHaveBeenCalled();
+});
+
+test('chat setup that finishes after leaving does not revive the chat', async () => {
+  axios.post.mockResolvedValue(tokenResponse());
+  const provider = createFakeProvider();
+  const conversation = provider.getConversation('CH1');
+  conversation.receiveMessage('host_1', 'old message');
+  const joined = deferred();
+  conversation.join = jest.fn(() => joined.promise);
+  const { result } = renderRoomHook(provider);
+
+  let join;
+  act(() => { join = result.current.room.joinRoom('room_1'); });
+  await waitFor(() => expect(conversation.join).toHaveBeenCalled());
+  expect(result.current.room.connectionStatus).toBe(STATES.CHAT_CONNECTING);
+
+  act(() => result.current.room.leaveRoom());
+  await act(async () => {
+    joined.resolve();
+    await join;
+  });
+
+  expect(result.current.conversation.status).toBe('disconnected');
+  expect(result.current.conversation.messages).toEqual([]);
+  expect(provider.rooms.size).toBe(0);
+});
+
+test('tracks acquired after leaving are stopped instead of published', async () => {
+  axios.post.mockResolvedValue(tokenResponse('broadcaster'));
+  const provider = createFakeProvider();
+  const media = deferred();
+  provider.createLocalTracks = jest.fn(() => media.promise);
+  const { result } = renderRoomHook(provider);
+
+  let join;
+  act(() => { join = result.current.room.joinRoom('room_1'); });
+  await waitFor(() => expect(result.current.room.connectionStatus).toBe(STATES.MEDIA_ACQUIRING));
+
+  act(() => result.current.room.leaveRoom());
+  const tracks = await createFakeProvider().createLocalTracks();
+  await act(async () => {
+    media.resolve(tracks);
+    await join;
+  });
+
+  tracks.forEach(track => expect(track.isStopped).toBe(true));
+  expect(result.current.room.localVideoTrack).toBeNull();
+  expect(provider.rooms.size).toBe(0);
+});
+
+test('media failure returns to idle with the error and tears the chat down', async () => {
+  axios.post.mockResolvedValue(tokenResponse('broadcaster'));
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  const provider = createFakeProvider();
+  provider.createLocalTracks = jest.fn().mockRejectedValue(new Error('Permission denied'));
+  const { result } = renderRoomHook(provider);
+
+  await act(async () => { await result.current.room.joinRoom('room_1'); });
+
+  expect(result.current.room.connectionStatus).toBe(STATES.IDLE);
+  expect(result.current.room.lifecycle.error).toMatch(/camera\/microphone/);
+  expect(result.current.conversation.status).toBe('disconnected');
+  expect(window.alert).toHaveBeenCalledTimes(1);
+});
+
+test('room reconnection and unexpected disconnects drive the lifecycle', async () => {
+  axios.post.mockResolvedValue(tokenResponse());
+  const provider = createFakeProvider();
+  const { result } = renderRoomHook(provider);
+
+  await act(async () => { await result.current.room.joinRoom('room_1'); });
+  const room = provider.getRoom('room_1');
+
+  act(() => room.simulateReconnecting());
+  expect(result.current.room.connectionStatus).toBe(STATES.RECONNECTING);
+  expect(result.current.room.joined).toBe(true);
+
+  act(() => room.simulateReconnected());
+  expect(result.current.room.connectionStatus).toBe(STATES.LIVE);
+
+  const disconnect = jest.spyOn(room, 'disconnect');
+  act(() => room.simulateDisconnect(new Error('Signaling connection error')));
+  expect(result.current.room.connectionStatus).toBe(STATES.IDLE);
+  expect(result.current.room.joined).toBe(false);
+  expect(disconnect).toHaveBeenCalledTimes(1);
+  expect(result.current.room.roomRef.current).toBeNull();
+});
+
+const signalingLost = () => Object.assign(new Error('Signaling connection disconnected'), { code: 53001 });
+const advanceTimers = (ms) => act(async () => { jest.advanceTimersByTime(ms); });
+
+test('a recoverable drop rejoins with a fresh token and keeps the chat client', async () => {
+  axios.post.mockResolvedValue(tokenResponse('broadcaster'));
+  const provider = createFakeProvider();
+  const createClient = jest.spyOn(provider, 'createConversationsClient');
+  const { result } = renderRoomHook(provider);
+
+  await act(async () => { await result.current.room.joinRoom('room_1'); });
+  const room = provider.getRoom('room_1');
+  act(() => { room.addParticipant('host_1'); });
+  const camera = result.current.room.localVideoTrack;
+
+  jest.useFakeTimers();
+  try {
+    act(() => room.simulateDisconnect(signalingLost()));
+    expect(result.current.room.connectionStatus).toBe(STATES.REJOINING);
+    expect(result.current.room.joined).toBe(true);
+    expect(result.current.room.rejoinStatus).toEqual(expect.objectContaining({ attempt: 1, maxAttempts: 5 }));
+    expect(result.current.room.participants.size).toBe(0);
+
+    await advanceTimers(1000);
+    await waitFor(() => expect(result.current.room.connectionStatus).toBe(STATES.LIVE));
+  } finally {
+    jest.useRealTimers();
+  }
+
+  expect(axios.post).toHaveBeenCalledTimes(2);
+  expect(createClient).toHaveBeenCalledTimes(1);
+  expect(result.current.conversation.status).toBe('connected');
+  expect(result.current.room.rejoinStatus).toBeNull();
+  expect(result.current.room.participants.size).toBe(1);
+  expect(Array.from(room.localParticipant.tracks.values()).map(p => p.track)).toContain(camera);
+  expect(camera.isStopped).toBe(false);
+});
+
+test('rejoins and participant removal use the latest app JWT; a refused one stops the rejoin', async () => {
+  axios.post.mockResolvedValue(tokenResponse());
+  const provider = createFakeProvider();
+  const onUnauthorized = jest.fn();
+  const { result, rerender } = renderHook(({ appJwt }) => {
+    const conversation = useConversation({ provider });
+    const room = useRoom({ conversation, appJwt, username: 'me', onUnauthorized, provider });
+    return { room };
+  }, { initialProps: { appJwt: 'first-jwt' } });
+  const bearer = jwt => ({ headers: { Authorization: `Bearer ${jwt}` } });
+
+  await act(async () => { await result.current.room.joinRoom('room_1'); });
+  rerender({ appJwt: 'refreshed-jwt' });
+  const room = provider.getRoom('room_1');
+
+  jest.useFakeTimers();
+  try {
+    act(() => room.simulateDisconnect(signalingLost()));
+    await advanceTimers(1000);
+    await waitFor(() => expect(result.current.room.connectionStatus).toBe(STATES.LIVE));
+    expect(axios.post).toHaveBeenLastCalledWith(
+      expect.stringMatching(/\/generateAccessToken$/), { roomName: 'room_1' }, bearer('refreshed-jwt')
+    );
+
+    let guest;
+    act(() => { guest = room.addParticipant('guest_1'); });
+    act(() => room.removeParticipant(guest));
+    await waitFor(() => expect(axios.post).toHaveBeenLastCalledWith(
+      expect.stringMatching(/\/removeParticipant$/), expect.anything(), bearer('refreshed-jwt')
+    ));
+
+    // The backend refusing the JWT ends the rejoin after one attempt
+    const calls = axios.post.mock.calls.length;
+    axios.post.mockRejectedValue(Object.assign(new Error('Unauthorized'), { response: { status: 401 } }));
+    act(() => room.simulateDisconnect(signalingLost()));
+    await advanceTimers(1000);
+    await waitFor(() => expect(result.current.room.connectionStatus).toBe(STATES.IDLE));
+    expect(axios.post.mock.calls.length).toBe(calls + 1);
+    expect(onUnauthorized).toHaveBeenCalledTimes(1);
+  } finally {
+    jest.useRealTimers();
+  }
+});
+
+test('a camera replaced by a screen share stays unpublished after a rejoin', async () => {
+  axios.post.mockResolvedValue(tokenResponse('broadcaster'));
+  const provider = createFakeProvider();
+  const { result } = renderHook(() => {
+    const conversation = useConversation({ provider });
+    const room = useRoom({ conversation, appJwt: 'app-jwt', username: 'me', provider });
+    const screenShare = useScreenShare({ room, provider });
+    return { room, screenShare };
+  });
+
+  await act(async () => { await result.current.room.joinRoom('room_1'); });
+  const camera = result.current.room.localVideoTrack;
+  await act(async () => { await result.current.screenShare.startShare(SHARE_MODES.REPLACE); });
+  const room = provider.getRoom('room_1');
+  const publishedTracks = () => Array.from(room.localParticipant.tracks.values()).map(p => p.track);
+
+  jest.useFakeTimers();
+  try {
+    act(() => room.simulateDisconnect(signalingLost()));
+    await advanceTimers(1000);
+    await waitFor(() => expect(result.current.room.connectionStatus).toBe(STATES.LIVE));
+  } finally {
+    jest.useRealTimers();
+  }
+
+  expect(publishedTracks()).toContain(result.current.screenShare.screenTrack);
+  expect(publishedTracks()).not.toContain(camera);
+
+  // Stopping the share brings the camera back
+  await act(async () => { await result.current.screenShare.stopShare(); });
+  expect(publishedTracks()).toContain(camera);
+  expect(result.current.room.heldTracksRef.current.size).toBe(0);
+});
+
+test('rejoin backs off, gives up after the last attempt, and can be cancelled', async () => {
+  axios.post.mockResolvedValue(tokenResponse());
+  const provider = createFakeProvider();
+  const { result } = renderRoomHook(provider);
+  await act(async () => { await result.current.room.joinRoom('room_1'); });
+
+  jest.useFakeTimers();
+  try {
+    axios.post.mockRejectedValue(new Error('Network Error'));
+    act(() => provider.getRoom('room_1').simulateDisconnect(signalingLost()));
+
+    await advanceTimers(1000);
+    await waitFor(() => expect(result.current.room.rejoinStatus.attempt).toBe(2));
+    await advanceTimers(1999);
+    expect(result.current.room.rejoinStatus.attempt).toBe(2);
+
+    // 2s, 4s, 8s, 16s
+    for (const [delay, next] of [[1, 3], [4000, 4], [8000, 5]]) {
+      await advanceTimers(delay);
+      await waitFor(() => expect(result.current.room.rejoinStatus.attempt).toBe(next));
+    }
+    await advanceTimers(16000);
+    await waitFor(() => expect(result.current.room.connectionStatus).toBe(STATES.IDLE));
+    expect(axios.post).toHaveBeenCalledTimes(6);
+    expect(result.current.room.lifecycle.error).toMatch(/Could not rejoin the room/);
+
+    // A fresh session, dropped again and cancelled by leaving
+    axios.post.mockResolvedValue(tokenResponse());
+    await act(async () => { await result.current.room.joinRoom('room_1'); });
+    act(() => provider.getRoom('room_1').simulateDisconnect(signalingLost()));
+    act(() => result.current.room.leaveRoom());
+    await advanceTimers(60000);
+  } finally {
+    jest.useRealTimers();
+  }
+  expect(result.current.room.connectionStatus).toBe(STATES.IDLE);
+  expect(result.current.room.rejoinStatus).toBeNull();
+  expect(axios.post).toHaveBeenCalledTimes(7);
+});
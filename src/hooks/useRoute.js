@@ -0,0 +1,44 @@
+// hooks/useRoute.js
+import { useMemo, useSyncExternalStore } from 'react';
+import { parseLocation } from '../routing/routes';
+
+// pushState doesn't fire popstate, so our own navigations announce themselves
+const NAVIGATE_EVENT = 'app:navigate';
+
+function subscribe(listener) {
+  window.addEventListener('popstate', listener);
+  window.addEventListener(NAVIGATE_EVENT, listener);
+  return () => {
+    window.removeEventListener('popstate', listener);
+    window.removeEventListener(NAVIGATE_EVENT, listener);
+  };
+}
+
+function currentLocation() {
+  return `${window.location.pathname}${window.location.search}`;
+}
+
+// Go to `path` (pathname + search) without reloading the page
+export function navigate(path, { replace = false } = {}) {
+  if (path === currentLocation()) return;
+  if (replace) window.history.replaceState(null, '', path);
+  else window.history.pushState(null, '', path);
+  window.dispatchEvent(new Event(NAVIGATE_EVENT));
+}
+
+/**
+ * The current route (see src/routing/routes), following pushState navigations made
+ * through `navigate` and the browser's back/forward buttons.
+ *
+ * @returns {{
+ *   name: 'home'|'room',
+ *   roomName: string,
+ *   role: 'viewer'|'broadcaster'|null,
+ *   path: string,
+ *   navigate: (path: string, options?: { replace?: boolean }) => void
+ * }}
+ */
+export default function useRoute() {
+  const location = useSyncExternalStore(subscribe, currentLocation);
+  return useMemo(() => ({ ...parseLocation(location), path: location, navigate }), [location]);
+}
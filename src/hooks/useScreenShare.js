@@ -0,0 +1,125 @@
+// hooks/useScreenShare.js
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { defaultProvider } from '../providers';
+import { SCREEN_CONSTRAINTS, SCREEN_TRACK_NAME } from '../media/constraints';
+import { PUBLISH_PRIORITY } from '../media/videoQuality';
+import { stopAndDetachTrack } from './useRoom';
+
+export const SHARE_MODES = {
+  ALONGSIDE: 'alongside', // screen published next to the camera
+  REPLACE: 'replace' // camera unpublished while sharing, republished afterwards
+};
+
+/**
+ * Screen sharing for a broadcaster in a room from useRoom().
+ *
+ * The share is a `getDisplayMedia` track published under SCREEN_TRACK_NAME so
+ * subscribers render it as its own tile. It ends through `stopShare`, or when the
+ * track stops by itself (the browser's "Stop sharing" button).
+ *
+ * @param {object} options
+ * @param {object} options.room result of useRoom()
+ * @param {object} [options.provider] media/chat provider (see src/providers)
+ * @returns {{
+ *   screenTrack: object|null,
+ *   shareMode: string|null,
+ *   startShare: (mode?: 'alongside'|'replace') => Promise<void>,
+ *   stopShare: () => Promise<void>
+ * }}
+ */
+export default function useScreenShare({ room, provider = defaultProvider }) {
+  const { roomRef, localTracksRef, heldTracksRef, localVideoTrack, joined } = room;
+  const [screenTrack, setScreenTrack] = useState(null);
+  const [shareMode, setShareMode] = useState(null);
+
+  // { track, camera, onStopped } for the active share; cleared before any teardown
+  // so re-entrant calls (stop() firing 'stopped') are no-ops
+  const shareRef = useRef(null);
+
+  const stopShare = useCallback(async () => {
+    const share = shareRef.current;
+    if (!share) return;
+    shareRef.current = null;
+
+    const { track, camera, onStopped } = share;
+    track.removeListener('stopped', onStopped);
+    if (camera) heldTracksRef.current.delete(camera);
+
+    // roomRef is already cleared when the share ends because we're leaving
+    const twilioRoom = roomRef.current;
+    if (twilioRoom) {
+      try { twilioRoom.localParticipant.unpublishTrack(track); } catch (e) { console.warn('Error unpublishing screen track', e); }
+      if (camera && !camera.isStopped) {
+        try {
+          await twilioRoom.localParticipant.publishTrack(camera, { priority: PUBLISH_PRIORITY });
+        } catch (e) { console.error('Failed to republish camera after screen share:', e); }
+      }
+    }
+
+    stopAndDetachTrack(track);
+    localTracksRef.current = localTracksRef.current.filter(t => t !== track);
+    setScreenTrack(null);
+    setShareMode(null);
+    console.log('Screen share ended');
+  }, [roomRef, localTracksRef, heldTracksRef]);
+
+  const startShare = useCallback(async (mode = SHARE_MODES.ALONGSIDE) => {
+    const twilioRoom = roomRef.current;
+    if (!twilioRoom || shareRef.current) return;
+
+    let track;
+    try {
+      track = await provider.createScreenTrack(SCREEN_TRACK_NAME, SCREEN_CONSTRAINTS);
+    } catch (e) {
+      // Closing the browser's picker is not an error
+      if (e?.name === 'NotAllowedError' || e?.name === 'AbortError') {
+        console.log('Screen share cancelled');
+        return;
+      }
+      console.error('Failed to start screen share:', e);
+      alert('Failed to start screen share: ' + e.message);
+      return;
+    }
+
+    // Left the room (or started another share) while the picker was open
+    if (roomRef.current !== twilioRoom || shareRef.current) {
+      stopAndDetachTrack(track);
+      return;
+    }
+
+    const camera = mode === SHARE_MODES.REPLACE ? localVideoTrack : null;
+    const onStopped = () => stopShare();
+    shareRef.current = { track, camera, onStopped };
+    track.on('stopped', onStopped);
+    localTracksRef.current = [...localTracksRef.current, track];
+
+    try {
+      await twilioRoom.localParticipant.publishTrack(track, { priority: PUBLISH_PRIORITY });
+      if (camera) {
+        twilioRoom.localParticipant.unpublishTrack(camera);
+        // Not sent again if the room is rejoined while sharing
+        heldTracksRef.current.add(camera);
+      }
+    } catch (e) {
+      console.error('Failed to publish screen share:', e);
+      alert('Failed to publish screen share: ' + e.message);
+      await stopShare();
+      return;
+    }
+
+    setScreenTrack(track);
+    setShareMode(mode);
+    console.log('Screen share started:', mode);
+  }, [provider, roomRef, localTracksRef, heldTracksRef, localVideoTrack, stopShare]);
+
+  // Leaving the room stops every local track, the share included
+  useEffect(() => {
+    if (!joined) {
+      shareRef.current = null;
+      setScreenTrack(null);
+      setShareMode(null);
+    }
+  }, [joined]);
+
+  return { screenTrack, shareMode, startShare, stopShare };
+}
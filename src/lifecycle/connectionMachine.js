@@ -0,0 +1,149 @@
+// lifecycle/connectionMachine.js
+// Single source of truth for where a room session is in its lifecycle:
+//
+//   idle -> authorizing -> chat-connecting -> media-acquiring -> room-connecting -> live
+//   live <-> reconnecting
+//   live/reconnecting -> rejoining -> live (REJOINED) or idle (FAIL)
+//   any joining/live state -> leaving -> idle
+//   any joining state -> idle (FAIL)
+//
+// `rejoining` is a room dropped for a recoverable reason being connected again
+// within the same attempt; see src/lifecycle/rejoin.js.
+//
+// Every JOIN starts a new `attempt`. Events sent by async join steps carry the attempt
+// they belong to, so work that finishes after a leave (or a newer join) is ignored
+// instead of moving the session forward.
+
+export const STATES = {
+  IDLE: 'idle',
+  AUTHORIZING: 'authorizing',
+  CHAT_CONNECTING: 'chat-connecting',
+  MEDIA_ACQUIRING: 'media-acquiring',
+  ROOM_CONNECTING: 'room-connecting',
+  LIVE: 'live',
+  RECONNECTING: 'reconnecting',
+  REJOINING: 'rejoining',
+  LEAVING: 'leaving'
+};
+
+export const EVENTS = {
+  JOIN: 'JOIN',
+  AUTHORIZED: 'AUTHORIZED',
+  CHAT_CONNECTED: 'CHAT_CONNECTED',
+  MEDIA_ACQUIRED: 'MEDIA_ACQUIRED',
+  ROOM_CONNECTED: 'ROOM_CONNECTED',
+  RECONNECTING: 'RECONNECTING',
+  RECONNECTED: 'RECONNECTED',
+  DROPPED: 'DROPPED',
+  REJOINED: 'REJOINED',
+  FAIL: 'FAIL',
+  LEAVE: 'LEAVE',
+  LEFT: 'LEFT'
+};
+
+const TRANSITIONS = {
+  [STATES.IDLE]: {
+    [EVENTS.JOIN]: STATES.AUTHORIZING
+  },
+  [STATES.AUTHORIZING]: {
+    [EVENTS.AUTHORIZED]: STATES.CHAT_CONNECTING,
+    [EVENTS.FAIL]: STATES.IDLE,
+    [EVENTS.LEAVE]: STATES.LEAVING
+  },
+  [STATES.CHAT_CONNECTING]: {
+    [EVENTS.CHAT_CONNECTED]: STATES.MEDIA_ACQUIRING,
+    [EVENTS.FAIL]: STATES.IDLE,
+    [EVENTS.LEAVE]: STATES.LEAVING
+  },
+  [STATES.MEDIA_ACQUIRING]: {
+    [EVENTS.MEDIA_ACQUIRED]: STATES.ROOM_CONNECTING,
+    [EVENTS.FAIL]: STATES.IDLE,
+    [EVENTS.LEAVE]: STATES.LEAVING
+  },
+  [STATES.ROOM_CONNECTING]: {
+    [EVENTS.ROOM_CONNECTED]: STATES.LIVE,
+    [EVENTS.FAIL]: STATES.IDLE,
+    [EVENTS.LEAVE]: STATES.LEAVING
+  },
+  [STATES.LIVE]: {
+    [EVENTS.RECONNECTING]: STATES.RECONNECTING,
+    [EVENTS.DROPPED]: STATES.REJOINING,
+    [EVENTS.LEAVE]: STATES.LEAVING
+  },
+  [STATES.RECONNECTING]: {
+    [EVENTS.RECONNECTED]: STATES.LIVE,
+    [EVENTS.DROPPED]: STATES.REJOINING,
+    [EVENTS.LEAVE]: STATES.LEAVING
+  },
+  [STATES.REJOINING]: {
+    [EVENTS.REJOINED]: STATES.LIVE,
+    [EVENTS.FAIL]: STATES.IDLE,
+    [EVENTS.LEAVE]: STATES.LEAVING
+  },
+  [STATES.LEAVING]: {
+    [EVENTS.LEFT]: STATES.IDLE
+  }
+};
+
+export const initialState = { status: STATES.IDLE, attempt: 0, error: null };
+
+// Pure transition function. Returns the same object when the event doesn't apply
+// (unknown in this state, or stamped with a stale attempt).
+export function transition(state, event) {
+  if (event.attempt !== undefined && event.attempt !== state.attempt) return state;
+
+  const next = TRANSITIONS[state.status]?.[event.type];
+  if (!next) return state;
+
+  switch (event.type) {
+    case EVENTS.JOIN:
+      return { status: next, attempt: state.attempt + 1, error: null };
+    case EVENTS.FAIL:
+    case EVENTS.DROPPED:
+      return { status: next, attempt: state.attempt, error: event.error || 'Unknown error' };
+    case EVENTS.REJOINED:
+      return { status: next, attempt: state.attempt, error: null };
+    default:
+      return { ...state, status: next };
+  }
+}
+
+// True while a join is in flight (before the room is live)
+export function isJoining(status) {
+  return status === STATES.AUTHORIZING ||
+    status === STATES.CHAT_CONNECTING ||
+    status === STATES.MEDIA_ACQUIRING ||
+    status === STATES.ROOM_CONNECTING;
+}
+
+// True once connected to the room, including while media is reconnecting or the
+// room is being rejoined
+export function isInRoom(status) {
+  return status === STATES.LIVE || status === STATES.RECONNECTING || status === STATES.REJOINING;
+}
+
+// Small store around `transition` so async code can read the current attempt
+// synchronously and React can subscribe (useSyncExternalStore).
+export function createConnectionMachine() {
+  let state = initialState;
+  const listeners = new Set();
+
+  return {
+    getState: () => state,
+
+    // Returns true when the event caused a transition
+    send(event) {
+      const next = transition(state, event);
+      if (next === state) return false;
+      console.log(`Lifecycle: ${state.status} -> ${next.status} (${event.type})`);
+      state = next;
+      listeners.forEach(listener => listener(state));
+      return true;
+    },
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    }
+  };
+}
@@ -0,0 +1,131 @@
+import {
+  STATES,
+  EVENTS,
+  initialState,
+  transition,
+  isJoining,
+  isInRoom,
+  createConnectionMachine
+} from './connectionMachine';
+
+const at = (status, attempt = 1) => ({ status, attempt, error: null });
+
+describe('transition', () => {
+  test.each([
+    [STATES.IDLE, EVENTS.JOIN, STATES.AUTHORIZING],
+    [STATES.AUTHORIZING, EVENTS.AUTHORIZED, STATES.CHAT_CONNECTING],
+    [STATES.AUTHORIZING, EVENTS.FAIL, STATES.IDLE],
+    [STATES.AUTHORIZING, EVENTS.LEAVE, STATES.LEAVING],
+    [STATES.CHAT_CONNECTING, EVENTS.CHAT_CONNECTED, STATES.MEDIA_ACQUIRING],
+    [STATES.CHAT_CONNECTING, EVENTS.FAIL, STATES.IDLE],
+    [STATES.CHAT_CONNECTING, EVENTS.LEAVE, STATES.LEAVING],
+    [STATES.MEDIA_ACQUIRING, EVENTS.MEDIA_ACQUIRED, STATES.ROOM_CONNECTING],
+    [STATES.MEDIA_ACQUIRING, EVENTS.FAIL, STATES.IDLE],
+    [STATES.MEDIA_ACQUIRING, EVENTS.LEAVE, STATES.LEAVING],
+    [STATES.ROOM_CONNECTING, EVENTS.ROOM_CONNECTED, STATES.LIVE],
+    [STATES.ROOM_CONNECTING, EVENTS.FAIL, STATES.IDLE],
+    [STATES.ROOM_CONNECTING, EVENTS.LEAVE, STATES.LEAVING],
+    [STATES.LIVE, EVENTS.RECONNECTING, STATES.RECONNECTING],
+    [STATES.LIVE, EVENTS.LEAVE, STATES.LEAVING],
+    [STATES.RECONNECTING, EVENTS.RECONNECTED, STATES.LIVE],
+    [STATES.RECONNECTING, EVENTS.LEAVE, STATES.LEAVING],
+    [STATES.LIVE, EVENTS.DROPPED, STATES.REJOINING],
+    [STATES.RECONNECTING, EVENTS.DROPPED, STATES.REJOINING],
+    [STATES.REJOINING, EVENTS.REJOINED, STATES.LIVE],
+    [STATES.REJOINING, EVENTS.FAIL, STATES.IDLE],
+    [STATES.REJOINING, EVENTS.LEAVE, STATES.LEAVING],
+    [STATES.LEAVING, EVENTS.LEFT, STATES.IDLE]
+  ])('%s --%s--> %s', (from, type, to) => {
+    expect(transition(at(from), { type }).status).toBe(to);
+  });
+
+  test.each([
+    [STATES.IDLE, EVENTS.LEAVE],
+    [STATES.IDLE, EVENTS.ROOM_CONNECTED],
+    [STATES.AUTHORIZING, EVENTS.JOIN],
+    [STATES.CHAT_CONNECTING, EVENTS.JOIN],
+    [STATES.MEDIA_ACQUIRING, EVENTS.ROOM_CONNECTED],
+    [STATES.ROOM_CONNECTING, EVENTS.JOIN],
+    [STATES.LIVE, EVENTS.JOIN],
+    [STATES.LIVE, EVENTS.FAIL],
+    [STATES.RECONNECTING, EVENTS.JOIN],
+    [STATES.REJOINING, EVENTS.JOIN],
+    [STATES.REJOINING, EVENTS.RECONNECTED],
+    [STATES.IDLE, EVENTS.DROPPED],
+    [STATES.LEAVING, EVENTS.LEAVE],
+    [STATES.LEAVING, EVENTS.JOIN]
+  ])('%s ignores %s', (from, type) => {
+    const state = at(from);
+    expect(transition(state, { type })).toBe(state);
+  });
+
+  test('JOIN starts a new attempt and clears the previous error', () => {
+    const next = transition({ status: STATES.IDLE, attempt: 3, error: 'boom' }, { type: EVENTS.JOIN });
+    expect(next).toEqual({ status: STATES.AUTHORIZING, attempt: 4, error: null });
+  });
+
+  test('FAIL records the error', () => {
+    const next = transition(at(STATES.CHAT_CONNECTING), { type: EVENTS.FAIL, error: 'denied' });
+    expect(next).toEqual({ status: STATES.IDLE, attempt: 1, error: 'denied' });
+  });
+
+  test('a drop keeps the attempt and records why; rejoining clears it', () => {
+    const dropped = transition(at(STATES.LIVE, 2), { type: EVENTS.DROPPED, attempt: 2, error: 'signaling lost' });
+    expect(dropped).toEqual({ status: STATES.REJOINING, attempt: 2, error: 'signaling lost' });
+    expect(transition(dropped, { type: EVENTS.REJOINED, attempt: 2 })).toEqual(at(STATES.LIVE, 2));
+  });
+
+  test('events stamped with a stale attempt are ignored', () => {
+    const state = at(STATES.AUTHORIZING, 2);
+    expect(transition(state, { type: EVENTS.AUTHORIZED, attempt: 1 })).toBe(state);
+    expect(transition(state, { type: EVENTS.AUTHORIZED, attempt: 2 }).status).toBe(STATES.CHAT_CONNECTING);
+  });
+});
+
+test('isJoining and isInRoom classify every state', () => {
+  expect(Object.values(STATES).filter(isJoining)).toEqual([
+    STATES.AUTHORIZING, STATES.CHAT_CONNECTING, STATES.MEDIA_ACQUIRING, STATES.ROOM_CONNECTING
+  ]);
+  expect(Object.values(STATES).filter(isInRoom)).toEqual([STATES.LIVE, STATES.RECONNECTING, STATES.REJOINING]);
+});
+
+describe('createConnectionMachine', () => {
+  beforeEach(() => jest.spyOn(console, 'log').mockImplementation(() => {}));
+  afterEach(() => jest.restoreAllMocks());
+
+  test('starts idle and notifies subscribers on transitions only', () => {
+    const machine = createConnectionMachine();
+    const listener = jest.fn();
+    machine.subscribe(listener);
+
+    expect(machine.getState()).toBe(initialState);
+    expect(machine.send({ type: EVENTS.JOIN })).toBe(true);
+    expect(machine.send({ type: EVENTS.JOIN })).toBe(false);
+
+    expect(listener).toHaveBeenCalledTimes(1);
+    expect(listener).toHaveBeenCalledWith(machine.getState());
+  });
+
+  test('unsubscribe stops notifications', () => {
+    const machine = createConnectionMachine();
+    const listener = jest.fn();
+    const unsubscribe = machine.subscribe(listener);
+    unsubscribe();
+
+    machine.send({ type: EVENTS.JOIN });
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  test('a leave during a join makes the rest of that join stale', () => {
+    const machine = createConnectionMachine();
+    machine.send({ type: EVENTS.JOIN });
+    const { attempt } = machine.getState();
+
+    machine.send({ type: EVENTS.LEAVE });
+    machine.send({ type: EVENTS.LEFT });
+    machine.send({ type: EVENTS.JOIN });
+
+    expect(machine.send({ type: EVENTS.AUTHORIZED, attempt })).toBe(false);
+    expect(machine.getState()).toEqual({ status: STATES.AUTHORIZING, attempt: attempt + 1, error: null });
+  });
+});
@@ -0,0 +1,43 @@
+// lifecycle/rejoin.js
+// Automatic rejoin after the room drops. A `disconnected` event with one of these
+// error codes means the connection was lost rather than ended on purpose, so a new
+// connection (with a fresh token) is worth trying:
+//
+//   53000 signaling connection error       53405 media connection failed
+//   53001 signaling connection disconnected 53407 media connection failed (DTLS)
+//   53002 signaling connection timed out    20104 access token expired
+//
+// Anything else (room completed, removed from the room, duplicate identity, ...) ends
+// the session as before. Retries back off exponentially: 1s, 2s, 4s, 8s, 16s.
+
+export const RECOVERABLE_ERROR_CODES = [53000, 53001, 53002, 53405, 53407, 20104];
+
+export const REJOIN_MAX_ATTEMPTS = 5;
+export const REJOIN_BASE_DELAY_MS = 1000;
+export const REJOIN_MAX_DELAY_MS = 16000;
+
+export function isRecoverableDisconnect(error) {
+  return Boolean(error) && RECOVERABLE_ERROR_CODES.includes(error.code);
+}
+
+// Delay before rejoin attempt `retry` (1-based)
+export function rejoinDelay(retry) {
+  return Math.min(REJOIN_MAX_DELAY_MS, REJOIN_BASE_DELAY_MS * 2 ** (retry - 1));
+}
+
+// Resolves after `ms`, or rejects with an AbortError as soon as `signal` aborts
+export function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const aborted = () => new DOMException('Rejoin cancelled', 'AbortError');
+    if (signal?.aborted) return reject(aborted());
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    function onAbort() {
+      clearTimeout(timer);
+      reject(aborted());
+    }
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
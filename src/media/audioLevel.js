@@ -0,0 +1,34 @@
+// media/audioLevel.js
+// Microphone level metering with the Web Audio API.
+
+// Calls onLevel(0..1) once per animation frame with the RMS level of the track.
+// Returns a stop function. Without Web Audio support it reports nothing.
+export function monitorAudioLevel(mediaStreamTrack, onLevel) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (!AudioContextClass || !mediaStreamTrack) return () => {};
+
+  const context = new AudioContextClass();
+  const source = context.createMediaStreamSource(new MediaStream([mediaStreamTrack]));
+  const analyser = context.createAnalyser();
+  analyser.fftSize = 512;
+  source.connect(analyser);
+
+  const samples = new Float32Array(analyser.fftSize);
+  let frame = null;
+
+  const tick = () => {
+    analyser.getFloatTimeDomainData(samples);
+    let sum = 0;
+    for (let i = 0; i < samples.length; i++) sum += samples[i] * samples[i];
+    // Speech RMS rarely exceeds ~0.3, so scale it up to use the whole meter
+    onLevel(Math.min(1, Math.sqrt(sum / samples.length) * 3));
+    frame = requestAnimationFrame(tick);
+  };
+  tick();
+
+  return () => {
+    cancelAnimationFrame(frame);
+    try { source.disconnect(); } catch (e) {}
+    context.close().catch(() => {});
+  };
+}
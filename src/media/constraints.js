@@ -0,0 +1,29 @@
+// media/constraints.js
+// Capture constraints for broadcaster tracks. Device switches restart tracks with
+// these plus a `deviceId`, so the capture profile stays the same on every device.
+// The camera is captured at 720p so simulcast has room for lower layers.
+
+export const AUDIO_CONSTRAINTS = {
+  echoCancellation: true,
+  noiseSuppression: true
+};
+
+export const VIDEO_CONSTRAINTS = {
+  width: { ideal: 1280 },
+  height: { ideal: 720 },
+  frameRate: { ideal: 24 }
+};
+
+// Constraints for a specific capture device ('audioinput' or 'videoinput')
+export function constraintsForDevice(kind, deviceId) {
+  const base = kind === 'audioinput' ? AUDIO_CONSTRAINTS : VIDEO_CONSTRAINTS;
+  return deviceId ? { ...base, deviceId: { exact: deviceId } } : { ...base };
+}
+
+// Screen shares are published as a video track with this name so subscribers can
+// tell them apart from the camera.
+export const SCREEN_TRACK_NAME = 'screen';
+
+export const SCREEN_CONSTRAINTS = {
+  frameRate: { ideal: 15 }
+};
@@ -0,0 +1,20 @@
+// media/networkQuality.js
+// Network quality levels reported by the Network Quality API: 0 (no connectivity)
+// to 5 (excellent), null before the first report. `local` and `remote` are the
+// verbosity levels passed to connect(); 1 reports levels without detailed stats.
+
+export const NETWORK_QUALITY_OPTIONS = { local: 1, remote: 1 };
+
+export const MAX_NETWORK_QUALITY = 5;
+
+// Levels below this mean a stream is likely to freeze or drop in resolution
+export const POOR_NETWORK_QUALITY = 3;
+
+export function isPoorNetworkQuality(level) {
+  return typeof level === 'number' && level < POOR_NETWORK_QUALITY;
+}
+
+// Only broadcasters publish, so a remote participant with tracks is a broadcaster
+export function isBroadcasting(participant) {
+  return Boolean(participant.videoTrack || participant.screenTrack || participant.audioTrack);
+}
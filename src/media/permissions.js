@@ -0,0 +1,45 @@
+// media/permissions.js
+// Camera/microphone permission reporting for the lobby. The Permissions API isn't
+// available everywhere (and Firefox rejects 'camera'), so 'unknown' is a valid answer.
+
+export const PERMISSION_LABELS = {
+  granted: 'allowed',
+  denied: 'blocked',
+  prompt: 'will ask',
+  unknown: 'unknown'
+};
+
+async function queryPermission(name) {
+  try {
+    if (!navigator.permissions?.query) return 'unknown';
+    const status = await navigator.permissions.query({ name });
+    return status.state;
+  } catch (e) {
+    return 'unknown';
+  }
+}
+
+// -> { camera, microphone }, each 'granted' | 'denied' | 'prompt' | 'unknown'
+export async function queryMediaPermissions() {
+  const [camera, microphone] = await Promise.all([queryPermission('camera'), queryPermission('microphone')]);
+  return { camera, microphone };
+}
+
+// Explain a getUserMedia/createLocalTracks failure in terms the user can act on
+export function describeMediaError(error) {
+  switch (error?.name) {
+    case 'NotAllowedError':
+    case 'PermissionDeniedError':
+      return 'Camera/microphone access was blocked. Allow it in the browser\'s site settings and try again.';
+    case 'NotFoundError':
+    case 'DevicesNotFoundError':
+      return 'No camera or microphone was found. Connect one and try again.';
+    case 'NotReadableError':
+    case 'TrackStartError':
+      return 'The camera or microphone is in use by another application.';
+    case 'OverconstrainedError':
+      return 'The selected camera doesn\'t support the required resolution.';
+    default:
+      return `Failed to access camera/microphone${error?.message ? `: ${error.message}` : ''}`;
+  }
+}
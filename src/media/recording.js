@@ -0,0 +1,85 @@
+// media/recording.js
+// Local recording with MediaRecorder. A recording is one video track plus the audio
+// tracks, mixed down to one with Web Audio when there are several (MediaRecorder
+// only takes the first audio track of a stream). Tracks are fixed when recording
+// starts; one that ends meanwhile records as black frames or silence.
+
+// Preferred first; the browser's default WebM is the last resort
+export const RECORDING_MIME_TYPES = ['video/webm;codecs=vp8,opus', 'video/webm;codecs=vp9,opus', 'video/webm'];
+
+// Chunks are collected this often so the size can be shown while recording
+export const RECORDING_TIMESLICE_MS = 1000;
+
+export function isRecordingSupported() {
+  return typeof window.MediaRecorder === 'function' && typeof window.MediaStream === 'function';
+}
+
+export function pickMimeType() {
+  const { MediaRecorder } = window;
+  if (typeof MediaRecorder?.isTypeSupported !== 'function') return '';
+  return RECORDING_MIME_TYPES.find(type => MediaRecorder.isTypeSupported(type)) || '';
+}
+
+// What to record from a room (useRoom()): a broadcaster's own camera and mic, or for
+// a viewer the remote video to watch (screen share first, then the dominant
+// speaker's camera, then any camera) and every remote audio track.
+// -> { video: MediaStreamTrack|null, audio: MediaStreamTrack[] }
+export function recordingTracks({ userRole, localVideoTrack, localAudioTrack, participants, dominantSpeakerSid }) {
+  if (userRole === 'broadcaster') {
+    return {
+      video: localVideoTrack?.mediaStreamTrack || null,
+      audio: localAudioTrack?.mediaStreamTrack ? [localAudioTrack.mediaStreamTrack] : []
+    };
+  }
+  const remote = Array.from(participants.values());
+  const speaker = participants.get(dominantSpeakerSid);
+  const videoTrack = remote.find(p => p.screenTrack)?.screenTrack
+    || speaker?.videoTrack
+    || remote.find(p => p.videoTrack)?.videoTrack;
+  return {
+    video: videoTrack?.mediaStreamTrack || null,
+    audio: remote.map(p => p.audioTrack?.mediaStreamTrack).filter(Boolean)
+  };
+}
+
+// -> { stream, stop }. `stop` releases the audio mixer, not the tracks themselves.
+export function createRecordingStream({ video, audio }) {
+  const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+  if (audio.length < 2 || !AudioContextClass) {
+    return { stream: new MediaStream([video, audio[0]].filter(Boolean)), stop: () => {} };
+  }
+
+  const context = new AudioContextClass();
+  const destination = context.createMediaStreamDestination();
+  const sources = audio.map(track => {
+    const source = context.createMediaStreamSource(new MediaStream([track]));
+    source.connect(destination);
+    return source;
+  });
+  const mixed = destination.stream.getAudioTracks()[0];
+  return {
+    stream: new MediaStream([video, mixed].filter(Boolean)),
+    stop: () => {
+      sources.forEach(source => { try { source.disconnect(); } catch (e) {} });
+      context.close().catch(() => {});
+    }
+  };
+}
+
+// 'late_show-2026-01-01_20-05-09.webm' (local time); anything unsafe in a filename becomes '_'
+export function recordingFilename(roomName, date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  const stamp = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`
+    + `_${pad(date.getHours())}-${pad(date.getMinutes())}-${pad(date.getSeconds())}`;
+  const safeName = (roomName || 'recording').replace(/[^\w.-]+/g, '_');
+  return `${safeName}-${stamp}.webm`;
+}
+
+// 75000 -> '01:15', 3725000 -> '1:02:05'
+export function formatElapsed(ms) {
+  const total = Math.floor(Math.max(0, ms) / 1000);
+  const pad = n => String(n).padStart(2, '0');
+  const hours = Math.floor(total / 3600);
+  const rest = `${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+  return hours ? `${hours}:${rest}` : rest;
+}
@@ -0,0 +1,44 @@
+import { createRecordingStream, formatElapsed, recordingFilename, recordingTracks } from './recording';
+
+const track = (kind, id) => ({ mediaStreamTrack: { kind, id } });
+
+test('broadcasters record their own tracks and viewers the stream they watch', () => {
+  const local = {
+    userRole: 'broadcaster',
+    localVideoTrack: track('video', 'cam'),
+    localAudioTrack: track('audio', 'mic'),
+    participants: new Map([['PA1', { videoTrack: track('video', 'remote') }]])
+  };
+  expect(recordingTracks(local)).toEqual({ video: { kind: 'video', id: 'cam' }, audio: [{ kind: 'audio', id: 'mic' }] });
+
+  const participants = new Map([
+    ['PA1', { videoTrack: track('video', 'host-cam'), audioTrack: track('audio', 'host-mic') }],
+    ['PA2', { videoTrack: track('video', 'guest-cam'), audioTrack: track('audio', 'guest-mic') }]
+  ]);
+  const viewer = { userRole: 'viewer', participants, dominantSpeakerSid: 'PA2' };
+  expect(recordingTracks(viewer).video.id).toBe('guest-cam');
+  expect(recordingTracks(viewer).audio.map(t => t.id)).toEqual(['host-mic', 'guest-mic']);
+
+  participants.get('PA1').screenTrack = track('video', 'host-screen');
+  expect(recordingTracks(viewer).video.id).toBe('host-screen');
+  expect(recordingTracks({ ...viewer, participants: new Map(), dominantSpeakerSid: null })).toEqual({ video: null, audio: [] });
+});
+
+test('a single audio track is recorded as it is', () => {
+  const video = { kind: 'video' };
+  const audio = { kind: 'audio' };
+  const { stream } = createRecordingStream({ video, audio: [audio] });
+  expect(stream.getTracks()).toEqual([video, audio]);
+});
+
+test('filenames carry the room and the local start time', () => {
+  const date = new Date(2026, 0, 2, 20, 5, 9);
+  expect(recordingFilename('late_show', date)).toBe('late_show-2026-01-02_20-05-09.webm');
+  expect(recordingFilename('late show/2', date)).toBe('late_show_2-2026-01-02_20-05-09.webm');
+  expect(recordingFilename('', date)).toBe('recording-2026-01-02_20-05-09.webm');
+});
+
+test('elapsed time reads naturally', () => {
+  expect(formatElapsed(75000)).toBe('01:15');
+  expect(formatElapsed(3725000)).toBe('1:02:05');
+});
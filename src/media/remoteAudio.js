@@ -0,0 +1,142 @@
+// media/remoteAudio.js
+// Owner of the <audio> elements remote audio tracks play through. Elements are
+// attached per participant, kept hidden in `container`, and detached again when the
+// track is unsubscribed, the participant leaves or the room is left. Volume is
+// master volume x participant volume (0..1), and muting a participant silences all
+// of their elements.
+//
+// Browsers may refuse to start playback before the user has interacted with the
+// page (autoplay policy). Such a refusal sets `blocked`; `unlock()`, called from a
+// click handler, retries every element.
+//
+// The manager is a small store (getState/subscribe) for useSyncExternalStore.
+
+const DEFAULT_PARTICIPANT = { volume: 1, muted: false };
+
+export function createRemoteAudioManager({ container = document.body } = {}) {
+  // participantSid -> [{ track, element }]
+  const attached = new Map();
+  let state = { blocked: false, masterVolume: 1, participants: {} };
+  const listeners = new Set();
+
+  function setState(changes) {
+    state = { ...state, ...changes };
+    listeners.forEach(listener => listener());
+  }
+
+  function settingsOf(participantSid) {
+    return state.participants[participantSid] || DEFAULT_PARTICIPANT;
+  }
+
+  function apply(participantSid) {
+    const { volume, muted } = settingsOf(participantSid);
+    (attached.get(participantSid) || []).forEach(({ element }) => {
+      element.volume = Math.max(0, Math.min(1, state.masterVolume * volume));
+      element.muted = muted;
+    });
+  }
+
+  function play(element) {
+    let result;
+    try {
+      result = element.play && element.play();
+    } catch (e) {
+      result = Promise.reject(e);
+    }
+    return Promise.resolve(result).then(
+      () => true,
+      (e) => {
+        if (e?.name === 'NotAllowedError') {
+          if (!state.blocked) {
+            console.warn('Remote audio blocked by autoplay policy');
+            setState({ blocked: true });
+          }
+        } else {
+          console.warn('Error playing remote audio', e);
+        }
+        return false;
+      }
+    );
+  }
+
+  function removeEntry({ track, element }) {
+    try { track.detach(element); } catch (e) { console.warn('Error detaching audio track', e); }
+    try { element.remove(); } catch (e) {}
+  }
+
+  const manager = {
+    getState: () => state,
+
+    subscribe(listener) {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+
+    attach(participantSid, track) {
+      const entries = attached.get(participantSid) || [];
+      if (entries.some(entry => entry.track === track)) return;
+
+      let element;
+      try {
+        element = track.attach();
+      } catch (e) {
+        console.warn('Error attaching audio track', e);
+        return;
+      }
+      element.style.display = 'none';
+      container.appendChild(element);
+      attached.set(participantSid, [...entries, { track, element }]);
+      apply(participantSid);
+      play(element);
+    },
+
+    // Without a track, every element of the participant goes
+    detach(participantSid, track) {
+      const entries = attached.get(participantSid) || [];
+      const [removed, kept] = entries.reduce(([r, k], entry) => (
+        !track || entry.track === track ? [[...r, entry], k] : [r, [...k, entry]]
+      ), [[], []]);
+      removed.forEach(removeEntry);
+      if (kept.length) attached.set(participantSid, kept);
+      else attached.delete(participantSid);
+    },
+
+    // Leaving the room: drop every element and per-participant setting
+    detachAll() {
+      attached.forEach(entries => entries.forEach(removeEntry));
+      attached.clear();
+      setState({ participants: {}, blocked: false });
+    },
+
+    setMasterVolume(volume) {
+      setState({ masterVolume: volume });
+      attached.forEach((entries, participantSid) => apply(participantSid));
+    },
+
+    setParticipantVolume(participantSid, volume) {
+      setState({ participants: { ...state.participants, [participantSid]: { ...settingsOf(participantSid), volume } } });
+      apply(participantSid);
+    },
+
+    setParticipantMuted(participantSid, muted) {
+      setState({ participants: { ...state.participants, [participantSid]: { ...settingsOf(participantSid), muted } } });
+      apply(participantSid);
+    },
+
+    async unlock() {
+      const elements = [];
+      attached.forEach(entries => entries.forEach(({ element }) => elements.push(element)));
+      setState({ blocked: false });
+      await Promise.all(elements.map(play));
+    },
+
+    // Number of elements currently attached (diagnostics and tests)
+    elementCount() {
+      let count = 0;
+      attached.forEach(entries => { count += entries.length; });
+      return count;
+    }
+  };
+
+  return manager;
+}
@@ -0,0 +1,79 @@
+import { waitFor } from '@testing-library/react';
+import { createRemoteAudioManager } from './remoteAudio';
+import { FakeTrack } from '../providers/fakeProvider';
+
+let container;
+
+beforeEach(() => {
+  container = document.createElement('div');
+  document.body.appendChild(container);
+});
+
+afterEach(() => {
+  container.remove();
+  jest.restoreAllMocks();
+});
+
+test('attaches hidden elements and detaches them by track, participant or all', () => {
+  const manager = createRemoteAudioManager({ container });
+  const first = new FakeTrack('audio');
+  const second = new FakeTrack('audio');
+  const other = new FakeTrack('audio');
+
+  manager.attach('PA1', first);
+  manager.attach('PA1', first); // same track twice is a no-op
+  manager.attach('PA1', second);
+  manager.attach('PA2', other);
+  expect(container.querySelectorAll('audio')).toHaveLength(3);
+  expect(container.querySelector('audio').style.display).toBe('none');
+
+  manager.detach('PA1', first);
+  expect(container.querySelectorAll('audio')).toHaveLength(2);
+  expect(first._elements).toHaveLength(0);
+
+  manager.detach('PA1');
+  expect(container.querySelectorAll('audio')).toHaveLength(1);
+
+  manager.detachAll();
+  expect(container.querySelectorAll('audio')).toHaveLength(0);
+  expect(manager.elementCount()).toBe(0);
+});
+
+test('volume is master x participant, and muting silences a participant', () => {
+  const manager = createRemoteAudioManager({ container });
+  manager.attach('PA1', new FakeTrack('audio'));
+  manager.attach('PA2', new FakeTrack('audio'));
+  const [a, b] = container.querySelectorAll('audio');
+
+  manager.setMasterVolume(0.5);
+  manager.setParticipantVolume('PA1', 0.5);
+  expect(a.volume).toBe(0.25);
+  expect(b.volume).toBe(0.5);
+
+  manager.setParticipantMuted('PA2', true);
+  expect(b.muted).toBe(true);
+  expect(a.muted).toBe(false);
+  expect(manager.getState().participants.PA2).toEqual({ volume: 1, muted: true });
+
+  // Settings apply to elements attached later too
+  manager.attach('PA2', new FakeTrack('audio'));
+  expect(container.querySelectorAll('audio')[2].muted).toBe(true);
+});
+
+test('reports autoplay blocking and retries playback on unlock', async () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const blocked = Object.assign(new Error('play() requires a user gesture'), { name: 'NotAllowedError' });
+  const play = jest.spyOn(window.HTMLMediaElement.prototype, 'play').mockRejectedValue(blocked);
+  const manager = createRemoteAudioManager({ container });
+  const listener = jest.fn();
+  manager.subscribe(listener);
+
+  manager.attach('PA1', new FakeTrack('audio'));
+  await waitFor(() => expect(manager.getState().blocked).toBe(true));
+  expect(listener).toHaveBeenCalled();
+
+  play.mockResolvedValue();
+  await manager.unlock();
+  expect(manager.getState().blocked).toBe(false);
+  expect(play).toHaveBeenCalledTimes(2);
+});
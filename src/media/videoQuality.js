@@ -0,0 +1,56 @@
+// media/videoQuality.js
+// Simulcast publishing and per-viewer video quality.
+//
+// Broadcasters publish VP8 simulcast, so the media server can forward a lower layer
+// to subscribers who can't take the full stream, and their video publications get
+// `high` priority. The bandwidth profile hands the available downlink to high
+// priority tracks first ('presentation' mode) and leaves switching tracks off to
+// us, so a viewer can pick:
+//
+//   auto       - the server decides, based on the rendered size and bandwidth
+//   high/low   - subscriber priority for the remote video tracks
+//   audio-only - remote video switched off entirely
+//
+// Priority only says which track gets the bandwidth first: with one broadcaster and
+// contentPreferencesMode 'auto' (which ignores requested render dimensions), 'low'
+// doesn't guarantee a lower layer. The options are labelled as the hints they are.
+//
+// No maxVideoBitrate: it would cap all simulcast layers together.
+
+export const PREFERRED_VIDEO_CODECS = [{ codec: 'VP8', simulcast: true }];
+
+export const BANDWIDTH_PROFILE = {
+  video: {
+    mode: 'presentation',
+    dominantSpeakerPriority: 'high',
+    clientTrackSwitchOffControl: 'manual',
+    contentPreferencesMode: 'auto'
+  }
+};
+
+export const PUBLISH_PRIORITY = 'high';
+
+export const VIDEO_QUALITIES = [
+  { value: 'auto', label: 'Auto', priority: null, hint: 'Chosen by the server for your connection' },
+  { value: 'high', label: 'High priority', priority: 'high', hint: 'Video gets bandwidth first' },
+  { value: 'low', label: 'Low priority', priority: 'low', hint: 'Video gets bandwidth last; quality may not drop' },
+  { value: 'audio-only', label: 'Audio only', priority: null, hint: 'No video is received' }
+];
+
+export const AUDIO_ONLY = 'audio-only';
+
+// Apply a viewer's quality choice to one subscribed remote video track
+export function applyVideoQuality(track, quality) {
+  if (!track || track.kind !== 'video') return;
+  try {
+    if (quality === AUDIO_ONLY) {
+      track.switchOff();
+      return;
+    }
+    const { priority } = VIDEO_QUALITIES.find(q => q.value === quality) || VIDEO_QUALITIES[0];
+    track.switchOn();
+    track.setPriority(priority);
+  } catch (e) {
+    console.warn('Could not apply video quality', e);
+  }
+}
@@ -0,0 +1,667 @@
+// providers/fakeProvider.js
+// In-memory provider that mimics the parts of twilio-video and @twilio/conversations
+// the app relies on. Nothing leaves the page: rooms and conversations live in maps on
+// the provider, and tests (or the offline dev mode) drive them with the simulation
+// helpers on FakeRoom and FakeConversation:
+//
+//   const provider = createFakeProvider({ identity: 'viewer_1' });
+//   const room = provider.getRoom('room_1');
+//   const host = room.addParticipant('host_1');          // joins with audio + video
+//   provider.getConversation('CH1').receiveMessage('host_1', 'hello');
+//   message.updateBody('edited'); message.remove();      // live edits from anyone
+//   room.removeParticipant(host);
+//   provider.setDevices([...]);                          // fires onDeviceChange listeners
+//   screenTrack.stop();                                  // browser's "Stop sharing" button
+//   room.addParticipant('guest_1', { tracks: ['data'] }).simulateDataMessage({ ... });
+
+let sidCounter = 0;
+function nextSid(prefix) {
+  sidCounter += 1;
+  return `${prefix}${String(sidCounter).padStart(32, '0')}`;
+}
+
+// Minimal EventEmitter with the subset of the Node API the Twilio SDKs expose
+export class FakeEmitter {
+  constructor() {
+    this._listeners = new Map();
+  }
+
+  on(event, listener) {
+    if (!this._listeners.has(event)) this._listeners.set(event, []);
+    this._listeners.get(event).push(listener);
+    return this;
+  }
+
+  addListener(event, listener) {
+    return this.on(event, listener);
+  }
+
+  once(event, listener) {
+    const wrapped = (...args) => {
+      this.removeListener(event, wrapped);
+      listener(...args);
+    };
+    wrapped.listener = listener;
+    return this.on(event, wrapped);
+  }
+
+  removeListener(event, listener) {
+    const listeners = this._listeners.get(event);
+    if (!listeners) return this;
+    const remaining = listeners.filter(l => l !== listener && l.listener !== listener);
+    if (remaining.length) this._listeners.set(event, remaining);
+    else this._listeners.delete(event);
+    return this;
+  }
+
+  off(event, listener) {
+    return this.removeListener(event, listener);
+  }
+
+  removeAllListeners(event) {
+    if (event === undefined) this._listeners.clear();
+    else this._listeners.delete(event);
+    return this;
+  }
+
+  listenerCount(event) {
+    return (this._listeners.get(event) || []).length;
+  }
+
+  emit(event, ...args) {
+    const listeners = this._listeners.get(event);
+    if (!listeners) return false;
+    [...listeners].forEach(listener => listener(...args));
+    return true;
+  }
+}
+
+export class FakeTrack extends FakeEmitter {
+  constructor(kind, { name, constraints = {} } = {}) {
+    super();
+    this.sid = nextSid('MT');
+    this.kind = kind;
+    this.name = name || this.sid;
+    this.constraints = constraints;
+    this.isEnabled = true;
+    this.isStopped = false;
+    // Subscriber-side controls of RemoteVideoTrack
+    this.isSwitchedOff = false;
+    this.priority = null;
+    this._elements = [];
+  }
+
+  // Only getSettings() is modelled; deviceId reflects the last capture constraints
+  get mediaStreamTrack() {
+    const deviceId = this.constraints?.deviceId?.exact || this.constraints?.deviceId || '';
+    return { kind: this.kind, getSettings: () => ({ deviceId }) };
+  }
+
+  attach() {
+    const element = document.createElement(this.kind === 'audio' ? 'audio' : 'video');
+    this._elements.push(element);
+    return element;
+  }
+
+  detach(element) {
+    if (element) {
+      this._elements = this._elements.filter(el => el !== element);
+      return element;
+    }
+    const elements = this._elements;
+    this._elements = [];
+    return elements;
+  }
+
+  enable(enabled = true) {
+    if (this.isEnabled === enabled) return this;
+    this.isEnabled = enabled;
+    this.emit(enabled ? 'enabled' : 'disabled', this);
+    return this;
+  }
+
+  disable() {
+    return this.enable(false);
+  }
+
+  stop() {
+    if (this.isStopped) return;
+    this.isStopped = true;
+    this.emit('stopped', this);
+  }
+
+  switchOff() {
+    if (this.isSwitchedOff) return this;
+    this.isSwitchedOff = true;
+    this.emit('switchedOff', this);
+    return this;
+  }
+
+  switchOn() {
+    if (!this.isSwitchedOff) return this;
+    this.isSwitchedOff = false;
+    this.emit('switchedOn', this);
+    return this;
+  }
+
+  setPriority(priority) {
+    this.priority = priority;
+    return this;
+  }
+
+  // Like LocalTrack.restart(): same track object (and publication), new capture source
+  async restart(constraints) {
+    if (constraints) this.constraints = constraints;
+    this.isStopped = false;
+    this.emit('started', this);
+    return this;
+  }
+}
+
+// LocalDataTrack/RemoteDataTrack: `sent` records what the local side sent, and a
+// remote one emits 'message' when its participant simulates a message
+export class FakeDataTrack extends FakeEmitter {
+  constructor({ name } = {}) {
+    super();
+    this.sid = nextSid('DT');
+    this.kind = 'data';
+    this.name = name || this.sid;
+    this.sent = [];
+  }
+
+  send(data) {
+    this.sent.push(data);
+  }
+}
+
+function createPublication(track, { priority = 'standard' } = {}) {
+  return {
+    priority,
+    setPriority(value) {
+      this.priority = value;
+      return this;
+    },
+    trackSid: track.sid,
+    trackName: track.name,
+    kind: track.kind,
+    track,
+    isSubscribed: true
+  };
+}
+
+export class FakeRemoteParticipant extends FakeEmitter {
+  constructor(identity) {
+    super();
+    this.sid = nextSid('PA');
+    this.identity = identity;
+    this.state = 'connected';
+    this.tracks = new Map();
+    this.networkQualityLevel = null;
+  }
+
+  // Simulation: a new network quality level (0-5) is reported for this participant
+  simulateNetworkQuality(level) {
+    this.networkQualityLevel = level;
+    this.emit('networkQualityLevelChanged', level, null);
+  }
+
+  // Simulation: a message arrives on this participant's data track (objects are sent
+  // as JSON, like the app does)
+  simulateDataMessage(message) {
+    const publication = Array.from(this.tracks.values()).find(p => p.kind === 'data');
+    if (!publication) throw new Error(`${this.identity} has no data track`);
+    publication.track.emit('message', typeof message === 'string' ? message : JSON.stringify(message), publication.track);
+  }
+
+  // Simulation: publish a track that the local participant is subscribed to
+  publishTrack(track) {
+    const publication = createPublication(track);
+    this.tracks.set(track.sid, publication);
+    this.emit('trackSubscribed', track, publication);
+    return publication;
+  }
+
+  // Simulation: unpublish a track, which unsubscribes the local participant
+  unpublishTrack(track) {
+    const publication = this.tracks.get(track.sid);
+    if (!publication) return null;
+    this.tracks.delete(track.sid);
+    publication.isSubscribed = false;
+    publication.track = null;
+    this.emit('trackUnsubscribed', track, publication);
+    return publication;
+  }
+}
+
+export class FakeLocalParticipant extends FakeEmitter {
+  constructor(identity) {
+    super();
+    this.sid = nextSid('PA');
+    this.identity = identity;
+    this.tracks = new Map();
+    this.networkQualityLevel = null;
+  }
+
+  simulateNetworkQuality(level) {
+    this.networkQualityLevel = level;
+    this.emit('networkQualityLevelChanged', level, null);
+  }
+
+  async publishTrack(track, options) {
+    const publication = createPublication(track, options);
+    this.tracks.set(track.sid, publication);
+    this.emit('trackPublished', publication);
+    return publication;
+  }
+
+  unpublishTrack(track) {
+    const publication = this.tracks.get(track.sid) || null;
+    this.tracks.delete(track.sid);
+    return publication;
+  }
+
+  unpublishTracks(tracks) {
+    return tracks.map(track => this.unpublishTrack(track)).filter(Boolean);
+  }
+}
+
+export class FakeRoom extends FakeEmitter {
+  constructor(name) {
+    super();
+    this.sid = nextSid('RM');
+    this.name = name;
+    this.state = 'disconnected';
+    this.localParticipant = null;
+    this.participants = new Map();
+    this.dominantSpeaker = null;
+    this.connectOptions = null;
+  }
+
+  disconnect() {
+    if (this.state === 'disconnected') return this;
+    this.state = 'disconnected';
+    this.emit('disconnected', this, null);
+    this.detachListeners();
+    return this;
+  }
+
+  // A disconnected Room (and its participants) never emits again; connecting to the
+  // same name later starts from fresh listeners, like a new Room object would.
+  detachListeners() {
+    this.removeAllListeners();
+    this.participants.forEach(participant => participant.removeAllListeners());
+  }
+
+  // Simulation: a remote participant joins and publishes the given tracks. Each entry
+  // is a kind ('audio'/'video'/'data') or { kind, name } for named tracks such as screen shares.
+  addParticipant(identity, { tracks = ['audio', 'video'] } = {}) {
+    const participant = new FakeRemoteParticipant(identity);
+    this.participants.set(participant.sid, participant);
+    this.emit('participantConnected', participant);
+    tracks.forEach(spec => {
+      const { kind, name } = typeof spec === 'string' ? { kind: spec } : spec;
+      participant.publishTrack(kind === 'data' ? new FakeDataTrack({ name }) : new FakeTrack(kind, { name }));
+    });
+    return participant;
+  }
+
+  // Simulation: a remote participant leaves
+  removeParticipant(participant) {
+    if (!this.participants.has(participant.sid)) return;
+    this.participants.delete(participant.sid);
+    participant.state = 'disconnected';
+    this.emit('participantDisconnected', participant);
+  }
+
+  // Cumulative counters grow by a fixed amount per call, like a steady stream
+  async getStats() {
+    this.statsCalls = (this.statsCalls || 0) + 1;
+    const n = this.statsCalls;
+    const statsOf = (publication, direction) => ({
+      trackId: publication.track?.sid || publication.trackSid,
+      trackSid: publication.trackSid,
+      timestamp: Date.now(),
+      [direction === 'send' ? 'bytesSent' : 'bytesReceived']: n * 25000,
+      [direction === 'send' ? 'packetsSent' : 'packetsReceived']: n * 100,
+      packetsLost: n,
+      jitter: publication.kind === 'audio' ? 0.012 : undefined,
+      roundTripTime: direction === 'send' ? 0.045 : undefined,
+      frameRate: publication.kind === 'video' ? 24 : undefined,
+      dimensions: publication.kind === 'video' ? { width: 1280, height: 720 } : undefined
+    });
+    const publications = (participant, kind) => Array.from(participant.tracks.values()).filter(p => p.kind === kind);
+    const remote = Array.from(this.participants.values());
+    const local = this.localParticipant;
+    return [{
+      peerConnectionId: 'PC1',
+      localAudioTrackStats: local ? publications(local, 'audio').map(p => statsOf(p, 'send')) : [],
+      localVideoTrackStats: local ? publications(local, 'video').map(p => statsOf(p, 'send')) : [],
+      remoteAudioTrackStats: remote.flatMap(r => publications(r, 'audio')).map(p => statsOf(p, 'receive')),
+      remoteVideoTrackStats: remote.flatMap(r => publications(r, 'video')).map(p => statsOf(p, 'receive'))
+    }];
+  }
+
+  // Simulation: `participant` becomes the loudest speaker (null: nobody is speaking)
+  simulateDominantSpeaker(participant) {
+    this.dominantSpeaker = participant;
+    this.emit('dominantSpeakerChanged', participant);
+  }
+
+  // Simulation: signaling/media connection drops and recovers (or doesn't)
+  simulateReconnecting(error = null) {
+    this.state = 'reconnecting';
+    this.emit('reconnecting', error);
+  }
+
+  simulateReconnected() {
+    this.state = 'connected';
+    this.emit('reconnected');
+  }
+
+  simulateDisconnect(error = null) {
+    this.state = 'disconnected';
+    this.emit('disconnected', this, error);
+    this.detachListeners();
+  }
+}
+
+export class FakeMedia {
+  constructor({ filename = null, contentType, size = 0 }) {
+    this.sid = nextSid('ME');
+    this.filename = filename;
+    this.contentType = contentType;
+    this.size = size;
+    this.category = 'media';
+  }
+
+  async getContentTemporaryUrl() {
+    return `https://media.example.test/${this.sid}/${encodeURIComponent(this.filename || 'file')}`;
+  }
+}
+
+export class FakeMessage {
+  constructor(conversation, { author, body, attributes = {}, media = [] }) {
+    this.conversation = conversation;
+    this.sid = nextSid('IM');
+    this.index = conversation.nextIndex++;
+    this.author = author;
+    this.body = media.length && !body ? null : body;
+    this.attributes = attributes;
+    this.type = media.length ? 'media' : 'text';
+    this.attachedMedia = media.length ? media.map(m => new FakeMedia(m)) : null;
+    this.dateCreated = new Date();
+    this.dateUpdated = this.dateCreated;
+  }
+
+  async updateBody(body) {
+    this.body = body;
+    return this._updated(['body']);
+  }
+
+  async updateAttributes(attributes) {
+    this.attributes = attributes;
+    return this._updated(['attributes']);
+  }
+
+  async remove() {
+    const { conversation } = this;
+    conversation.messages = conversation.messages.filter(m => m !== this);
+    setTimeout(() => conversation.emit('messageRemoved', this), 0);
+    return this;
+  }
+
+  _updated(updateReasons) {
+    this.dateUpdated = new Date();
+    setTimeout(() => this.conversation.emit('messageUpdated', { message: this, updateReasons }), 0);
+    return this;
+  }
+}
+
+function createPaginator(messages, end, pageSize) {
+  const start = Math.max(0, end - pageSize);
+  return {
+    items: messages.slice(start, end),
+    hasPrevPage: start > 0,
+    hasNextPage: end < messages.length,
+    prevPage: async () => createPaginator(messages, start, pageSize),
+    nextPage: async () => createPaginator(messages, Math.min(messages.length, end + pageSize), pageSize)
+  };
+}
+
+export class FakeConversation extends FakeEmitter {
+  constructor(sid, provider) {
+    super();
+    this.sid = sid;
+    this.provider = provider;
+    this.status = 'notParticipating';
+    this.attributes = {};
+    this.messages = [];
+    // Indexes keep increasing when messages are removed, as in the real service
+    this.nextIndex = 0;
+    // Simulation: make media sends reject
+    this.failUploads = false;
+    this.lastReadMessageIndex = null;
+    this.typingCount = 0;
+  }
+
+  async join() {
+    this.status = 'joined';
+    return this;
+  }
+
+  async leave() {
+    this.status = 'notParticipating';
+    return this;
+  }
+
+  // Newest page first, like the real paginator; prevPage() walks back in time
+  async getMessages(pageSize = 30, anchor) {
+    const end = anchor === undefined ? this.messages.length : this.messages.filter(m => m.index <= anchor).length;
+    return createPaginator(this.messages, end, pageSize);
+  }
+
+  async sendMessage(body, attributes = {}) {
+    const message = this._addMessage(this.provider.identity, body, attributes);
+    return message.index;
+  }
+
+  async updateAttributes(attributes) {
+    this.attributes = attributes;
+    setTimeout(() => this.emit('updated', { conversation: this, updateReasons: ['attributes'] }), 0);
+    return this;
+  }
+
+  async typing() {
+    this.typingCount++;
+  }
+
+  async advanceLastReadMessageIndex(index) {
+    if (this.lastReadMessageIndex === null || index > this.lastReadMessageIndex) {
+      this.lastReadMessageIndex = index;
+    }
+    return this.getUnreadMessagesCount();
+  }
+
+  async getUnreadMessagesCount() {
+    return this.messages.filter(m => this.lastReadMessageIndex === null || m.index > this.lastReadMessageIndex).length;
+  }
+
+  // Simulation: another chatter starts/stops typing
+  simulateTyping(identity, typing = true) {
+    this.emit(typing ? 'typingStarted' : 'typingEnded', { identity });
+  }
+
+  // MessageBuilder subset used for media messages. Media is { contentType, filename,
+  // media: Blob }; uploads take one tick, and a send can be cancelled before then.
+  prepareMessage() {
+    const draft = { body: null, attributes: {}, media: [] };
+    const builder = {
+      setBody: (body) => { draft.body = body; return builder; },
+      setAttributes: (attributes) => { draft.attributes = attributes; return builder; },
+      addMedia: ({ contentType, filename, media }) => {
+        draft.media.push({ contentType, filename, size: media?.size || 0 });
+        return builder;
+      },
+      build: () => ({
+        send: () => {
+          let timer;
+          let rejectSend;
+          const promise = new Promise((resolve, reject) => {
+            rejectSend = reject;
+            timer = setTimeout(() => {
+              if (this.failUploads) return reject(new Error('Media upload failed'));
+              const message = this._addMessage(this.provider.identity, draft.body, draft.attributes, draft.media);
+              resolve(message.index);
+            }, 0);
+          });
+          promise.cancel = () => {
+            clearTimeout(timer);
+            rejectSend(new Error('Upload cancelled'));
+          };
+          return promise;
+        }
+      })
+    };
+    return builder;
+  }
+
+  // Simulation: a message from another chatter arrives
+  receiveMessage(author, body, attributes = {}) {
+    return this._addMessage(author, body, attributes);
+  }
+
+  // Simulation: another chatter sends files, each { filename, contentType, size }
+  receiveMedia(author, media, body = null) {
+    return this._addMessage(author, body, {}, media);
+  }
+
+  _addMessage(author, body, attributes, media = []) {
+    const message = new FakeMessage(this, { author, body, attributes, media });
+    this.messages.push(message);
+    // The SDK delivers messageAdded asynchronously, including for our own sends
+    setTimeout(() => this.emit('messageAdded', message), 0);
+    return message;
+  }
+}
+
+export class FakeConversationsClient extends FakeEmitter {
+  constructor(token, provider) {
+    super();
+    this.token = token;
+    this.provider = provider;
+    this.user = { identity: provider.identity };
+    this.connectionState = 'connecting';
+    this.isShutdown = false;
+
+    setTimeout(() => {
+      if (this.isShutdown) return;
+      this.connectionState = 'connected';
+      this.emit('connectionStateChanged', 'connected');
+      this.emit('stateChanged', 'initialized');
+    }, 0);
+  }
+
+  async getConversationBySid(sid) {
+    if (this.isShutdown) throw new Error('Client has been shut down');
+    return this.provider.getConversation(sid);
+  }
+
+  async updateToken(token) {
+    this.token = token;
+    return this;
+  }
+
+  // Simulation: the token is about to expire ('tokenAboutToExpire') or has ('tokenExpired')
+  simulateTokenExpiry(event = 'tokenAboutToExpire') {
+    this.emit(event);
+  }
+
+  async shutdown() {
+    this.isShutdown = true;
+    this.connectionState = 'disconnected';
+    this.removeAllListeners();
+  }
+}
+
+const DEFAULT_DEVICES = [
+  { kind: 'audioinput', deviceId: 'mic-1', label: 'Built-in Microphone', groupId: 'g1' },
+  { kind: 'videoinput', deviceId: 'cam-1', label: 'Built-in Camera', groupId: 'g1' },
+  { kind: 'videoinput', deviceId: 'cam-2', label: 'USB Camera', groupId: 'g2' },
+  { kind: 'audiooutput', deviceId: 'speaker-1', label: 'Built-in Speakers', groupId: 'g1' }
+];
+
+export function createFakeProvider({ identity = 'you', devices = DEFAULT_DEVICES } = {}) {
+  const rooms = new Map();
+  const conversations = new Map();
+  const clients = [];
+  const deviceListeners = new Set();
+
+  const provider = {
+    name: 'fake',
+    identity,
+    rooms,
+    conversations,
+    clients,
+
+    devices,
+
+    async createLocalTracks(constraints = { audio: true, video: true }) {
+      const tracks = [];
+      if (constraints.audio) tracks.push(new FakeTrack('audio', { constraints: constraints.audio }));
+      if (constraints.video) tracks.push(new FakeTrack('video', { constraints: constraints.video }));
+      return tracks;
+    },
+
+    async createScreenTrack(name, constraints) {
+      return new FakeTrack('video', { name, constraints });
+    },
+
+    createLocalDataTrack() {
+      return new FakeDataTrack();
+    },
+
+    async enumerateDevices() {
+      return provider.devices;
+    },
+
+    onDeviceChange(listener) {
+      deviceListeners.add(listener);
+      return () => deviceListeners.delete(listener);
+    },
+
+    // Simulation: devices plugged in or removed
+    setDevices(nextDevices) {
+      provider.devices = nextDevices;
+      deviceListeners.forEach(listener => listener());
+    },
+
+    async connect(token, options = {}) {
+      const room = provider.getRoom(options.name);
+      room.state = 'connected';
+      room.connectOptions = options;
+      room.localParticipant = new FakeLocalParticipant(identity);
+      await Promise.all((options.tracks || []).map(track => room.localParticipant.publishTrack(track)));
+      return room;
+    },
+
+    createConversationsClient(token) {
+      const client = new FakeConversationsClient(token, provider);
+      clients.push(client);
+      return client;
+    },
+
+    // Rooms and conversations are created on first use so tests can populate them
+    // before the app connects.
+    getRoom(name) {
+      if (!rooms.has(name)) rooms.set(name, new FakeRoom(name));
+      return rooms.get(name);
+    },
+
+    getConversation(sid) {
+      if (!conversations.has(sid)) conversations.set(sid, new FakeConversation(sid, provider));
+      return conversations.get(sid);
+    }
+  };
+
+  return provider;
+}
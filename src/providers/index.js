@@ -0,0 +1,14 @@
+// providers/index.js
+import { MEDIA_PROVIDER } from '../config';
+import twilioProvider from './twilioProvider';
+import { createFakeProvider } from './fakeProvider';
+
+// Picks the provider named by REACT_APP_MEDIA_PROVIDER ('twilio' unless set to 'fake')
+export function createDefaultProvider() {
+  return MEDIA_PROVIDER === 'fake' ? createFakeProvider() : twilioProvider;
+}
+
+// Shared instance used when a component or hook isn't given a provider explicitly
+export const defaultProvider = createDefaultProvider();
+
+export { twilioProvider, createFakeProvider };
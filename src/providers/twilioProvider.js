@@ -0,0 +1,42 @@
+// providers/twilioProvider.js
+// Production provider: thin pass-through to twilio-video and @twilio/conversations.
+//
+// A provider is the only place the app touches the media/chat SDKs. It exposes:
+//   createLocalTracks(constraints) -> Promise<LocalTrack[]>
+//   connect(token, options)        -> Promise<Room>
+//   createConversationsClient(token) -> ConversationsClient
+//   createScreenTrack(name, constraints) -> Promise<LocalVideoTrack> (getDisplayMedia)
+//   createLocalDataTrack()         -> LocalDataTrack
+//   enumerateDevices()             -> Promise<MediaDeviceInfo[]>
+//   onDeviceChange(listener)       -> unsubscribe function
+// Rooms, participants, tracks and conversations returned from it follow the Twilio
+// SDK object shapes (EventEmitters with the same event names and fields).
+import * as Video from 'twilio-video';
+import { Client as ConversationsClient } from '@twilio/conversations';
+
+const twilioProvider = {
+  name: 'twilio',
+  createLocalTracks: (constraints) => Video.createLocalTracks(constraints),
+  connect: (token, options) => Video.connect(token, options),
+  createConversationsClient: (token) => new ConversationsClient(token),
+  createLocalDataTrack: () => new Video.LocalDataTrack(),
+
+  createScreenTrack: async (name, constraints) => {
+    if (!navigator.mediaDevices?.getDisplayMedia) throw new Error('Screen sharing is not supported in this browser');
+    const stream = await navigator.mediaDevices.getDisplayMedia({ video: constraints, audio: false });
+    return new Video.LocalVideoTrack(stream.getVideoTracks()[0], { name });
+  },
+
+  enumerateDevices: async () => {
+    if (!navigator.mediaDevices?.enumerateDevices) return [];
+    return navigator.mediaDevices.enumerateDevices();
+  },
+
+  onDeviceChange: (listener) => {
+    if (!navigator.mediaDevices?.addEventListener) return () => {};
+    navigator.mediaDevices.addEventListener('devicechange', listener);
+    return () => navigator.mediaDevices.removeEventListener('devicechange', listener);
+  }
+};
+
+export default twilioProvider;
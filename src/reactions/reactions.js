@@ -0,0 +1,66 @@
+// reactions/reactions.js
+// Live reactions (hearts, claps...) sent over each participant's LocalDataTrack.
+// They are fire-and-forget and never reach the persistent chat.
+//
+// Senders are rate limited (SEND_LIMIT per SEND_WINDOW_MS). Receivers don't render
+// each message: they count reactions per type and every BATCH_INTERVAL_MS turn the
+// counts into at most one floating bubble per type ("x12"), with no more than
+// MAX_VISIBLE_REACTIONS on screen, so a burst on a busy stream stays cheap to draw.
+
+export const REACTIONS = [
+  { type: 'heart', emoji: '❤️', label: 'Heart' },
+  { type: 'clap', emoji: '👏', label: 'Clap' },
+  { type: 'laugh', emoji: '😂', label: 'Laugh' },
+  { type: 'fire', emoji: '🔥', label: 'Fire' }
+];
+
+export const SEND_LIMIT = 5;
+export const SEND_WINDOW_MS = 3000;
+export const BATCH_INTERVAL_MS = 250;
+export const REACTION_FLOAT_MS = 2500;
+export const MAX_VISIBLE_REACTIONS = 24;
+
+const MESSAGE_TYPE = 'reaction';
+const KNOWN_TYPES = new Set(REACTIONS.map(reaction => reaction.type));
+
+export function emojiOf(type) {
+  return REACTIONS.find(reaction => reaction.type === type)?.emoji || '';
+}
+
+export function reactionMessage(type) {
+  return { type: MESSAGE_TYPE, reaction: type };
+}
+
+// The reaction type carried by a data message, or null for anything else
+export function reactionFrom(message) {
+  if (message?.type !== MESSAGE_TYPE) return null;
+  return KNOWN_TYPES.has(message.reaction) ? message.reaction : null;
+}
+
+// Sliding window: at most `limit` acquisitions in any `windowMs`.
+// -> { tryAcquire(now): boolean, retryIn(now): ms until the next one is allowed }
+export function createRateLimiter({ limit = SEND_LIMIT, windowMs = SEND_WINDOW_MS } = {}) {
+  let sent = [];
+  const prune = (now) => { sent = sent.filter(time => now - time < windowMs); };
+
+  return {
+    tryAcquire(now = Date.now()) {
+      prune(now);
+      if (sent.length >= limit) return false;
+      sent.push(now);
+      return true;
+    },
+    retryIn(now = Date.now()) {
+      prune(now);
+      return sent.length < limit ? 0 : windowMs - (now - sent[0]);
+    }
+  };
+}
+
+// Counts collected since the last flush ({ heart: 12, clap: 3 }) -> bubbles, biggest first
+export function bubblesFrom(counts) {
+  return Object.entries(counts)
+    .filter(([, count]) => count > 0)
+    .sort(([, a], [, b]) => b - a)
+    .map(([type, count]) => ({ type, count }));
+}
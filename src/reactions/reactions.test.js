@@ -0,0 +1,28 @@
+import { bubblesFrom, createRateLimiter, emojiOf, reactionFrom, reactionMessage } from './reactions';
+
+test('reaction messages round-trip and anything else is ignored', () => {
+  expect(reactionFrom(reactionMessage('clap'))).toBe('clap');
+  expect(reactionFrom({ type: 'reaction', reaction: 'unknown' })).toBeNull();
+  expect(reactionFrom({ type: 'chat', reaction: 'heart' })).toBeNull();
+  expect(reactionFrom(null)).toBeNull();
+  expect(emojiOf('heart')).toBe('❤️');
+});
+
+test('the rate limiter allows a burst per window and frees up as it slides', () => {
+  const limiter = createRateLimiter({ limit: 3, windowMs: 1000 });
+  expect([0, 100, 200].map(time => limiter.tryAcquire(time))).toEqual([true, true, true]);
+  expect(limiter.tryAcquire(300)).toBe(false);
+  expect(limiter.retryIn(300)).toBe(700);
+  expect(limiter.tryAcquire(1000)).toBe(true);
+  expect(limiter.tryAcquire(1050)).toBe(false);
+  expect(limiter.retryIn(1050)).toBe(50);
+  expect(limiter.retryIn(1200)).toBe(0);
+});
+
+test('counts become one bubble per type, biggest first', () => {
+  expect(bubblesFrom({ clap: 3, heart: 12, fire: 0 })).toEqual([
+    { type: 'heart', count: 12 },
+    { type: 'clap', count: 3 }
+  ]);
+  expect(bubblesFrom({})).toEqual([]);
+});
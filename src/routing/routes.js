@@ -0,0 +1,47 @@
+// routing/routes.js
+// Client-side routes. The app is a single page; the URL only says which room to open:
+//
+//   /                             home
+//   /room/:roomName               join the room with the role the backend assigns
+//   /room/:roomName?role=viewer   ask to join as a viewer (what invite links use)
+//
+// Paths are relative to PUBLIC_URL so the app can be served from a subdirectory.
+
+export const ROUTE_ROLES = ['viewer', 'broadcaster'];
+
+// PUBLIC_URL may be a path or a full URL; only its path matters here
+const BASE_PATH = new URL(process.env.PUBLIC_URL || '/', 'http://localhost').pathname.replace(/\/+$/, '');
+
+export const HOME_PATH = `${BASE_PATH}/`;
+
+// '/room/abc?role=viewer' (pathname + search) -> { name: 'room', roomName: 'abc', role: 'viewer' }.
+// Anything that isn't a room link is home.
+export function parseLocation(location) {
+  const url = new URL(location, 'http://localhost');
+  const path = url.pathname.startsWith(BASE_PATH) ? url.pathname.slice(BASE_PATH.length) : url.pathname;
+  const match = path.match(/^\/room\/([^/]+)\/?$/);
+  if (!match) return { name: 'home', roomName: '', role: null };
+
+  let roomName;
+  try {
+    roomName = decodeURIComponent(match[1]).trim();
+  } catch (e) {
+    return { name: 'home', roomName: '', role: null };
+  }
+  const role = url.searchParams.get('role');
+  return {
+    name: roomName ? 'room' : 'home',
+    roomName,
+    role: ROUTE_ROLES.includes(role) ? role : null
+  };
+}
+
+export function roomPath(roomName, { role } = {}) {
+  const path = `${BASE_PATH}/room/${encodeURIComponent(roomName)}`;
+  return role ? `${path}?role=${role}` : path;
+}
+
+// Link for someone else to watch the room
+export function inviteLink(roomName, origin = window.location.origin) {
+  return `${origin}${roomPath(roomName, { role: 'viewer' })}`;
+}
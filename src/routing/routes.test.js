@@ -0,0 +1,17 @@
+import { inviteLink, parseLocation, roomPath } from './routes';
+
+test('room links parse into a room name and an optional role', () => {
+  expect(parseLocation('/')).toEqual({ name: 'home', roomName: '', role: null });
+  expect(parseLocation('/room/room_1')).toEqual({ name: 'room', roomName: 'room_1', role: null });
+  expect(parseLocation('/room/room_1/?role=viewer')).toEqual({ name: 'room', roomName: 'room_1', role: 'viewer' });
+  expect(parseLocation('/room/late%20show?role=admin')).toEqual({ name: 'room', roomName: 'late show', role: null });
+  expect(parseLocation('/room/%E0%A4%A')).toEqual({ name: 'home', roomName: '', role: null });
+  expect(parseLocation('/settings')).toEqual({ name: 'home', roomName: '', role: null });
+});
+
+test('room paths and invite links round-trip', () => {
+  expect(roomPath('late show/2')).toBe('/room/late%20show%2F2');
+  expect(roomPath('room_1', { role: 'viewer' })).toBe('/room/room_1?role=viewer');
+  expect(inviteLink('room_1', 'https://live.example')).toBe('https://live.example/room/room_1?role=viewer');
+  expect(parseLocation(roomPath('late show/2')).roomName).toBe('late show/2');
+});
@@ -3,3 +3,47 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+
+// jsdom doesn't implement media playback; behave like a browser that allows autoplay
+window.HTMLMediaElement.prototype.play = function play() { return Promise.resolve(); };
+window.HTMLMediaElement.prototype.pause = function pause() {};
+
+// Nor object URLs; tests spy on these to see what was downloaded
+URL.createObjectURL = () => 'blob:fake';
+URL.revokeObjectURL = () => {};
+
+// jsdom has no MediaStream or MediaRecorder either. This recorder produces a 1 KB
+// chunk per requestData() and another when stopped; `instances` lets tests reach it.
+window.MediaStream = class MediaStream {
+  constructor(tracks = []) { this._tracks = [...tracks]; }
+  getTracks() { return [...this._tracks]; }
+  getAudioTracks() { return this._tracks.filter(track => track.kind === 'audio'); }
+  getVideoTracks() { return this._tracks.filter(track => track.kind === 'video'); }
+};
+
+window.MediaRecorder = class MediaRecorder {
+  static instances = [];
+  static isTypeSupported(type) { return type.startsWith('video/webm'); }
+
+  constructor(stream, options = {}) {
+    this.stream = stream;
+    this.mimeType = options.mimeType || 'video/webm';
+    this.state = 'inactive';
+    MediaRecorder.instances.push(this);
+  }
+
+  start(timeslice) { this.timeslice = timeslice; this.state = 'recording'; }
+  pause() { this.state = 'paused'; }
+  resume() { this.state = 'recording'; }
+
+  requestData() {
+    this.ondataavailable?.({ data: new Blob(['x'.repeat(1024)], { type: this.mimeType }) });
+  }
+
+  stop() {
+    if (this.state === 'inactive') return;
+    this.requestData();
+    this.state = 'inactive';
+    this.onstop?.();
+  }
+};
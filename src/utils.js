@@ -0,0 +1,34 @@
+// utils.js
+
+// utility to hide admin identities (prefixed with admin_)
+export function isAdmin(identity) { return Boolean(identity && identity.startsWith('admin_')); }
+
+// Generated avatar used when the backend doesn't provide one (or it fails to load)
+export function fallbackAvatar(name, size = 40) {
+  return `https://ui-avatars.com/api/?name=${encodeURIComponent(name || 'User')}&background=007bff&color=fff&size=${size}&rounded=true`;
+}
+
+// 0 -> '0 B', 1536 -> '1.5 KB', 5242880 -> '5.0 MB'; '' when the size is unknown
+export function formatBytes(bytes) {
+  if (!bytes && bytes !== 0) return '';
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  if (bytes < 1024 * 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  return `${(bytes / (1024 * 1024 * 1024)).toFixed(2)} GB`;
+}
+
+// How long a download's object URL outlives the click: some browsers (Firefox, Safari
+// with large blobs) only start reading it afterwards
+export const DOWNLOAD_URL_TTL_MS = 10000;
+
+// Saves `blob` as `filename` through a temporary link
+export function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_TTL_MS);
+}
@@ -0,0 +1,9 @@
+import { formatBytes } from './utils';
+
+test('sizes read naturally', () => {
+  expect(formatBytes(512)).toBe('512 B');
+  expect(formatBytes(1536)).toBe('1.5 KB');
+  expect(formatBytes(5 * 1024 * 1024)).toBe('5.0 MB');
+  expect(formatBytes(3 * 1024 * 1024 * 1024)).toBe('3.00 GB');
+  expect(formatBytes(undefined)).toBe('');
+});